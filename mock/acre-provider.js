@@ -0,0 +1,270 @@
+/**
+ * Mock Acre OAuth Provider
+ *
+ * A small local stand-in for oauth.acreplatforms.net (and a bit of the Acre API)
+ * so the whole flow can run offline and in automated tests.
+ *
+ * Endpoints:
+ * - GET  /oauth2/auth     auto-approves and redirects back with a code
+ * - POST /oauth2/token    authorization_code and refresh_token grants
+ * - POST /oauth2/revoke   revokes an access or refresh token
+ * - ANY  /v1/acre/*       echoes the request if `Cookie: authorization=<token>` is valid
+ *
+ * Controls (for tests): expire tokens on demand, make the next token calls fail
+ * with `invalid_grant`, a 5xx, a 429, an empty response or a slow answer, delay
+ * API answers, and toggle refresh token rotation.
+ *
+ * Run it standalone:
+ *   npm run mock-acre      (listens on MOCK_ACRE_PORT, default 8787)
+ * then set ACRE_OAUTH_BASE_URL=http://localhost:8787 and ACRE_API_BASE=http://localhost:8787/v1/acre
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const SLOW_RESPONSE_MS = 1000;
+
+/**
+ * Create a mock provider.
+ *
+ * Options:
+ * - clientId / clientSecret / apiKey   credentials it accepts
+ * - accessTokenTtl                     seconds, default 3600
+ * - rotateRefreshTokens                issue a new refresh token on every refresh (default true)
+ */
+function createMockAcre({
+  clientId = 'mock-client',
+  clientSecret = 'mock-secret',
+  apiKey = 'mock-api-key',
+  accessTokenTtl = 3600,
+  rotateRefreshTokens = true
+} = {}) {
+  const codes = new Map();          // code → { redirect_uri, scope }
+  const accessTokens = new Map();   // token → { expires_at, scope }
+  const refreshTokens = new Map();  // token → { scope }
+  const failures = [];              // queued failure kinds for the token endpoint
+  const requests = [];              // log of token endpoint grant types
+
+  const state = {
+    url: null,
+    rotateRefreshTokens,
+    requests,
+
+    /** Milliseconds every /v1/acre/* answer is held back */
+    apiDelayMs: 0,
+
+    /**
+     * Make the next `count` token endpoint calls fail: 'invalid_grant', 'server_error' (503),
+     * 'rate_limited' (429, Retry-After: 1), 'empty_response' (200 without tokens) or
+     * 'slow' (the grant is processed, but the answer comes after SLOW_RESPONSE_MS)
+     */
+    failNext(kind, count = 1) {
+      for (let i = 0; i < count; i++) {
+        failures.push(kind);
+      }
+    },
+
+    /** Expire every issued access token immediately */
+    expireAccessTokens() {
+      for (const token of accessTokens.values()) {
+        token.expires_at = 0;
+      }
+    },
+
+    /** Forget every refresh token, so the next refresh gets invalid_grant */
+    invalidateRefreshTokens() {
+      refreshTokens.clear();
+    },
+
+    isAccessTokenValid(token) {
+      const record = accessTokens.get(token);
+      return Boolean(record && record.expires_at > Date.now());
+    }
+  };
+
+  function issueTokens(scope) {
+    const accessToken = `mock_at_${crypto.randomBytes(16).toString('hex')}`;
+    const refreshToken = `mock_rt_${crypto.randomBytes(16).toString('hex')}`;
+    accessTokens.set(accessToken, { expires_at: Date.now() + accessTokenTtl * 1000, scope });
+    refreshTokens.set(refreshToken, { scope });
+    return { accessToken, refreshToken };
+  }
+
+  function send(res, statusCode, body, headers = {}) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  function oauthError(res, statusCode, error, description) {
+    send(res, statusCode, { error, error_description: description });
+  }
+
+  function handleAuthorize(url, res) {
+    const params = url.searchParams;
+
+    if (params.get('client_id') !== clientId) {
+      return oauthError(res, 400, 'invalid_client', 'Unknown client_id');
+    }
+
+    const code = `mock_code_${crypto.randomBytes(12).toString('hex')}`;
+    codes.set(code, { redirect_uri: params.get('redirect_uri'), scope: params.get('scope') || '' });
+
+    const redirect = new URL(params.get('redirect_uri'));
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', params.get('state') || '');
+    redirect.searchParams.set('scope', params.get('scope') || '');
+
+    res.writeHead(302, { Location: redirect.toString() });
+    res.end();
+  }
+
+  function handleToken(req, form, res) {
+    requests.push(form.get('grant_type'));
+
+    if (req.headers['x-api-key'] !== apiKey) {
+      return oauthError(res, 401, 'invalid_client', 'Missing or invalid X-API-KEY');
+    }
+
+    if (form.get('client_id') !== clientId || form.get('client_secret') !== clientSecret) {
+      return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+    }
+
+    const failure = failures.shift();
+    if (failure === 'slow') {
+      const end = res.end.bind(res);
+      res.end = body => setTimeout(() => end(body), SLOW_RESPONSE_MS);
+    }
+    if (failure === 'server_error') {
+      return oauthError(res, 503, 'server_error', 'Mock provider is unavailable');
+    }
+    if (failure === 'invalid_grant') {
+      return oauthError(res, 400, 'invalid_grant', 'The provided grant is invalid or expired');
+    }
+    if (failure === 'rate_limited') {
+      return send(res, 429, { error: 'rate_limited' }, { 'Retry-After': '1' });
+    }
+    if (failure === 'empty_response') {
+      return send(res, 200, {});
+    }
+
+    if (form.get('grant_type') === 'authorization_code') {
+      const issued = codes.get(form.get('code'));
+      codes.delete(form.get('code'));
+
+      if (!issued || issued.redirect_uri !== form.get('redirect_uri')) {
+        return oauthError(res, 400, 'invalid_grant', 'Unknown code or redirect_uri mismatch');
+      }
+
+      const { accessToken, refreshToken } = issueTokens(issued.scope);
+      return send(res, 200, {
+        access_token: accessToken,
+        refresh_token: refreshToken,
+        token_type: 'bearer',
+        expires_in: accessTokenTtl,
+        scope: issued.scope
+      });
+    }
+
+    if (form.get('grant_type') === 'refresh_token') {
+      const presented = form.get('refresh_token');
+      const issued = refreshTokens.get(presented);
+
+      if (!issued) {
+        return oauthError(res, 400, 'invalid_grant', 'Refresh token is invalid, expired or already used');
+      }
+
+      // With rotation the presented token is used up; without it, it stays valid
+      // and the newly minted refresh token is simply never handed out
+      const { accessToken, refreshToken } = issueTokens(issued.scope);
+      refreshTokens.delete(state.rotateRefreshTokens ? presented : refreshToken);
+
+      return send(res, 200, {
+        access_token: accessToken,
+        ...(state.rotateRefreshTokens ? { refresh_token: refreshToken } : {}),
+        token_type: 'bearer',
+        expires_in: accessTokenTtl,
+        scope: issued.scope
+      });
+    }
+
+    return oauthError(res, 400, 'unsupported_grant_type', `Unsupported grant_type "${form.get('grant_type')}"`);
+  }
+
+  function handleRevoke(form, res) {
+    accessTokens.delete(form.get('token'));
+    refreshTokens.delete(form.get('token'));
+    res.writeHead(200);
+    res.end();
+  }
+
+  function handleApi(req, url, body, res) {
+    const cookie = req.headers.cookie || '';
+    const token = (cookie.match(/(?:^|;\s*)authorization=([^;]+)/) || [])[1];
+
+    if (req.headers['x-api-key'] !== apiKey || !state.isAccessTokenValid(token)) {
+      return send(res, 401, { error: 'unauthorized' });
+    }
+
+    setTimeout(() => send(res, 200, {
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      body: body || null
+    }), state.apiDelayMs);
+  }
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const form = new URLSearchParams(body);
+
+      if (req.method === 'GET' && url.pathname === '/oauth2/auth') {
+        return handleAuthorize(url, res);
+      }
+      if (req.method === 'POST' && url.pathname === '/oauth2/token') {
+        return handleToken(req, form, res);
+      }
+      if (req.method === 'POST' && url.pathname === '/oauth2/revoke') {
+        return handleRevoke(form, res);
+      }
+      if (url.pathname.startsWith('/v1/acre/')) {
+        return handleApi(req, url, body, res);
+      }
+
+      send(res, 404, { error: 'not_found' });
+    });
+  });
+
+  /** Start listening (port 0 picks a free port). Resolves with the base URL. */
+  state.listen = (port = 0) => new Promise(resolve => {
+    server.listen(port, '127.0.0.1', () => {
+      state.url = `http://127.0.0.1:${server.address().port}`;
+      resolve(state.url);
+    });
+  });
+
+  state.close = () => new Promise(resolve => server.close(resolve));
+
+  return state;
+}
+
+module.exports = {
+  createMockAcre
+};
+
+// Standalone: node mock/acre-provider.js
+if (require.main === module) {
+  const mock = createMockAcre({
+    clientId: process.env.ACRE_CLIENT_ID || 'mock-client',
+    clientSecret: process.env.ACRE_CLIENT_SECRET || 'mock-secret',
+    apiKey: process.env.ACRE_API_KEY || 'mock-api-key'
+  });
+
+  mock.listen(parseInt(process.env.MOCK_ACRE_PORT, 10) || 8787).then(url => {
+    console.log(`🧪 Mock Acre OAuth provider listening on ${url}`);
+    console.log(`   ACRE_OAUTH_BASE_URL=${url}`);
+    console.log(`   ACRE_API_BASE=${url}/v1/acre`);
+  });
+}
@@ -0,0 +1,264 @@
+/**
+ * Acre API Proxy
+ *
+ * Forwards `/acre/*` to the Acre API with the current access token and API key
+ * injected, so an n8n workflow needs a single HTTP node:
+ *
+ *   GET /acre/case?page_size=10   →   GET https://api.myac.re/v1/acre/case?page_size=10
+ *
+ * - Protected by AUTH_SECRET or a client key with the `proxy` scope
+ * - Pick a connection with the `X-Acre-Connection` header (default: `default`)
+ * - Pick an environment profile with `X-Acre-Profile` (default: the deploy context's)
+ * - On an Acre 401, forces one token refresh and retries once
+ * - Both calls to Acre share ACRE_PROXY_TIMEOUT_MS (default 8000, inside the
+ *   Netlify function timeout); running out answers 504
+ * - Upstream status and body are passed back unchanged
+ * - A failed token refresh answers with get-token's `{ error, code, ... }` JSON
+ */
+
+const { resolveConnectionId, readTokens, readStatus } = require('../lib/token-store');
+const { needsRefresh, refreshConnection } = require('../lib/refresh');
+const { AcreTokenError, describeTokenError } = require('../lib/token-endpoint');
+const { authenticate } = require('../lib/auth');
+const { resolveProfile, getProfile, authStartUrl } = require('../lib/acre-config');
+const { sendAlert } = require('../lib/alerts');
+const log = require('../lib/logger');
+
+// Request headers passed through to Acre (everything else is dropped)
+const FORWARDED_REQUEST_HEADERS = ['accept', 'content-type', 'accept-language'];
+
+// Response headers passed back to the caller
+const FORWARDED_RESPONSE_HEADERS = ['content-type', 'content-disposition', 'location', 'retry-after'];
+
+const DEFAULT_UPSTREAM_TIMEOUT_MS = 8000;
+
+exports.handler = async (event, context) => {
+  log.startRequest('acre-proxy', event, context);
+
+  // Known once resolved, for the re-authentication links in error responses
+  let connectionId = null;
+  let profileName = null;
+
+  try {
+    log.info('Acre proxy request received', { method: event.httpMethod, path: event.path });
+
+    profileName = resolveProfile(
+      event.headers['x-acre-profile'] || event.headers['X-Acre-Profile']
+    );
+
+    if (!profileName) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: 'Unknown Profile',
+          message: 'X-Acre-Profile must name a profile listed in ACRE_PROFILES'
+        })
+      };
+    }
+
+    const profile = getProfile(profileName);
+    const apiKey = profile.apiKey;
+    if (!apiKey) {
+      return {
+        statusCode: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: 'Configuration Error',
+          message: `ACRE_API_KEY not configured in environment variables for profile "${profileName}"`
+        })
+      };
+    }
+
+    connectionId = resolveConnectionId(
+      event.headers['x-acre-connection'] || event.headers['X-Acre-Connection']
+    );
+
+    if (!connectionId) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: 'Invalid Connection',
+          message: 'X-Acre-Connection must be 1-64 letters, numbers, dashes or underscores'
+        })
+      };
+    }
+
+    log.setContext({ connection: connectionId, profile: profileName });
+
+    // Check authentication (AUTH_SECRET or a client key allowed for this connection)
+    const { principal, error: authError } = await authenticate(event, { scope: 'proxy', connectionId });
+    if (authError) {
+      return authError;
+    }
+
+    let tokenStorage = await readTokens(connectionId, profileName);
+    if (!tokenStorage) {
+      const status = await readStatus(connectionId, profileName);
+
+      if (status.disconnected) {
+        return {
+          statusCode: 410,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            error: 'Disconnected',
+            message: `Connection "${connectionId}" was disconnected at ${status.disconnected_at}. Re-authenticate to use it again.`,
+            action: `Visit ${authStartUrl(connectionId, profileName)} to authenticate`
+          })
+        };
+      }
+
+      await sendAlert('tokens_missing', {
+        connection: connectionId,
+        profile: profileName,
+        message: `A proxy request for "${connectionId}" failed because no tokens are stored. Log in to connect it.`,
+        details: { client: principal.label }
+      });
+
+      return {
+        statusCode: 404,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: 'No Tokens Found',
+          message: `You need to complete the OAuth flow first for connection "${connectionId}".`,
+          action: `Visit ${authStartUrl(connectionId, profileName)} to authenticate`
+        })
+      };
+    }
+
+    if (needsRefresh(tokenStorage)) {
+      log.info('Token expired or expiring soon, refreshing before proxying');
+      tokenStorage = (await refreshConnection(connectionId, tokenStorage, profileName)).tokenStorage;
+    }
+
+    const upstreamUrl = buildUpstreamUrl(event, profile.apiBase);
+    const deadline = Date.now() + upstreamTimeoutMs();
+    let upstreamResponse = await forward(event, upstreamUrl, tokenStorage.access_token, apiKey, deadline);
+
+    // Acre rejected the token - force one refresh and retry once
+    if (upstreamResponse.status === 401) {
+      log.info('Acre returned 401, forcing a token refresh and retrying once');
+      tokenStorage = (await refreshConnection(connectionId, tokenStorage, profileName)).tokenStorage;
+      upstreamResponse = await forward(event, upstreamUrl, tokenStorage.access_token, apiKey, deadline);
+    }
+
+    log.info('Acre responded', { status: upstreamResponse.status, connection: connectionId, profile: profileName });
+
+    return await toProxyResponse(upstreamResponse);
+
+  } catch (error) {
+    log.error('Error in acre-proxy', { error: error.message, code: error.code || null });
+
+    if (error instanceof AcreTokenError) {
+      const failure = describeTokenError(error, connectionId, profileName);
+      return {
+        statusCode: failure.statusCode,
+        headers: { 'Content-Type': 'application/json', ...failure.headers },
+        body: JSON.stringify(failure.body)
+      };
+    }
+
+    if (error.name === 'TimeoutError') {
+      return {
+        statusCode: 504,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: 'Upstream Timeout',
+          message: `Acre did not answer within ${upstreamTimeoutMs()} ms`,
+          action: 'Retry the request; narrow it down (e.g. a smaller page_size) if it keeps timing out'
+        })
+      };
+    }
+
+    return {
+      statusCode: 502,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        error: 'Proxy Error',
+        message: error.message,
+        action: `If the token could not be refreshed, you may need to re-authenticate. Visit ${connectionId ? authStartUrl(connectionId, profileName) : '/auth-start'}`
+      })
+    };
+  }
+};
+
+/**
+ * Map the incoming path and query onto the profile's Acre API base URL
+ */
+function buildUpstreamUrl(event, apiBase) {
+  const path = (event.path || '')
+    .replace(/^\/\.netlify\/functions\/acre-proxy/, '')
+    .replace(/^\/acre/, '');
+
+  const url = new URL(`${apiBase}${path}`);
+
+  if (event.rawQuery) {
+    url.search = event.rawQuery;
+  } else {
+    const query = event.multiValueQueryStringParameters || {};
+    for (const [name, values] of Object.entries(query)) {
+      for (const value of [].concat(values)) {
+        url.searchParams.append(name, value);
+      }
+    }
+  }
+
+  return url.toString();
+}
+
+function upstreamTimeoutMs() {
+  const value = parseInt(process.env.ACRE_PROXY_TIMEOUT_MS, 10);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_UPSTREAM_TIMEOUT_MS;
+}
+
+/**
+ * Send the request to Acre with the token and API key injected, giving up at `deadline`
+ */
+async function forward(event, upstreamUrl, accessToken, apiKey, deadline) {
+  const headers = {};
+  for (const [name, value] of Object.entries(event.headers || {})) {
+    if (FORWARDED_REQUEST_HEADERS.includes(name.toLowerCase())) {
+      headers[name.toLowerCase()] = value;
+    }
+  }
+
+  headers['Cookie'] = `authorization=${accessToken}`;
+  headers['X-API-KEY'] = apiKey;
+
+  const method = (event.httpMethod || 'GET').toUpperCase();
+  const hasBody = !['GET', 'HEAD'].includes(method) && event.body;
+
+  return fetch(upstreamUrl, {
+    method,
+    headers,
+    body: hasBody
+      ? (event.isBase64Encoded ? Buffer.from(event.body, 'base64') : event.body)
+      : undefined,
+    signal: AbortSignal.timeout(Math.max(deadline - Date.now(), 1))
+  });
+}
+
+/**
+ * Pass Acre's status and body back unchanged
+ */
+async function toProxyResponse(upstreamResponse) {
+  const headers = {};
+  for (const name of FORWARDED_RESPONSE_HEADERS) {
+    const value = upstreamResponse.headers.get(name);
+    if (value) {
+      headers[name] = value;
+    }
+  }
+
+  const contentType = upstreamResponse.headers.get('content-type') || '';
+  const isText = !contentType || /json|text|xml|javascript|x-www-form-urlencoded/.test(contentType);
+  const body = Buffer.from(await upstreamResponse.arrayBuffer());
+
+  return {
+    statusCode: upstreamResponse.status,
+    headers,
+    body: isText ? body.toString('utf8') : body.toString('base64'),
+    isBase64Encoded: !isText
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * Acre Webhook Receiver
+ *
+ * POST /acre-webhook
+ *
+ * 1. Verifies the event with ACRE_WEBHOOK_SECRET (HMAC signature or shared secret)
+ * 2. Drops duplicates by event id (Acre may deliver the same event more than once)
+ * 3. Stores the event in the `acre-webhooks` store
+ * 4. Forwards it to every URL in N8N_WEBHOOK_URLS, retrying failed deliveries
+ *    and dead-lettering the ones that never succeed (replay via /webhook-replay)
+ *
+ * Acre always gets a 200 once the event is stored - delivery failures are ours
+ * to retry, not Acre's. If storing or forwarding throws after the event was
+ * claimed, the claim is released and Acre gets a 500, so its redelivery is
+ * processed instead of being dropped as a duplicate.
+ */
+
+const {
+  webhookTargets,
+  verifyWebhook,
+  eventIdFor,
+  claimEvent,
+  releaseEvent,
+  fanOut
+} = require('../lib/webhooks');
+const { recordAuditEvent } = require('../lib/audit');
+const log = require('../lib/logger');
+
+exports.handler = async (event, context) => {
+  log.startRequest('acre-webhook', event, context);
+
+  try {
+    log.info('Acre webhook received');
+
+    if (event.httpMethod !== 'POST') {
+      return json(405, { error: 'Method Not Allowed', message: 'Acre webhooks must be POSTed' });
+    }
+
+    const rawBody = event.isBase64Encoded
+      ? Buffer.from(event.body || '', 'base64')
+      : Buffer.from(event.body || '', 'utf8');
+
+    const verification = verifyWebhook(event.headers, rawBody);
+    if (!verification.ok) {
+      if (verification.reason === 'not_configured') {
+        log.error('ACRE_WEBHOOK_SECRET not configured');
+        return json(500, {
+          error: 'Configuration Error',
+          message: 'ACRE_WEBHOOK_SECRET not configured in environment variables'
+        });
+      }
+
+      log.warn('Webhook verification failed', { reason: verification.reason });
+      await recordAuditEvent('webhook_rejected', { event, details: { reason: verification.reason } });
+      return json(401, { error: 'Unauthorized', message: 'Invalid or missing webhook signature' });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch (parseError) {
+      return json(400, { error: 'Invalid Request', message: 'Body must be JSON' });
+    }
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      return json(400, { error: 'Invalid Request', message: 'Body must be a JSON object' });
+    }
+
+    const record = {
+      id: eventIdFor(payload, event.headers, rawBody),
+      type: payload.type || payload.event_type || payload.event || null,
+      received_at: new Date().toISOString(),
+      payload,
+      deliveries: {}
+    };
+
+    // Only the first delivery of an event id is stored and forwarded
+    if (!(await claimEvent(record))) {
+      log.info('Duplicate webhook ignored', { id: record.id });
+      return json(200, { received: true, duplicate: true, id: record.id });
+    }
+
+    try {
+      await recordAuditEvent('webhook_received', { event, details: { id: record.id, event_type: record.type } });
+
+      if (!webhookTargets().length) {
+        log.warn('N8N_WEBHOOK_URLS not configured - event stored but not forwarded', { id: record.id });
+        return json(200, { received: true, duplicate: false, id: record.id, deliveries: [] });
+      }
+
+      const deliveries = await fanOut(record);
+      const failed = deliveries.filter(delivery => delivery.status === 'failed');
+
+      if (failed.length) {
+        await recordAuditEvent('webhook_dead_lettered', {
+          event,
+          details: { id: record.id, targets: failed.map(delivery => delivery.target) }
+        });
+      }
+
+      log.info('Webhook processed', {
+        id: record.id,
+        delivered: deliveries.length - failed.length,
+        dead_lettered: failed.length
+      });
+
+      return json(200, { received: true, duplicate: false, id: record.id, deliveries });
+    } catch (processingError) {
+      log.error('Webhook processing failed, releasing the event for redelivery', { id: record.id, error: processingError.message });
+      await releaseEvent(record).catch(releaseError => {
+        log.error('Could not release the webhook event', { id: record.id, error: releaseError.message });
+      });
+      return json(500, { error: 'Processing Failed', message: 'The event could not be processed. Retry the delivery.', id: record.id });
+    }
+
+  } catch (error) {
+    log.error('Unexpected error in acre-webhook', error);
+
+    return json(500, {
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  };
+}
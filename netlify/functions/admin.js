@@ -0,0 +1,287 @@
+/**
+ * Admin Status Dashboard
+ *
+ * Shows the health of every stored connection and offers manual actions:
+ * - Force a token refresh
+ * - Clear stored tokens (audited; the version history is kept for /token-history rollbacks)
+ * - Restart the OAuth flow via /auth-start
+ *
+ * One environment profile is shown at a time (`?profile=<name>`, default: the
+ * deploy context's profile), with links to switch between them.
+ *
+ * Protected by HTTP Basic auth: user `admin`, password ADMIN_PASSWORD.
+ * Token values are never shown on this page.
+ */
+
+const crypto = require('crypto');
+const {
+  getTokenStore,
+  listConnections,
+  readTokens,
+  readStatus,
+  updateStatus,
+  deleteTokens,
+  resolveConnectionId
+} = require('../lib/token-store');
+const { refreshConnection } = require('../lib/refresh');
+const { safeEqual } = require('../lib/client-keys');
+const { recordAuditEvent } = require('../lib/audit');
+const { listProfiles, resolveProfile } = require('../lib/acre-config');
+const { layout, raw, escapeHtml } = require('../lib/render');
+const log = require('../lib/logger');
+
+exports.handler = async (event, context) => {
+  log.startRequest('admin', event, context);
+
+  try {
+    const adminPassword = process.env.ADMIN_PASSWORD;
+
+    if (!adminPassword) {
+      return {
+        statusCode: 500,
+        headers: { 'Content-Type': 'text/html' },
+        body: page('❌ Configuration Error', `
+          <p><strong>ADMIN_PASSWORD is not set.</strong></p>
+          <p>Set it in Netlify Dashboard → Site Settings → Environment Variables to enable this page.</p>
+        `)
+      };
+    }
+
+    if (!isAuthorized(event, adminPassword)) {
+      log.warn('Unauthorized admin request');
+      if (event.headers.authorization || event.headers.Authorization) {
+        await recordAuditEvent('unauthorized', { event, details: { path: '/admin' } });
+      }
+      return {
+        statusCode: 401,
+        headers: {
+          'Content-Type': 'text/html',
+          'WWW-Authenticate': 'Basic realm="Acre OAuth Admin", charset="UTF-8"'
+        },
+        body: page('🔒 Authentication Required', '<p>Log in as <code>admin</code> with ADMIN_PASSWORD.</p>')
+      };
+    }
+
+    const csrfToken = crypto.createHmac('sha256', adminPassword).update('admin-actions').digest('hex');
+
+    if (event.httpMethod === 'POST') {
+      return await handleAction(event, csrfToken);
+    }
+
+    return await renderDashboard(event, csrfToken);
+
+  } catch (error) {
+    log.error('Unexpected error in admin', error);
+
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'text/html' },
+      body: page('❌ Unexpected Error', `<p>${escapeHtml(error.message)}</p><p><a href="/admin">Back</a></p>`)
+    };
+  }
+};
+
+/**
+ * Check HTTP Basic credentials (constant-time)
+ */
+function isAuthorized(event, adminPassword) {
+  const header = event.headers.authorization || event.headers.Authorization || '';
+  const match = /^Basic\s+(.+)$/i.exec(header);
+  if (!match) {
+    return false;
+  }
+
+  const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+  return safeEqual(decoded, `admin:${adminPassword}`);
+}
+
+/**
+ * Run a force-refresh or clear action, then redirect back to the dashboard
+ */
+async function handleAction(event, csrfToken) {
+  const rawBody = event.isBase64Encoded
+    ? Buffer.from(event.body || '', 'base64').toString('utf8')
+    : (event.body || '');
+  const form = new URLSearchParams(rawBody);
+
+  if (!safeEqual(form.get('csrf') || '', csrfToken)) {
+    return redirect('Action rejected: invalid form token');
+  }
+
+  const profileName = resolveProfile(form.get('profile'));
+  if (!profileName) {
+    return redirect('Action rejected: unknown profile');
+  }
+
+  const connectionId = resolveConnectionId(form.get('connection'));
+  if (!connectionId) {
+    return redirect('Action rejected: invalid connection', profileName);
+  }
+
+  log.setContext({ connection: connectionId, profile: profileName });
+
+  const action = form.get('action');
+  log.info('Admin action', { action, connection: connectionId, profile: profileName });
+
+  if (action === 'refresh') {
+    const tokenStorage = await readTokens(connectionId, profileName);
+    if (!tokenStorage) {
+      return redirect(`No tokens stored for "${connectionId}"`, profileName);
+    }
+
+    try {
+      await refreshConnection(connectionId, tokenStorage, profileName);
+      return redirect(`Refreshed "${connectionId}"`, profileName);
+    } catch (refreshError) {
+      return redirect(`Refresh failed for "${connectionId}": ${refreshError.message}`, profileName);
+    }
+  }
+
+  if (action === 'clear') {
+    await deleteTokens(connectionId, profileName, { keepHistory: true });
+    await updateStatus(connectionId, {
+      cleared_at: new Date().toISOString(),
+      needs_reauth: true
+    }, profileName);
+    await recordAuditEvent('tokens_cleared', {
+      connection: connectionId,
+      event,
+      details: { client: 'admin', profile: profileName }
+    });
+    return redirect(`Cleared tokens for "${connectionId}"`, profileName);
+  }
+
+  return redirect(`Unknown action "${action}"`, profileName);
+}
+
+/**
+ * Render the status table for every known connection of one profile
+ */
+async function renderDashboard(event, csrfToken) {
+  const profileName = resolveProfile(event.queryStringParameters?.profile);
+  if (!profileName) {
+    return redirect('Unknown profile');
+  }
+
+  const store = getTokenStore(profileName);
+  const withTokens = await listConnections(profileName);
+  const { blobs: statusBlobs } = await store.list({ prefix: 'status/' });
+  const withStatus = statusBlobs.map(blob => blob.key.replace(/^status\//, ''));
+  const connections = [...new Set([...withTokens, ...withStatus])].sort();
+
+  const rows = await Promise.all(connections.map(async connectionId => {
+    const [tokenStorage, status] = await Promise.all([
+      readTokens(connectionId, profileName).catch(error => ({ read_error: error.message })),
+      readStatus(connectionId, profileName)
+    ]);
+    return renderRow(connectionId, profileName, tokenStorage, status, csrfToken);
+  }));
+
+  // Scheduled runs cover every profile and are recorded in the deploy's default store
+  const runs = (await getTokenStore().get('runs/scheduled-refresh', { type: 'json' })) || [];
+  const profileLinks = listProfiles().map(name => name === profileName
+    ? `<strong>${escapeHtml(name)}</strong>`
+    : `<a href="/admin?profile=${encodeURIComponent(name)}">${escapeHtml(name)}</a>`);
+  const lastRun = runs[0];
+  const message = event.queryStringParameters?.message;
+
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'text/html',
+      'Cache-Control': 'no-store'
+    },
+    body: page('🛠️ Acre OAuth Admin', `
+      ${message ? `<p class="flash">${escapeHtml(message)}</p>` : ''}
+      <p>Profile: ${profileLinks.join(' · ')}</p>
+      <table>
+        <thead>
+          <tr>
+            <th>Connection</th>
+            <th>Created</th>
+            <th>Expires</th>
+            <th>Scope</th>
+            <th>Last refresh</th>
+            <th>Last error</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.join('') || `<tr><td colspan="7">No connections yet. <a href="/auth-start?profile=${encodeURIComponent(profileName)}">Start the OAuth flow</a></td></tr>`}
+        </tbody>
+      </table>
+      <p class="muted">
+        Background refresh: ${lastRun
+          ? `last run ${escapeHtml(lastRun.finished_at)} - ${lastRun.refreshed} refreshed, ${lastRun.failed} failed, ${lastRun.skipped} skipped`
+          : 'no runs recorded yet'}
+      </p>
+    `)
+  };
+}
+
+function renderRow(connectionId, profileName, tokenStorage, status, csrfToken) {
+  const id = escapeHtml(connectionId);
+  const hasTokens = tokenStorage && !tokenStorage.read_error;
+  const expired = hasTokens && new Date(tokenStorage.expires_at) <= new Date();
+
+  let health = '✅';
+  if (!hasTokens || status.needs_reauth) {
+    health = '⛔';
+  } else if (expired || status.last_refresh_result === 'failed') {
+    health = '⚠️';
+  }
+
+  const form = (action, label, confirmText) => `
+    <form method="POST" action="/admin" onsubmit="return confirm('${confirmText}')">
+      <input type="hidden" name="csrf" value="${csrfToken}">
+      <input type="hidden" name="connection" value="${id}">
+      <input type="hidden" name="profile" value="${escapeHtml(profileName)}">
+      <input type="hidden" name="action" value="${action}">
+      <button type="submit">${label}</button>
+    </form>`;
+
+  return `
+    <tr>
+      <td>${health} <strong>${id}</strong>${status.needs_reauth ? '<br><small>needs re-authentication</small>' : ''}</td>
+      <td>${hasTokens ? escapeHtml(tokenStorage.created_at) : '-'}</td>
+      <td>${hasTokens ? escapeHtml(tokenStorage.expires_at) : (tokenStorage?.read_error ? 'unreadable' : 'no tokens')}</td>
+      <td>${hasTokens ? escapeHtml(tokenStorage.scope || '-') : '-'}</td>
+      <td>${status.last_refresh_result
+        ? `${escapeHtml(status.last_refresh_result)}<br><small>${escapeHtml(status.last_refresh_at)}</small>`
+        : '-'}</td>
+      <td>${escapeHtml(status.last_error || tokenStorage?.read_error || '-')}</td>
+      <td class="actions">
+        ${hasTokens ? form('refresh', '🔄 Force refresh', 'Force a token refresh now?') : ''}
+        ${hasTokens ? form('clear', '🗑️ Clear tokens', 'Delete the stored tokens for this connection?') : ''}
+        <a href="/auth-start?connection=${encodeURIComponent(connectionId)}&amp;profile=${encodeURIComponent(profileName)}">🔑 Restart OAuth</a>
+      </td>
+    </tr>`;
+}
+
+function redirect(message, profileName) {
+  const profileQuery = profileName ? `profile=${encodeURIComponent(profileName)}&` : '';
+  return {
+    statusCode: 303,
+    headers: {
+      'Location': `/admin?${profileQuery}message=${encodeURIComponent(message)}`,
+      'Cache-Control': 'no-store'
+    },
+    body: ''
+  };
+}
+
+function page(title, content) {
+  return layout({
+    title,
+    content: raw(content),
+    width: 1100,
+    style: `
+      table { width: 100%; border-collapse: collapse; }
+      th, td { text-align: left; padding: 10px; border-bottom: 1px solid #e5e7eb; vertical-align: top; font-size: 0.9em; }
+      th { background: #f8fafc; }
+      .actions form { display: inline; }
+      .actions button, .actions a { margin: 2px 4px 2px 0; font-size: 0.85em; }
+      .flash { background: #f0f9ff; padding: 12px; border-radius: 8px; border-left: 4px solid var(--brand); }
+    `
+  });
+}
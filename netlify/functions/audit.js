@@ -0,0 +1,89 @@
+/**
+ * Audit Log Query API
+ *
+ * Returns recorded OAuth / token events, newest first.
+ * Requires AUTH_SECRET or a client key with the `admin` scope.
+ *
+ * GET /audit?from=<ISO>&to=<ISO>&type=refresh_failed,unauthorized&connection=<id>&limit=50&cursor=<next_cursor>
+ *
+ * - from / to    time range (default: last 7 days, at most 31 days)
+ * - type         comma-separated event types
+ * - connection   only events for this connection
+ * - limit        page size (1-200, default 50)
+ * - cursor       `next_cursor` from the previous page
+ */
+
+const { authenticate } = require('../lib/auth');
+const { EVENT_TYPES, queryAuditEvents } = require('../lib/audit');
+const { resolveConnectionId } = require('../lib/token-store');
+const log = require('../lib/logger');
+
+exports.handler = async (event, context) => {
+  log.startRequest('audit', event, context);
+
+  try {
+    log.info('Audit query received');
+
+    const { error: authError } = await authenticate(event, { scope: 'admin' });
+    if (authError) {
+      return authError;
+    }
+
+    const params = event.queryStringParameters || {};
+
+    const types = params.type ? params.type.split(',').map(type => type.trim()).filter(Boolean) : null;
+    const unknownTypes = (types || []).filter(type => !EVENT_TYPES.includes(type));
+    if (unknownTypes.length) {
+      return json(400, {
+        error: 'Invalid Request',
+        message: `Unknown event type(s): ${unknownTypes.join(', ')}. Allowed: ${EVENT_TYPES.join(', ')}`
+      });
+    }
+
+    const connection = params.connection ? resolveConnectionId(params.connection) : null;
+    if (params.connection && !connection) {
+      return json(400, {
+        error: 'Invalid Request',
+        message: 'Connection id must be 1-64 letters, numbers, dashes or underscores'
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || 50, 1), 200);
+
+    let result;
+    try {
+      result = await queryAuditEvents({
+        from: params.from,
+        to: params.to,
+        types,
+        connection,
+        limit,
+        cursor: params.cursor
+      });
+    } catch (queryError) {
+      return json(400, { error: 'Invalid Request', message: queryError.message });
+    }
+
+    return json(200, {
+      count: result.events.length,
+      events: result.events,
+      next_cursor: result.next_cursor
+    });
+
+  } catch (error) {
+    log.error('Unexpected error in audit', error);
+
+    return json(500, {
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  };
+}
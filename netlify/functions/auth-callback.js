@@ -2,17 +2,41 @@
  * OAuth Flow Step 2: Handle Callback & Store Tokens
  *
  * This function:
- * 1. Validates the state parameter (CSRF protection)
+ * 1. Validates the signed oauth_session cookie (CSRF protection, single use)
  * 2. Exchanges the authorization code for access + refresh tokens
- * 3. Stores tokens securely in Netlify Blobs
- * 4. Shows success page
+ * 3. Stores tokens securely in Netlify Blobs (under the connection and profile chosen in auth-start)
+ * 4. Shows success page, or redirects to the `return_to` URL given to auth-start
+ *
+ * Errors are HTML pages, or `{ error, message, action }` JSON for clients
+ * sending `Accept: application/json` (see render.js). A failed code exchange
+ * also carries the token endpoint's error `code` (see token-endpoint.js).
  */
 
-const { getStore } = require('@netlify/blobs');
+const { resolveConnectionId, writeTokens, updateStatus } = require('../lib/token-store');
+const { recordAuditEvent } = require('../lib/audit');
+const { resolveAlerts } = require('../lib/alerts');
+const { resolveProfile, getProfile, authStartUrl } = require('../lib/acre-config');
+const { ERROR_CODES, requestToken, describeTokenError } = require('../lib/token-endpoint');
+const {
+  COOKIE_NAME,
+  verifySession,
+  consumeNonce,
+  clearSessionCookie
+} = require('../lib/oauth-session');
+const { html, pageResponse, errorResponse, showErrorDetails } = require('../lib/render');
+const log = require('../lib/logger');
+
+// Acre requires STATE to be exactly this value (see auth-start)
+const EXPECTED_STATE = 'ABCDEFGHIJKLMNOP';
+
+const START_OVER = { href: '/auth-start', label: 'Start over' };
+const TRY_AGAIN = { href: '/auth-start', label: 'Try again' };
 
 exports.handler = async (event, context) => {
+  log.startRequest('auth-callback', event, context);
+
   try {
-    console.log('🔄 OAuth callback received');
+    log.info('OAuth callback received');
 
     // Extract query parameters
     const code = event.queryStringParameters?.code;
@@ -20,170 +44,138 @@ exports.handler = async (event, context) => {
     const error = event.queryStringParameters?.error;
     const errorDescription = event.queryStringParameters?.error_description;
 
+    // Signed session issued by auth-start (carries the connection and return URL)
+    const cookies = event.headers.cookie || '';
+    const { session, reason: sessionError } = verifySession(getCookie(cookies, COOKIE_NAME));
+    const auditConnection = session ? resolveConnectionId(session.connection) : null;
+
     // Check for OAuth errors from Acre
     if (error) {
-      console.error('❌ OAuth error from Acre:', error, errorDescription);
-      return {
-        statusCode: 400,
-        headers: { 'Content-Type': 'text/html' },
-        body: `
-          <html>
-            <body style="font-family: system-ui; padding: 40px; max-width: 600px; margin: 0 auto;">
-              <h1>❌ Authentication Failed</h1>
-              <p><strong>Error:</strong> ${error}</p>
-              <p><strong>Description:</strong> ${errorDescription || 'No details provided'}</p>
-              <p><a href="/auth-start">Try again</a></p>
-            </body>
-          </html>
-        `
-      };
+      log.warn('OAuth error from Acre', { error, error_description: errorDescription });
+      await recordAuditEvent('callback_failed', {
+        connection: auditConnection,
+        event,
+        details: { reason: 'acre_error', error, error_description: errorDescription }
+      });
+      return errorResponse(event, 400, {
+        error: 'Authentication Failed',
+        message: `Acre returned "${error}": ${errorDescription || 'No details provided'}`,
+        action: 'Start the login again at /auth-start',
+        link: TRY_AGAIN
+      });
     }
 
     // Validate authorization code exists
     if (!code) {
-      console.error('❌ Missing authorization code');
-      return {
-        statusCode: 400,
-        headers: { 'Content-Type': 'text/html' },
-        body: `
-          <html>
-            <body style="font-family: system-ui; padding: 40px; max-width: 600px; margin: 0 auto;">
-              <h1>❌ Invalid Request</h1>
-              <p><strong>Missing authorization code.</strong></p>
-              <p>The OAuth callback did not receive a valid authorization code.</p>
-              <p><a href="/auth-start">Start over</a></p>
-            </body>
-          </html>
-        `
-      };
+      log.warn('Missing authorization code');
+      await recordAuditEvent('callback_failed', {
+        connection: auditConnection,
+        event,
+        details: { reason: 'missing_code' }
+      });
+      return errorResponse(event, 400, {
+        error: 'Invalid Request',
+        message: 'Missing authorization code. The OAuth callback did not receive a valid authorization code.',
+        action: 'Start the login again at /auth-start',
+        link: START_OVER
+      });
     }
 
-    // Validate state parameter (CSRF protection)
-    const cookies = event.headers.cookie || '';
-    const stateCookie = cookies.split(';')
-      .find(c => c.trim().startsWith('oauth_state='))
-      ?.split('=')[1];
-
-    if (!stateCookie || stateCookie !== state) {
-      console.error('❌ State mismatch', {
-        expected: stateCookie,
-        received: state
+    // Validate state and the signed session (CSRF protection)
+    // The nonce is consumed here, so a session can't be replayed
+    const rejection = state !== EXPECTED_STATE
+      ? 'state_mismatch'
+      : sessionError || (await consumeNonce(session) ? null : 'nonce_reused');
+
+    if (rejection) {
+      log.warn('OAuth session rejected', { reason: rejection });
+      await recordAuditEvent('state_mismatch', {
+        connection: auditConnection,
+        event,
+        details: { reason: rejection }
+      });
+      return errorResponse(event, 403, {
+        error: 'Security Error',
+        message: 'The login session is invalid, expired or was already used. This could be a CSRF attack or an expired session.',
+        action: 'Start the login again at /auth-start',
+        link: START_OVER,
+        headers: { 'Set-Cookie': clearSessionCookie() }
+      });
+    }
+
+    log.info('Session validation passed');
+
+    // Which connection and profile is this login for? (set by auth-start)
+    const connectionId = resolveConnectionId(session.connection);
+    const profileName = resolveProfile(session.profile);
+
+    if (!connectionId || !profileName) {
+      log.warn('Invalid connection in session');
+      return errorResponse(event, 400, {
+        error: 'Invalid Connection',
+        message: 'The connection for this login could not be determined.',
+        action: 'Start the login again at /auth-start',
+        link: START_OVER
       });
-      return {
-        statusCode: 403,
-        headers: { 'Content-Type': 'text/html' },
-        body: `
-          <html>
-            <body style="font-family: system-ui; padding: 40px; max-width: 600px; margin: 0 auto;">
-              <h1>❌ Security Error</h1>
-              <p><strong>State parameter mismatch.</strong></p>
-              <p>This could be a CSRF attack or an expired session.</p>
-              <p><a href="/auth-start">Start over</a></p>
-            </body>
-          </html>
-        `
-      };
     }
 
-    console.log('✅ State validation passed');
+    log.setContext({ connection: connectionId, profile: profileName });
 
-    // Get environment variables
-    const clientId = process.env.ACRE_CLIENT_ID;
-    const clientSecret = process.env.ACRE_CLIENT_SECRET;
-    const apiKey = process.env.ACRE_API_KEY;
-    const redirectUri = process.env.NETLIFY_URL
-      ? `${process.env.NETLIFY_URL}/.netlify/functions/auth-callback`
-      : `https://acre-test.netlify.app/.netlify/functions/auth-callback`;
+    // Get environment variables for the profile; the redirect URI must match
+    // the one auth-start sent to Acre
+    const { clientId, clientSecret, apiKey, tokenUrl } = getProfile(profileName);
+    const redirectUri = session.redirect_uri;
 
     // Validate environment variables
-    if (!clientId || !clientSecret || !apiKey) {
-      console.error('❌ Missing required environment variables');
-      return {
-        statusCode: 500,
-        headers: { 'Content-Type': 'text/html' },
-        body: `
-          <html>
-            <body style="font-family: system-ui; padding: 40px; max-width: 600px; margin: 0 auto;">
-              <h1>❌ Configuration Error</h1>
-              <p><strong>Missing required environment variables.</strong></p>
-              <p>Please ensure these are set in Netlify:</p>
-              <ul>
-                <li>ACRE_CLIENT_ID</li>
-                <li>ACRE_CLIENT_SECRET</li>
-                <li>ACRE_API_KEY</li>
-              </ul>
-            </body>
-          </html>
-        `
-      };
+    if (!clientId || !clientSecret || !apiKey || !redirectUri) {
+      log.error('Missing required environment variables');
+      return errorResponse(event, 500, {
+        error: 'Configuration Error',
+        code: ERROR_CODES.MISCONFIGURED,
+        message: 'Missing required environment variables.',
+        action: 'Set ACRE_CLIENT_ID, ACRE_CLIENT_SECRET and ACRE_API_KEY in Netlify.'
+      });
     }
 
     // Exchange authorization code for tokens
-    console.log('🔄 Exchanging authorization code for tokens...');
-    console.log('📋 Debug Info:', {
-      tokenUrl: 'https://oauth.acreplatforms.net/oauth2/token',
+    log.info('Exchanging authorization code for tokens');
+    log.debug('Token request', {
+      token_url: tokenUrl,
       client_id: clientId,
-      client_id_length: clientId?.length,
-      client_secret_length: clientSecret?.length,
-      client_secret_starts: clientSecret?.substring(0, 5) + '...',
-      api_key: apiKey,
-      api_key_length: apiKey?.length,
       redirect_uri: redirectUri,
-      code_length: code?.length,
       grant_type: 'authorization_code'
     });
 
-    const tokenUrl = 'https://oauth.acreplatforms.net/oauth2/token';
-
-    // Acre requires 'client_secret_post' authentication method
-    // (client_id and client_secret in POST body, not Basic Auth)
-    const tokenParams = new URLSearchParams({
-      grant_type: 'authorization_code',
-      code: code,
-      client_id: clientId,
-      client_secret: clientSecret,
-      redirect_uri: redirectUri
-    });
-
-    console.log('📤 Request body:', tokenParams.toString().replace(clientSecret, 'REDACTED'));
-
-    const tokenResponse = await fetch(tokenUrl, {
-      method: 'POST',
-      headers: {
-        'X-API-KEY': apiKey,
-        'Content-Type': 'application/x-www-form-urlencoded',
-        'Accept': 'application/json'
-      },
-      body: tokenParams.toString()
-    });
-
-    if (!tokenResponse.ok) {
-      const errorText = await tokenResponse.text();
-      console.error('❌ Token exchange failed:', {
-        status: tokenResponse.status,
-        statusText: tokenResponse.statusText,
-        body: errorText
+    let tokenData;
+    try {
+      tokenData = await requestToken(profileName, {
+        grant_type: 'authorization_code',
+        code: code,
+        redirect_uri: redirectUri
+      });
+    } catch (exchangeError) {
+      log.error('Token exchange failed', { error: exchangeError.message, code: exchangeError.code || null });
+      await recordAuditEvent('callback_failed', {
+        connection: connectionId,
+        event,
+        details: { reason: 'token_exchange_failed', code: exchangeError.code || null, status: exchangeError.status || null }
       });
 
-      return {
-        statusCode: 500,
-        headers: { 'Content-Type': 'text/html' },
-        body: `
-          <html>
-            <body style="font-family: system-ui; padding: 40px; max-width: 600px; margin: 0 auto;">
-              <h1>❌ Token Exchange Failed</h1>
-              <p><strong>Failed to exchange authorization code for tokens.</strong></p>
-              <p><strong>Status:</strong> ${tokenResponse.status} ${tokenResponse.statusText}</p>
-              <p><strong>Details:</strong> ${errorText}</p>
-              <p><a href="/auth-start">Try again</a></p>
-            </body>
-          </html>
-        `
-      };
+      const failure = describeTokenError(exchangeError, connectionId, profileName);
+      return errorResponse(event, failure.statusCode, {
+        error: 'Token Exchange Failed',
+        code: failure.body.code,
+        message: `Failed to exchange authorization code for tokens: ${exchangeError.message}`,
+        action: exchangeError.code === ERROR_CODES.MISCONFIGURED
+          ? failure.body.action
+          : `Start the login again at ${authStartUrl(connectionId, profileName)}`,
+        headers: failure.headers,
+        details: exchangeError,
+        link: TRY_AGAIN
+      });
     }
 
-    const tokenData = await tokenResponse.json();
-    console.log('✅ Tokens received successfully:', {
+    log.info('Tokens received successfully', {
       token_type: tokenData.token_type,
       expires_in: tokenData.expires_in,
       has_access_token: !!tokenData.access_token,
@@ -199,6 +191,7 @@ exports.handler = async (event, context) => {
     const tokenStorage = {
       access_token: tokenData.access_token,
       refresh_token: tokenData.refresh_token,
+      refresh_token_issued_at: createdAt,
       token_type: tokenData.token_type || 'Bearer',
       expires_in: expiresIn,
       expires_at: expiresAt,
@@ -207,183 +200,141 @@ exports.handler = async (event, context) => {
     };
 
     // Store tokens in Netlify Blobs
-    console.log('💾 Storing tokens in Netlify Blobs...');
+    log.info('Storing tokens in Netlify Blobs');
 
     try {
-      // Configure Blobs store with environment variables
-      const store = getStore({
-        name: 'acre-tokens',
-        siteID: process.env.site_id_real || process.env.NETLIFY_SITE_ID,
-        token: process.env.NETLIFY_AUTH_TOKEN
+      await writeTokens(connectionId, tokenStorage, profileName, { reason: 'login' });
+      await updateStatus(connectionId, {
+        last_login_at: createdAt,
+        last_error: null,
+        needs_reauth: false,
+        disconnected: false
+      }, profileName);
+      log.info('Tokens stored successfully in Netlify Blobs');
+    } catch (blobError) {
+      log.error('Failed to store tokens', { error: blobError.message });
+      await recordAuditEvent('callback_failed', {
+        connection: connectionId,
+        event,
+        details: { reason: 'token_storage_failed', profile: profileName, message: blobError.message }
       });
-      await store.set('tokens', JSON.stringify(tokenStorage), {
-        metadata: {
-          created_at: createdAt,
-          expires_at: expiresAt
-        }
+
+      return errorResponse(event, 500, {
+        error: 'Token Storage Failed',
+        message: 'Acre issued tokens, but they could not be stored, so the connection was not saved.',
+        action: 'Check TOKEN_ENCRYPTION_KEYS and the storage backend (see /setup), then log in again at /auth-start.',
+        details: blobError,
+        link: TRY_AGAIN
       });
-      console.log('✅ Tokens stored successfully in Netlify Blobs');
-    } catch (blobError) {
-      console.error('⚠️ Failed to store in Blobs:', blobError.message);
-      console.log('📝 Tokens will be displayed on page for manual storage');
     }
 
-    console.log('✅ Tokens stored successfully');
+    await resolveAlerts(connectionId, profileName);
+
+    await recordAuditEvent('callback_succeeded', {
+      connection: connectionId,
+      event,
+      details: { profile: profileName, expires_at: expiresAt, scope: tokenStorage.scope }
+    });
+
+    log.info('Tokens stored successfully');
+
+    // Query string for /get-token (profile only when it isn't this deploy's default)
+    const tokenQuery = profileName === resolveProfile()
+      ? `connection=${connectionId}`
+      : `connection=${connectionId}&profile=${profileName}`;
 
-    // Clear the oauth_state cookie
-    const clearCookie = 'oauth_state=; HttpOnly; Secure; SameSite=Lax; Max-Age=0; Path=/';
+    // Clear the session cookie (its nonce is already consumed)
+    const clearCookie = clearSessionCookie();
+
+    // Send the user back where they came from, if auth-start was given a return_to
+    if (session.return_to) {
+      log.info('Redirecting to return_to URL');
+      return {
+        statusCode: 302,
+        headers: {
+          'Location': session.return_to,
+          'Set-Cookie': clearCookie,
+          'Cache-Control': 'no-cache'
+        },
+        body: ''
+      };
+    }
 
     // Return success page
-    return {
-      statusCode: 200,
+    return pageResponse(200, {
+      title: '✅ Authentication Successful!',
       headers: {
-        'Content-Type': 'text/html',
         'Set-Cookie': clearCookie,
         'Cache-Control': 'no-cache'
       },
-      body: `
-        <html>
-          <head>
-            <title>Authentication Successful</title>
-            <style>
-              body {
-                font-family: system-ui, -apple-system, sans-serif;
-                padding: 40px;
-                max-width: 600px;
-                margin: 0 auto;
-                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                min-height: 100vh;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-              }
-              .container {
-                background: white;
-                padding: 40px;
-                border-radius: 12px;
-                box-shadow: 0 20px 60px rgba(0,0,0,0.3);
-              }
-              h1 {
-                color: #10b981;
-                margin-top: 0;
-              }
-              .success-icon {
-                font-size: 64px;
-                text-align: center;
-                margin-bottom: 20px;
-              }
-              .info {
-                background: #f0f9ff;
-                padding: 15px;
-                border-radius: 8px;
-                margin: 20px 0;
-                border-left: 4px solid #3b82f6;
-              }
-              .info strong {
-                color: #1e40af;
-              }
-              .next-steps {
-                background: #f0fdf4;
-                padding: 15px;
-                border-radius: 8px;
-                margin-top: 20px;
-                border-left: 4px solid #10b981;
-              }
-              .next-steps h3 {
-                margin-top: 0;
-                color: #065f46;
-              }
-              .next-steps ol {
-                margin: 10px 0;
-                padding-left: 20px;
-              }
-              .next-steps li {
-                margin: 8px 0;
-              }
-              code {
-                background: #f1f5f9;
-                padding: 2px 6px;
-                border-radius: 4px;
-                font-family: 'Monaco', 'Courier New', monospace;
-                font-size: 0.9em;
-              }
-            </style>
-          </head>
-          <body>
-            <div class="container">
-              <div class="success-icon">✅</div>
-              <h1>Authentication Successful!</h1>
-
-              <p>Your Acre account has been successfully connected and your tokens are now stored securely.</p>
-
-              <div class="info">
-                <strong>What happened:</strong>
-                <ul>
-                  <li>✅ Logged in to Acre successfully</li>
-                  <li>✅ Received access token and refresh token</li>
-                  <li>✅ Tokens stored securely in Netlify Blobs</li>
-                  <li>✅ Auto-refresh configured</li>
-                </ul>
-              </div>
-
-              <div class="info">
-                <strong>Token Details:</strong>
-                <ul>
-                  <li><strong>Expires in:</strong> ${Math.floor(expiresIn / 60)} minutes</li>
-                  <li><strong>Auto-refresh:</strong> Enabled</li>
-                  <li><strong>Created:</strong> ${new Date(createdAt).toLocaleString()}</li>
-                </ul>
-              </div>
-
-              <div class="next-steps">
-                <h3>🎉 You're all set!</h3>
-                <p><strong>What's next:</strong></p>
-                <ol>
-                  <li>Your tokens will refresh automatically when needed</li>
-                  <li>Use <code>/get-token</code> endpoint in n8n to retrieve valid tokens</li>
-                  <li>Test the get-token endpoint: <code>GET /get-token</code></li>
-                </ol>
-              </div>
-
-              <details style="margin-top: 20px; padding: 15px; background: #fef3c7; border-radius: 8px; border-left: 4px solid #f59e0b;">
-                <summary style="cursor: pointer; font-weight: bold; color: #92400e;">
-                  🔍 Debug: View Token Details (Click to expand)
-                </summary>
-                <div style="margin-top: 15px; font-size: 0.85em; word-break: break-all;">
-                  <p><strong>Access Token (first 50 chars):</strong><br/><code>${tokenStorage.access_token.substring(0, 50)}...</code></p>
-                  <p><strong>Refresh Token (first 50 chars):</strong><br/><code>${tokenStorage.refresh_token.substring(0, 50)}...</code></p>
-                  <p><strong>Expires At:</strong> ${expiresAt}</p>
-                  <p style="color: #92400e; margin-top: 10px;">⚠️ For development/debugging only. In production, tokens are only stored securely.</p>
-                </div>
-              </details>
-
-              <p style="text-align: center; color: #6b7280; font-size: 0.9em; margin-top: 30px;">
-                🔒 Tokens stored in Netlify Blobs (or check debug section above)
-              </p>
-            </div>
-          </body>
-        </html>
+      content: html`
+        <p>Your Acre account has been successfully connected and your tokens are now stored securely.</p>
+
+        <div class="info">
+          <strong>What happened:</strong>
+          <ul>
+            <li>✅ Logged in to Acre successfully</li>
+            <li>✅ Received access token and refresh token</li>
+            <li>✅ Tokens stored securely in Netlify Blobs</li>
+            <li>✅ Auto-refresh configured</li>
+          </ul>
+        </div>
+
+        <div class="info">
+          <strong>Token Details:</strong>
+          <ul>
+            <li><strong>Connection:</strong> ${connectionId}</li>
+            <li><strong>Profile:</strong> ${profileName}</li>
+            <li><strong>Expires in:</strong> ${Math.floor(expiresIn / 60)} minutes</li>
+            <li><strong>Auto-refresh:</strong> Enabled</li>
+            <li><strong>Created:</strong> ${new Date(createdAt).toLocaleString()}</li>
+          </ul>
+        </div>
+
+        <div class="success">
+          <h3>🎉 You're all set!</h3>
+          <p><strong>What's next:</strong></p>
+          <ol>
+            <li>Your tokens will refresh automatically when needed</li>
+            <li>Use <code>/get-token?${tokenQuery}</code> endpoint in n8n to retrieve valid tokens</li>
+            <li>Test the get-token endpoint: <code>GET /get-token?${tokenQuery}</code></li>
+          </ol>
+        </div>
+
+        ${showErrorDetails() ? html`
+          <details class="details">
+            <summary>🔍 Debug: View Token Details (Click to expand)</summary>
+            <p><strong>Access Token (first 12 chars):</strong><br/><code>${String(tokenStorage.access_token).substring(0, 12)}...</code></p>
+            <p><strong>Expires At:</strong> ${expiresAt}</p>
+            <p>⚠️ Shown because SHOW_ERROR_DETAILS is enabled. Never enable it in production.</p>
+          </details>
+        ` : ''}
+
+        <p class="muted">🔒 Tokens stored in Netlify Blobs</p>
       `
-    };
+    });
 
   } catch (error) {
-    console.error('❌ Unexpected error in auth-callback:', error);
-
-    return {
-      statusCode: 500,
-      headers: { 'Content-Type': 'text/html' },
-      body: `
-        <html>
-          <body style="font-family: system-ui; padding: 40px; max-width: 600px; margin: 0 auto;">
-            <h1>❌ Unexpected Error</h1>
-            <p><strong>An unexpected error occurred during authentication.</strong></p>
-            <p><strong>Error:</strong> ${error.message}</p>
-            <p><strong>Stack:</strong></p>
-            <pre style="background: #f1f5f9; padding: 15px; border-radius: 8px; overflow-x: auto;">${error.stack}</pre>
-            <p><a href="/auth-start">Try again</a></p>
-          </body>
-        </html>
-      `
-    };
+    log.error('Unexpected error in auth-callback', error);
+    await recordAuditEvent('callback_failed', {
+      event,
+      details: { reason: 'unexpected_error', message: error.message }
+    });
+
+    return errorResponse(event, 500, {
+      error: 'Unexpected Error',
+      message: 'An unexpected error occurred during authentication.',
+      action: 'Start the login again at /auth-start. If it keeps failing, check the Netlify function logs.',
+      details: error,
+      link: TRY_AGAIN
+    });
   }
 };
+
+/**
+ * Read a single cookie value from the Cookie header
+ */
+function getCookie(cookies, name) {
+  const cookie = cookies.split(';').find(c => c.trim().startsWith(`${name}=`));
+  return cookie ? cookie.trim().slice(name.length + 1) : undefined;
+}
@@ -3,63 +3,127 @@
  *
  * This function starts the OAuth flow by redirecting the user to Acre's login page.
  * Visit this URL in your browser to begin: https://acre-test.netlify.app/auth-start
+ *
+ * Pass `?connection=<id>` to log in a named connection (one per adviser / firm).
+ * Without it, the `default` connection is used.
+ *
+ * Pass `?return_to=<url>` to be sent back there after a successful login
+ * (relative paths, or origins listed in RETURN_TO_ALLOWLIST).
+ *
+ * Pass `?profile=<name>` to log in to another Acre environment (e.g. `sandbox`).
+ * Without it, the profile of the current deploy context is used.
+ * The redirect URI is built from the request host (see acre-config.js).
+ *
+ * Errors are HTML pages, or `{ error, message, action }` JSON for clients
+ * sending `Accept: application/json` (see render.js).
  */
 
+const { resolveConnectionId } = require('../lib/token-store');
+const { validateReturnTo, createSession } = require('../lib/oauth-session');
+const { recordAuditEvent } = require('../lib/audit');
+const { resolveProfile, getProfile, redirectUriFor } = require('../lib/acre-config');
+const { errorResponse } = require('../lib/render');
+const log = require('../lib/logger');
+
 exports.handler = async (event, context) => {
+  log.startRequest('auth-start', event, context);
+
   try {
-    console.log('🚀 OAuth flow initiated');
+    log.info('OAuth flow initiated');
 
-    // Get environment variables
-    const clientId = process.env.ACRE_CLIENT_ID;
-    const scope = process.env.ACRE_SCOPE;
-    const redirectUri = process.env.NETLIFY_URL
-      ? `${process.env.NETLIFY_URL}/.netlify/functions/auth-callback`
-      : `https://acre-test.netlify.app/.netlify/functions/auth-callback`;
+    // Which Acre environment to log in to
+    const profileName = resolveProfile(event.queryStringParameters?.profile);
+
+    if (!profileName) {
+      return errorResponse(event, 400, {
+        error: 'Unknown Profile',
+        message: 'The requested profile is not configured.',
+        action: 'Add it to ACRE_PROFILES, or leave out ?profile= to use the default.'
+      });
+    }
+
+    // Get environment variables for the profile
+    const { clientId, scope, authUrl: profileAuthUrl } = getProfile(profileName);
+    const redirectUri = redirectUriFor(event);
+
+    if (!redirectUri) {
+      log.warn('Request host is not an allowed redirect origin', { host: event.headers?.host });
+      return errorResponse(event, 400, {
+        error: 'Host Not Allowed',
+        message: 'Logins can\'t be started from this host.',
+        action: 'Add its origin to REDIRECT_ORIGIN_ALLOWLIST (and register the callback URL with Acre).'
+      });
+    }
 
     // Validate required environment variables
     if (!clientId) {
-      return {
-        statusCode: 500,
-        headers: { 'Content-Type': 'text/html' },
-        body: `
-          <html>
-            <body style="font-family: system-ui; padding: 40px; max-width: 600px; margin: 0 auto;">
-              <h1>❌ Configuration Error</h1>
-              <p><strong>Missing ACRE_CLIENT_ID environment variable.</strong></p>
-              <p>Please set the following in Netlify Dashboard → Site Settings → Environment Variables:</p>
-              <ul>
-                <li>ACRE_CLIENT_ID</li>
-                <li>ACRE_CLIENT_SECRET</li>
-                <li>ACRE_API_KEY</li>
-                <li>AUTH_SECRET</li>
-                <li>ACRE_SCOPE</li>
-              </ul>
-            </body>
-          </html>
-        `
-      };
+      return errorResponse(event, 500, {
+        error: 'Configuration Error',
+        message: `Missing ACRE_CLIENT_ID environment variable for the "${profileName}" profile.`,
+        action: 'Set ACRE_CLIENT_ID, ACRE_CLIENT_SECRET, ACRE_API_KEY, AUTH_SECRET and ACRE_SCOPE in Netlify Dashboard → Site Settings → Environment Variables (prefixed as ACRE_<PROFILE>_... for profiles other than production).'
+      });
+    }
+
+    // Resolve which connection this login belongs to
+    const connectionId = resolveConnectionId(event.queryStringParameters?.connection);
+
+    if (!connectionId) {
+      return errorResponse(event, 400, {
+        error: 'Invalid Connection',
+        message: 'The connection id is not valid.',
+        action: 'Use 1-64 letters, numbers, dashes or underscores, e.g. /auth-start?connection=smith-advisers'
+      });
+    }
+
+    log.setContext({ connection: connectionId, profile: profileName });
+
+    // Only allow return_to targets on the allowlist (no open redirects)
+    const requestedReturnTo = event.queryStringParameters?.return_to;
+    const returnTo = validateReturnTo(requestedReturnTo);
+
+    if (requestedReturnTo && !returnTo) {
+      return errorResponse(event, 400, {
+        error: 'Invalid Return URL',
+        message: 'The return_to URL is not allowed.',
+        action: 'Use a path on this site, or add the origin to RETURN_TO_ALLOWLIST.'
+      });
     }
 
     // Use fixed state parameter as required by Acre documentation
     // Acre requires STATE to be exactly: ABCDEFGHIJKLMNOP
     const state = 'ABCDEFGHIJKLMNOP';
 
-    // Store state in cookie (will be validated in callback)
-    const stateCookie = `oauth_state=${state}; HttpOnly; Secure; SameSite=Lax; Max-Age=600; Path=/`;
+    // The real CSRF protection: a signed, single-use session cookie
+    // carrying a nonce, the connection and the return URL (validated in callback)
+    const { cookie: sessionCookie } = createSession({
+      connection: connectionId,
+      profile: profileName,
+      redirectUri,
+      returnTo
+    });
 
     // Build authorization URL
-    const authUrl = new URL('https://oauth.acreplatforms.net/oauth2/auth');
+    const authUrl = new URL(profileAuthUrl);
     authUrl.searchParams.append('response_type', 'code');
     authUrl.searchParams.append('client_id', clientId);
     authUrl.searchParams.append('redirect_uri', redirectUri);
     authUrl.searchParams.append('scope', scope || '');
     authUrl.searchParams.append('state', state);
 
-    console.log('✅ Redirecting to Acre OAuth:', {
+    log.info('Redirecting to Acre OAuth', {
       client_id: clientId,
       redirect_uri: redirectUri,
       scope: scope || '(empty)',
-      state: state
+      state: state,
+      connection: connectionId,
+      profile: profileName,
+      return_to: returnTo
+    });
+
+    await recordAuditEvent('login_started', {
+      connection: connectionId,
+      event,
+      details: { profile: profileName, redirect_uri: redirectUri, scope: scope || '' }
     });
 
     // Redirect user to Acre login page
@@ -67,28 +131,20 @@ exports.handler = async (event, context) => {
       statusCode: 302,
       headers: {
         'Location': authUrl.toString(),
-        'Set-Cookie': stateCookie,
+        'Set-Cookie': sessionCookie,
         'Cache-Control': 'no-cache'
       },
       body: ''
     };
 
   } catch (error) {
-    console.error('❌ Error in auth-start:', error);
+    log.error('Error in auth-start', error);
 
-    return {
-      statusCode: 500,
-      headers: { 'Content-Type': 'text/html' },
-      body: `
-        <html>
-          <body style="font-family: system-ui; padding: 40px; max-width: 600px; margin: 0 auto;">
-            <h1>❌ Error</h1>
-            <p><strong>Failed to start OAuth flow</strong></p>
-            <p>Error: ${error.message}</p>
-            <p>Check the Netlify function logs for more details.</p>
-          </body>
-        </html>
-      `
-    };
+    return errorResponse(event, 500, {
+      error: 'Error',
+      message: 'Failed to start OAuth flow.',
+      action: 'Check the Netlify function logs for more details.',
+      details: error
+    });
   }
 };
@@ -0,0 +1,114 @@
+/**
+ * Client Key Admin API
+ *
+ * Issue, list and revoke client API keys.
+ * Requires AUTH_SECRET (the bootstrap admin credential) or a key with the `admin` scope.
+ * A key can't issue keys with more access than it has itself: an admin key
+ * limited to some connections can only issue keys for those connections.
+ *
+ * GET    /client-keys           List keys (hashes are never returned)
+ * POST   /client-keys           Issue a key - body: { label, scopes?, connections?, expires_at? }
+ * DELETE /client-keys?id=<id>   Revoke a key
+ */
+
+const { authenticate } = require('../lib/auth');
+const {
+  normaliseGrant,
+  grantExceedsPrincipal,
+  issueClientKey,
+  revokeClientKey,
+  listClientKeys,
+  clientCredentials
+} = require('../lib/client-keys');
+const log = require('../lib/logger');
+
+exports.handler = async (event, context) => {
+  log.startRequest('client-keys', event, context);
+
+  try {
+    log.info('Client key admin request received', { method: event.httpMethod });
+
+    const { principal, error: authError } = await authenticate(event, { scope: 'admin' });
+    if (authError) {
+      return authError;
+    }
+
+    switch (event.httpMethod) {
+      case 'GET': {
+        const keys = await listClientKeys();
+        return json(200, { keys });
+      }
+
+      case 'POST': {
+        let input;
+        try {
+          input = JSON.parse(event.body || '{}');
+        } catch (parseError) {
+          return json(400, { error: 'Invalid Request', message: 'Body must be JSON' });
+        }
+
+        try {
+          const grant = normaliseGrant({ scopes: input.scopes, connections: input.connections });
+
+          const tooWide = grantExceedsPrincipal(principal, grant);
+          if (tooWide) {
+            log.warn('Client key grant wider than the issuing key', { by: principal.label });
+            return json(403, { error: 'Forbidden', message: tooWide });
+          }
+
+          const { key, record } = await issueClientKey({
+            label: input.label,
+            scopes: grant.scopes,
+            connections: grant.connections,
+            expiresAt: input.expires_at
+          });
+
+          log.info('Client key issued', { id: record.id, label: record.label, by: principal.label });
+
+          return json(201, {
+            key,
+            ...clientCredentials(key),
+            ...record,
+            message: 'Store this key now - it cannot be shown again.'
+          });
+        } catch (validationError) {
+          return json(400, { error: 'Invalid Request', message: validationError.message });
+        }
+      }
+
+      case 'DELETE': {
+        const id = event.queryStringParameters?.id;
+        if (!id) {
+          return json(400, { error: 'Invalid Request', message: 'Missing ?id= of the key to revoke' });
+        }
+
+        const record = await revokeClientKey(id);
+        if (!record) {
+          return json(404, { error: 'Not Found', message: `No client key with id "${id}"` });
+        }
+
+        log.info('Client key revoked', { id: record.id, label: record.label, by: principal.label });
+        return json(200, record);
+      }
+
+      default:
+        return json(405, { error: 'Method Not Allowed', message: 'Use GET, POST or DELETE' });
+    }
+
+  } catch (error) {
+    log.error('Unexpected error in client-keys', error);
+
+    return json(500, {
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  };
+}
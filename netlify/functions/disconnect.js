@@ -0,0 +1,167 @@
+/**
+ * Disconnect - Log Out a Connection
+ *
+ * 1. Revokes the refresh and access tokens at Acre (RFC 7009 revocation endpoint)
+ * 2. Deletes the stored token record
+ * 3. Marks the connection as disconnected, so /get-token answers with a clear
+ *    "disconnected, re-authenticate" error instead of a generic 404
+ *
+ * POST /disconnect?connection=<id>[&profile=<name>]
+ * Requires AUTH_SECRET or a client key with the `admin` scope.
+ *
+ * The revocation URL defaults to <ACRE_OAUTH_BASE_URL>/oauth2/revoke
+ * and can be changed with ACRE_REVOKE_URL (per profile, see acre-config.js).
+ * Both tokens are revoked in parallel, each call giving up after
+ * REVOKE_TIMEOUT_MS - an unanswered revocation is reported, not waited for.
+ */
+
+const {
+  resolveConnectionId,
+  readTokens,
+  deleteTokens,
+  updateStatus
+} = require('../lib/token-store');
+const { authenticate } = require('../lib/auth');
+const { recordAuditEvent } = require('../lib/audit');
+const { resolveProfile, getProfile, authStartUrl } = require('../lib/acre-config');
+const log = require('../lib/logger');
+
+const REVOKE_TIMEOUT_MS = 3000;
+
+exports.handler = async (event, context) => {
+  log.startRequest('disconnect', event, context);
+
+  try {
+    log.info('Disconnect request received');
+
+    if (event.httpMethod !== 'POST' && event.httpMethod !== 'DELETE') {
+      return json(405, { error: 'Method Not Allowed', message: 'Use POST /disconnect?connection=<id>' });
+    }
+
+    const connectionId = resolveConnectionId(event.queryStringParameters?.connection);
+    if (!connectionId) {
+      return json(400, {
+        error: 'Invalid Connection',
+        message: 'Connection id must be 1-64 letters, numbers, dashes or underscores'
+      });
+    }
+
+    const profileName = resolveProfile(event.queryStringParameters?.profile);
+    if (!profileName) {
+      return json(400, {
+        error: 'Unknown Profile',
+        message: 'profile must name a profile listed in ACRE_PROFILES'
+      });
+    }
+
+    log.setContext({ connection: connectionId, profile: profileName });
+
+    const { principal, error: authError } = await authenticate(event, { scope: 'admin', connectionId });
+    if (authError) {
+      return authError;
+    }
+
+    const tokenStorage = await readTokens(connectionId, profileName);
+    if (!tokenStorage) {
+      return json(404, {
+        error: 'No Tokens Found',
+        message: `Connection "${connectionId}" has no stored tokens - nothing to disconnect.`
+      });
+    }
+
+    // Revoke at Acre first; a failed revocation must not keep the tokens stored
+    const profile = getProfile(profileName);
+    const [refreshRevocation, accessRevocation] = await Promise.all([
+      revokeToken(profile, tokenStorage.refresh_token, 'refresh_token'),
+      revokeToken(profile, tokenStorage.access_token, 'access_token')
+    ]);
+    const revocation = { refresh_token: refreshRevocation, access_token: accessRevocation };
+
+    await deleteTokens(connectionId, profileName);
+    await updateStatus(connectionId, {
+      disconnected: true,
+      disconnected_at: new Date().toISOString(),
+      needs_reauth: true
+    }, profileName);
+
+    await recordAuditEvent('disconnected', {
+      connection: connectionId,
+      event,
+      details: {
+        client: principal.label,
+        profile: profileName,
+        refresh_revocation: revocation.refresh_token,
+        access_revocation: revocation.access_token
+      }
+    });
+
+    log.info('Connection disconnected', { connection: connectionId, profile: profileName, revocation });
+
+    return json(200, {
+      disconnected: true,
+      connection: connectionId,
+      profile: profileName,
+      revocation,
+      action: `Visit ${authStartUrl(connectionId, profileName)} to connect again`
+    });
+
+  } catch (error) {
+    log.error('Unexpected error in disconnect', error);
+
+    return json(500, {
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Ask Acre to revoke a token. Returns 'revoked', 'skipped' or a failure description.
+ */
+async function revokeToken(profile, token, tokenTypeHint) {
+  if (!token) {
+    return 'skipped';
+  }
+
+  const { clientId, clientSecret, apiKey, revokeUrl } = profile;
+
+  if (!clientId || !clientSecret || !apiKey) {
+    return 'failed: missing client credentials';
+  }
+
+  try {
+    const response = await fetch(revokeUrl, {
+      method: 'POST',
+      headers: {
+        'X-API-KEY': apiKey,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json'
+      },
+      body: new URLSearchParams({
+        token,
+        token_type_hint: tokenTypeHint,
+        client_id: clientId,
+        client_secret: clientSecret
+      }).toString(),
+      signal: AbortSignal.timeout(REVOKE_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      log.warn('Token revocation failed', { token_type: tokenTypeHint, status: response.status });
+      return `failed: ${response.status}`;
+    }
+
+    return 'revoked';
+  } catch (revokeError) {
+    log.warn('Token revocation request failed', { error: revokeError.message });
+    return `failed: ${revokeError.message}`;
+  }
+}
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  };
+}
@@ -4,247 +4,261 @@
  * Returns a valid access token for Acre API.
  * - Retrieves tokens from Netlify Blobs
  * - Checks if token is expired
- * - Refreshes token automatically if needed
- * - Protected by AUTH_SECRET
+ * - Refreshes token automatically if needed (one refresh at a time per connection)
+ * - Protected by AUTH_SECRET or a client key with the `token` scope
+ *
+ * Pass `?connection=<id>` to get the token for a named connection.
+ * Without it, the `default` connection is used.
+ *
+ * Pass `?profile=<name>` to read another environment's tokens (e.g. `sandbox`).
+ * Without it, the profile of the current deploy context is used.
+ *
+ * Responses carry `ETag` and `Cache-Control: private, max-age=<seconds until the
+ * token is due for refresh>`; send `If-None-Match` to get a `304` while the
+ * token is unchanged.
+ *
+ * Requests are rate limited per IP and per client, and repeated failed
+ * authentications lock the IP out for a while (see rate-limit.js).
+ *
+ * A failed refresh answers `{ error, code, message, action }` with a stable
+ * `code` (see token-endpoint.js): `reauth_required` (409), `upstream_unavailable`
+ * and `refresh_in_progress` (503 with Retry-After), `misconfigured` (500) or
+ * `upstream_error` (502).
  */
 
-const { getStore } = require('@netlify/blobs');
+const crypto = require('crypto');
+const { resolveConnectionId, readTokens, readStatus } = require('../lib/token-store');
+const { needsRefresh, refreshConnection, REFRESH_BUFFER_MS } = require('../lib/refresh');
+const { describeTokenError } = require('../lib/token-endpoint');
+const { authenticate } = require('../lib/auth');
+const { recordAuditEvent } = require('../lib/audit');
+const { resolveProfile, authStartUrl } = require('../lib/acre-config');
+const { showErrorDetails } = require('../lib/render');
+const { sendAlert } = require('../lib/alerts');
+const { limitRequest, limitClient, recordAuthFailure, clearAuthFailures } = require('../lib/rate-limit');
+const log = require('../lib/logger');
 
 exports.handler = async (event, context) => {
+  log.startRequest('get-token', event, context);
+
   try {
-    console.log('🔑 Get token request received');
+    log.info('Get token request received');
 
-    // Check authentication
-    const authHeader = event.headers.authorization || event.headers.Authorization;
-    const authSecret = process.env.AUTH_SECRET;
+    // Resolve which connection's tokens are requested
+    const connectionId = resolveConnectionId(event.queryStringParameters?.connection);
 
-    if (!authSecret) {
+    if (!connectionId) {
       return {
-        statusCode: 500,
+        statusCode: 400,
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          error: 'Configuration Error',
-          message: 'AUTH_SECRET not configured in environment variables'
+          error: 'Invalid Connection',
+          message: 'Connection id must be 1-64 letters, numbers, dashes or underscores'
         })
       };
     }
 
-    // Validate AUTH_SECRET
-    const expectedAuth = `Bearer ${authSecret}`;
-    if (!authHeader || authHeader !== expectedAuth) {
-      console.error('❌ Unauthorized request - invalid or missing AUTH_SECRET');
+    const profileName = resolveProfile(event.queryStringParameters?.profile);
+
+    if (!profileName) {
       return {
-        statusCode: 401,
+        statusCode: 400,
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          error: 'Unauthorized',
-          message: 'Invalid or missing Authorization header. Expected: Bearer YOUR_AUTH_SECRET'
+          error: 'Unknown Profile',
+          message: 'profile must name a profile listed in ACRE_PROFILES'
         })
       };
     }
 
-    console.log('✅ Authentication successful');
+    log.setContext({ connection: connectionId, profile: profileName });
+
+    // Throttle by source IP (and refuse locked out IPs) before checking credentials
+    const throttled = await limitRequest(event, context);
+    if (throttled) {
+      return throttled;
+    }
+
+    // Check authentication (AUTH_SECRET or a client key allowed for this connection)
+    const { principal, error: authError } = await authenticate(event, { scope: 'token', connectionId });
+    if (authError) {
+      if (authError.statusCode === 401) {
+        await recordAuthFailure(event, context);
+      }
+      return authError;
+    }
+
+    await clearAuthFailures(event, context);
+
+    const clientThrottled = await limitClient(event, principal, context);
+    if (clientThrottled) {
+      return clientThrottled;
+    }
+
+    log.info('Authentication successful', { client: principal.label });
 
     // Retrieve tokens from Netlify Blobs
-    console.log('📦 Retrieving tokens from Netlify Blobs...');
+    log.info('Retrieving tokens from Netlify Blobs', { connection: connectionId, profile: profileName });
 
     let tokenStorage;
     try {
-      // Configure Blobs store with environment variables
-      const store = getStore({
-        name: 'acre-tokens',
-        siteID: process.env.site_id_real || process.env.NETLIFY_SITE_ID,
-        token: process.env.NETLIFY_AUTH_TOKEN
-      });
-      const tokenData = await store.get('tokens', { type: 'text' });
-
-      if (!tokenData) {
-        console.error('❌ No tokens found in storage');
+      tokenStorage = await readTokens(connectionId, profileName);
+
+      if (!tokenStorage) {
+        const status = await readStatus(connectionId, profileName);
+
+        if (status.disconnected) {
+          log.warn('Connection was disconnected', { connection: connectionId });
+          return {
+            statusCode: 410,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              error: 'Disconnected',
+              message: `Connection "${connectionId}" was disconnected at ${status.disconnected_at}. Re-authenticate to use it again.`,
+              action: `Visit ${authStartUrl(connectionId, profileName)} to authenticate`
+            })
+          };
+        }
+
+        log.warn('No tokens found in storage', { connection: connectionId });
+        await sendAlert('tokens_missing', {
+          connection: connectionId,
+          profile: profileName,
+          message: `A client asked for a token for "${connectionId}", but no tokens are stored. Log in to connect it.`,
+          details: { client: principal.label }
+        });
         return {
           statusCode: 404,
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
             error: 'No Tokens Found',
-            message: 'You need to complete the OAuth flow first. Visit /auth-start to login.',
-            action: 'Visit https://acre-test.netlify.app/auth-start to authenticate'
+            message: `You need to complete the OAuth flow first for connection "${connectionId}".`,
+            action: `Visit ${authStartUrl(connectionId, profileName)} to authenticate`
           })
         };
       }
 
-      tokenStorage = JSON.parse(tokenData);
-      console.log('✅ Tokens retrieved from storage');
+      log.info('Tokens retrieved from storage');
     } catch (blobError) {
-      console.error('❌ Error retrieving from Blobs:', blobError.message);
+      log.error('Error retrieving from Blobs', { error: blobError.message });
       return {
         statusCode: 500,
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           error: 'Storage Error',
           message: 'Failed to retrieve tokens from storage',
-          details: blobError.message
+          ...(showErrorDetails() ? { details: blobError.message } : {})
         })
       };
     }
 
-    // Check if token is expired
-    const now = new Date();
-    const expiresAt = new Date(tokenStorage.expires_at);
-    const isExpired = now >= expiresAt;
+    // Refresh expired tokens and those inside the refresh buffer
+    const expiresInMs = new Date(tokenStorage.expires_at).getTime() - Date.now();
+    const refreshDue = needsRefresh(tokenStorage);
 
-    // Add 5-minute buffer for safety
-    const bufferMinutes = 5;
-    const needsRefresh = (expiresAt - now) < (bufferMinutes * 60 * 1000);
-
-    console.log('⏰ Token expiry check:', {
+    log.info('Token expiry check', {
       expires_at: tokenStorage.expires_at,
-      is_expired: isExpired,
-      needs_refresh: needsRefresh,
-      time_until_expiry_minutes: Math.floor((expiresAt - now) / 1000 / 60)
+      is_expired: expiresInMs <= 0,
+      needs_refresh: refreshDue,
+      time_until_expiry_minutes: Math.floor(expiresInMs / 1000 / 60)
     });
 
-    // If token needs refresh, refresh it
-    if (needsRefresh || isExpired) {
-      console.log('🔄 Token expired or expiring soon, refreshing...');
+    if (refreshDue) {
+      log.info('Token expired or expiring soon, refreshing');
 
       try {
-        const refreshResult = await refreshAccessToken(tokenStorage);
-
-        // Update storage with new tokens
-        const store = getStore({
-          name: 'acre-tokens',
-          siteID: process.env.site_id_real || process.env.NETLIFY_SITE_ID,
-          token: process.env.NETLIFY_AUTH_TOKEN
-        });
-        await store.set('tokens', JSON.stringify(refreshResult.tokenStorage), {
-          metadata: {
-            created_at: refreshResult.tokenStorage.created_at,
-            expires_at: refreshResult.tokenStorage.expires_at
-          }
+        // Single-flight: only one invocation calls Acre, the rest wait for its result
+        const refreshResult = await refreshConnection(connectionId, tokenStorage, profileName);
+        const refreshed = refreshResult.tokenStorage;
+
+        log.info(refreshResult.waited
+          ? 'Using token refreshed by another request'
+          : 'Token refreshed and updated in storage');
+
+        await recordAuditEvent('token_served', {
+          connection: connectionId,
+          event,
+          details: { client: principal.label, profile: profileName, refreshed: refreshResult.refreshed, expires_at: refreshed.expires_at }
         });
 
-        console.log('✅ Token refreshed and updated in storage');
-
-        return {
-          statusCode: 200,
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            access_token: refreshResult.tokenStorage.access_token,
-            token_type: refreshResult.tokenStorage.token_type || 'Bearer',
-            expires_in: refreshResult.tokenStorage.expires_in,
-            expires_at: refreshResult.tokenStorage.expires_at,
-            refreshed: true
-          })
-        };
+        return tokenResponse(event, refreshed, {
+          connection: connectionId,
+          profile: profileName,
+          refreshed: refreshResult.refreshed
+        });
       } catch (refreshError) {
-        console.error('❌ Token refresh failed:', refreshError.message);
+        log.error('Token refresh failed', { error: refreshError.message, code: refreshError.code || null });
+
+        const failure = describeTokenError(refreshError, connectionId, profileName);
         return {
-          statusCode: 500,
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            error: 'Token Refresh Failed',
-            message: refreshError.message,
-            action: 'You may need to re-authenticate. Visit /auth-start'
-          })
+          statusCode: failure.statusCode,
+          headers: { 'Content-Type': 'application/json', ...failure.headers },
+          body: JSON.stringify(failure.body)
         };
       }
     }
 
     // Token is still valid, return it
-    console.log('✅ Token is valid, returning existing token');
+    log.info('Token is valid, returning existing token');
 
-    const secondsUntilExpiry = Math.floor((expiresAt - now) / 1000);
+    await recordAuditEvent('token_served', {
+      connection: connectionId,
+      event,
+      details: { client: principal.label, profile: profileName, refreshed: false, expires_at: tokenStorage.expires_at }
+    });
 
-    return {
-      statusCode: 200,
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        access_token: tokenStorage.access_token,
-        token_type: tokenStorage.token_type || 'Bearer',
-        expires_in: secondsUntilExpiry,
-        expires_at: tokenStorage.expires_at,
-        refreshed: false
-      })
-    };
+    return tokenResponse(event, tokenStorage, {
+      connection: connectionId,
+      profile: profileName,
+      refreshed: false
+    });
 
   } catch (error) {
-    console.error('❌ Unexpected error in get-token:', error);
+    log.error('Unexpected error in get-token', error);
 
     return {
       statusCode: 500,
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         error: 'Internal Server Error',
-        message: error.message,
-        stack: error.stack
+        message: 'Failed to get a token',
+        ...(showErrorDetails() ? { details: error.stack || error.message } : {})
       })
     };
   }
 };
 
 /**
- * Refresh the access token using the refresh token
+ * 200 with the token, or 304 if the client already holds it (If-None-Match).
+ * Clients may reuse the token until shortly before it is due for refresh.
  */
-async function refreshAccessToken(tokenStorage) {
-  const clientId = process.env.ACRE_CLIENT_ID;
-  const clientSecret = process.env.ACRE_CLIENT_SECRET;
-  const apiKey = process.env.ACRE_API_KEY;
-
-  if (!clientId || !clientSecret || !apiKey) {
-    throw new Error('Missing required environment variables for token refresh');
-  }
+function tokenResponse(event, tokenStorage, { connection, profile, refreshed }) {
+  const expiresAt = new Date(tokenStorage.expires_at).getTime();
+  const etag = `"${crypto.createHash('sha256').update(`${tokenStorage.access_token}:${tokenStorage.expires_at}`).digest('hex').slice(0, 32)}"`;
+  const maxAge = Math.max(0, Math.floor((expiresAt - Date.now() - REFRESH_BUFFER_MS) / 1000));
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'Cache-Control': `private, max-age=${maxAge}`,
+    'ETag': etag
+  };
 
-  const tokenUrl = 'https://oauth.acreplatforms.net/oauth2/token';
-  const tokenParams = new URLSearchParams({
-    grant_type: 'refresh_token',
-    refresh_token: tokenStorage.refresh_token,
-    client_id: clientId,
-    client_secret: clientSecret
-  });
-
-  console.log('📤 Sending refresh token request...');
-
-  const tokenResponse = await fetch(tokenUrl, {
-    method: 'POST',
-    headers: {
-      'X-API-KEY': apiKey,
-      'Content-Type': 'application/x-www-form-urlencoded',
-      'Accept': 'application/json'
-    },
-    body: tokenParams.toString()
-  });
-
-  if (!tokenResponse.ok) {
-    const errorText = await tokenResponse.text();
-    console.error('❌ Token refresh failed:', {
-      status: tokenResponse.status,
-      statusText: tokenResponse.statusText,
-      body: errorText
-    });
-    throw new Error(`Token refresh failed: ${tokenResponse.status} ${errorText}`);
+  const ifNoneMatch = event.headers['if-none-match'] || event.headers['If-None-Match'];
+  if (ifNoneMatch && ifNoneMatch.split(',').map(value => value.trim()).includes(etag)) {
+    return { statusCode: 304, headers, body: '' };
   }
 
-  const tokenData = await tokenResponse.json();
-  console.log('✅ New tokens received:', {
-    has_access_token: !!tokenData.access_token,
-    has_refresh_token: !!tokenData.refresh_token,
-    expires_in: tokenData.expires_in
-  });
-
-  // Calculate new expiration
-  const expiresIn = tokenData.expires_in || 3600;
-  const expiresAt = new Date(Date.now() + expiresIn * 1000).toISOString();
-  const createdAt = new Date().toISOString();
-
-  // Prepare new token storage
-  const newTokenStorage = {
-    access_token: tokenData.access_token,
-    refresh_token: tokenData.refresh_token || tokenStorage.refresh_token, // Keep old refresh token if not provided
-    token_type: tokenData.token_type || 'Bearer',
-    expires_in: expiresIn,
-    expires_at: expiresAt,
-    created_at: createdAt,
-    scope: tokenData.scope || tokenStorage.scope
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      access_token: tokenStorage.access_token,
+      token_type: tokenStorage.token_type || 'Bearer',
+      expires_in: Math.floor((expiresAt - Date.now()) / 1000),
+      expires_at: tokenStorage.expires_at,
+      connection,
+      profile,
+      refreshed
+    })
   };
-
-  return { tokenStorage: newTokenStorage };
 }
@@ -0,0 +1,109 @@
+/**
+ * Health and Readiness
+ *
+ *   GET /health                      liveness - no auth, no storage or network calls
+ *   GET /health?detail=1             readiness - every check, reported separately
+ *   GET /health?detail=1&probe=1     ...plus a live call to the Acre API
+ *
+ * Detailed mode takes `connection` and `profile` like /get-token and needs
+ * AUTH_SECRET or a client key with the `token` scope (and access to the
+ * connection). Checks are described in lib/health.js.
+ *
+ * The overall `status` is the worst check: `pass` and `warn` answer 200,
+ * `fail` answers 503 - so an uptime monitor can alert on the status code alone.
+ */
+
+const { resolveConnectionId } = require('../lib/token-store');
+const { authenticate } = require('../lib/auth');
+const { resolveProfile, getProfile } = require('../lib/acre-config');
+const { checkConfig, checkStorage, checkToken, probeUpstream, overallStatus } = require('../lib/health');
+const log = require('../lib/logger');
+
+exports.handler = async (event, context) => {
+  log.startRequest('health', event, context);
+
+  try {
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'HEAD') {
+      return json(405, { error: 'Method Not Allowed', message: 'Use GET /health' });
+    }
+
+    const query = event.queryStringParameters || {};
+
+    if (!isEnabled(query.detail)) {
+      return json(200, { status: 'pass', timestamp: new Date().toISOString() });
+    }
+
+    log.info('Detailed health check requested', { probe: isEnabled(query.probe) });
+
+    const connectionId = resolveConnectionId(query.connection);
+    if (!connectionId) {
+      return json(400, {
+        error: 'Invalid Connection',
+        message: 'Connection id must be 1-64 letters, numbers, dashes or underscores'
+      });
+    }
+
+    const profileName = resolveProfile(query.profile);
+    if (!profileName) {
+      return json(400, {
+        error: 'Unknown Profile',
+        message: 'profile must name a profile listed in ACRE_PROFILES'
+      });
+    }
+
+    log.setContext({ connection: connectionId, profile: profileName });
+
+    const { error: authError } = await authenticate(event, { scope: 'token', connectionId });
+    if (authError) {
+      return authError;
+    }
+
+    const profile = getProfile(profileName);
+    const [storage, token] = await Promise.all([
+      checkStorage(),
+      checkToken(connectionId, profileName)
+    ]);
+
+    const checks = {
+      config: checkConfig(profile),
+      storage,
+      token: token.check
+    };
+
+    if (isEnabled(query.probe)) {
+      checks.upstream = await probeUpstream(profile, token.tokenStorage);
+    }
+
+    const status = overallStatus(checks);
+    if (status !== 'pass') {
+      log.warn('Health check not passing', {
+        status,
+        failing: Object.keys(checks).filter(name => checks[name].status !== 'pass')
+      });
+    }
+
+    return json(status === 'fail' ? 503 : 200, {
+      status,
+      timestamp: new Date().toISOString(),
+      connection: connectionId,
+      profile: profileName,
+      checks
+    });
+
+  } catch (error) {
+    log.error('Unexpected error in health', error);
+    return json(503, { status: 'fail', error: 'Internal Server Error', message: 'Health check failed unexpectedly' });
+  }
+};
+
+function isEnabled(value) {
+  return ['1', 'true', 'yes'].includes(String(value || '').toLowerCase());
+}
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+    body: JSON.stringify(body)
+  };
+}
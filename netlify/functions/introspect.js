@@ -0,0 +1,218 @@
+/**
+ * Token Introspection (RFC 7662 style)
+ *
+ * Shows what a connection's stored Acre access token actually carries:
+ * subject, issuer, organisation, scopes, issued-at and expiry - and whether
+ * the granted scopes match the configured ACRE_SCOPE.
+ *
+ *   GET  /introspect?connection=<id>&profile=<name>
+ *   POST /introspect   token=<access token>   (any token, RFC 7662 form body)
+ *
+ * Protected by AUTH_SECRET or a client key with the `token` scope (and access
+ * to the connection).
+ *
+ * JWT access tokens are decoded; when ACRE_JWKS_URL (or ACRE_<PROFILE>_JWKS_URL)
+ * is set, the signature is verified too and a token that fails verification is
+ * reported as inactive. Opaque tokens are reported from the stored record only.
+ *
+ * A presented token is only active if it is the connection's stored access
+ * token or its signature verifies. Anything else - garbage, someone else's
+ * token, a JWT with no JWKS to check it against - is `{"active": false}`.
+ */
+
+const { resolveConnectionId, readTokens } = require('../lib/token-store');
+const { authenticate } = require('../lib/auth');
+const { safeEqual } = require('../lib/client-keys');
+const { resolveProfile, getProfile } = require('../lib/acre-config');
+const { decodeJwt, verifyJwt } = require('../lib/jwt');
+const log = require('../lib/logger');
+
+exports.handler = async (event, context) => {
+  log.startRequest('introspect', event, context);
+
+  try {
+    log.info('Introspection request received', { method: event.httpMethod });
+
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+      return json(405, { error: 'Method Not Allowed', message: 'Use GET or POST /introspect' });
+    }
+
+    const form = event.httpMethod === 'POST' ? new URLSearchParams(event.body || '') : new URLSearchParams();
+    const query = event.queryStringParameters || {};
+
+    const connectionId = resolveConnectionId(form.get('connection') || query.connection);
+    if (!connectionId) {
+      return json(400, {
+        error: 'Invalid Connection',
+        message: 'Connection id must be 1-64 letters, numbers, dashes or underscores'
+      });
+    }
+
+    const profileName = resolveProfile(form.get('profile') || query.profile);
+    if (!profileName) {
+      return json(400, {
+        error: 'Unknown Profile',
+        message: 'profile must name a profile listed in ACRE_PROFILES'
+      });
+    }
+
+    log.setContext({ connection: connectionId, profile: profileName });
+
+    const { error: authError } = await authenticate(event, { scope: 'token', connectionId });
+    if (authError) {
+      return authError;
+    }
+
+    const presentedToken = form.get('token');
+    const storedTokens = await readTokens(connectionId, profileName);
+
+    // A presented token gets the stored record's expiry and scopes only if it is that token
+    const tokenStorage = presentedToken && !(storedTokens && safeEqual(presentedToken, storedTokens.access_token))
+      ? null
+      : storedTokens;
+
+    if (!presentedToken && !tokenStorage) {
+      return json(404, {
+        error: 'No Tokens Found',
+        message: `No tokens are stored for connection "${connectionId}".`,
+        action: `Visit /auth-start?connection=${connectionId} to authenticate`
+      });
+    }
+
+    const result = await introspect({
+      token: presentedToken || tokenStorage.access_token,
+      tokenStorage,
+      profile: getProfile(profileName)
+    });
+
+    // Say nothing about a token we can't vouch for (RFC 7662)
+    if (!result) {
+      log.info('Presented token is unknown', { format: decodeJwt(presentedToken) ? 'jwt' : 'opaque' });
+      return json(200, { active: false });
+    }
+
+    log.info('Token introspected', { active: result.active, format: result.format, scope_mismatch: result.scope_mismatch });
+
+    return json(200, {
+      ...result,
+      connection: presentedToken ? undefined : connectionId,
+      profile: profileName
+    });
+
+  } catch (error) {
+    log.error('Unexpected error in introspect', error);
+    return json(500, { error: 'Internal Server Error', message: 'Failed to introspect token' });
+  }
+};
+
+/**
+ * Build the introspection response for one token, or null if the token is
+ * neither the stored one nor signed by Acre
+ */
+async function introspect({ token, tokenStorage, profile }) {
+  const decoded = decodeJwt(token);
+  const claims = decoded?.payload || {};
+  const now = Math.floor(Date.now() / 1000);
+
+  const storedExp = tokenStorage?.expires_at ? Math.floor(new Date(tokenStorage.expires_at).getTime() / 1000) : null;
+  const exp = numericClaim(claims.exp) ?? storedExp;
+  const iat = numericClaim(claims.iat) ?? (tokenStorage?.created_at ? Math.floor(new Date(tokenStorage.created_at).getTime() / 1000) : null);
+  const nbf = numericClaim(claims.nbf);
+
+  let signature = { checked: false, verified: null, error: null };
+  if (decoded && profile.jwks) {
+    const verification = await verifyJwt(token, profile.jwks);
+    signature = { checked: true, verified: verification.verified, error: verification.error || null };
+  }
+
+  // Neither our stored token nor verifiably Acre's
+  if (!tokenStorage && !signature.verified) {
+    return null;
+  }
+
+  const warnings = [];
+  if (exp !== null && exp <= now) {
+    warnings.push('Token has expired');
+  }
+  if (nbf !== null && nbf > now) {
+    warnings.push('Token is not valid yet (nbf)');
+  }
+  if (signature.checked && !signature.verified) {
+    warnings.push(`Signature verification failed: ${signature.error}`);
+  }
+
+  const granted = claimScopes(claims) || splitScopes(tokenStorage?.scope);
+  const configured = splitScopes(profile.scope);
+  const scopes = compareScopes(granted, configured);
+  if (scopes.matches_configured === false) {
+    warnings.push('Granted scopes differ from the configured ACRE_SCOPE');
+  }
+
+  return {
+    active: (exp === null || exp > now) && (nbf === null || nbf <= now) && (!signature.checked || signature.verified),
+    format: decoded ? 'jwt' : 'opaque',
+    token_type: 'Bearer',
+    scope: granted ? granted.join(' ') : null,
+    client_id: claims.client_id || claims.azp || null,
+    username: claims.preferred_username || claims.email || null,
+    sub: claims.sub || null,
+    iss: claims.iss || null,
+    aud: claims.aud || null,
+    organisation: claims.org_id || claims.organisation_id || claims.organization_id || claims.org || claims.tenant_id || null,
+    exp,
+    iat,
+    nbf,
+    expires_at: exp !== null ? new Date(exp * 1000).toISOString() : null,
+    issued_at: iat !== null ? new Date(iat * 1000).toISOString() : null,
+    scopes,
+    scope_mismatch: scopes.matches_configured === false,
+    signature,
+    algorithm: decoded?.header.alg || null,
+    claims: decoded ? claims : null,
+    warnings
+  };
+}
+
+function numericClaim(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Scopes from the `scope` (space-separated), `scp` or `scopes` claim
+ */
+function claimScopes(claims) {
+  const value = claims.scope ?? claims.scp ?? claims.scopes;
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+  return typeof value === 'string' ? splitScopes(value) : null;
+}
+
+function splitScopes(value) {
+  if (!value) {
+    return null;
+  }
+  return String(value).split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Compare granted scopes with the configured ones
+ */
+function compareScopes(granted, configured) {
+  if (!granted || !configured) {
+    return { granted, configured, missing: [], extra: [], matches_configured: null };
+  }
+
+  const missing = configured.filter(scope => !granted.includes(scope));
+  const extra = granted.filter(scope => !configured.includes(scope));
+
+  return { granted, configured, missing, extra, matches_configured: !missing.length && !extra.length };
+}
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+    body: JSON.stringify(body)
+  };
+}
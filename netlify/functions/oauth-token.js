@@ -0,0 +1,234 @@
+/**
+ * OAuth2 Token Endpoint (client_credentials)
+ *
+ * Lets any stock OAuth2 client (e.g. n8n's built-in OAuth2 credential) fetch
+ * the current Acre access token, instead of calling /get-token and copying the
+ * token by hand.
+ *
+ *   POST /oauth/token
+ *   Authorization: Basic base64(<client id>:<client secret>)    (or client_id / client_secret in the body)
+ *   Content-Type: application/x-www-form-urlencoded
+ *
+ *   grant_type=client_credentials
+ *
+ * Client credentials come from the client key registry (see lib/client-keys.js):
+ * the client id is the key id, the secret the rest of the key. The key needs the
+ * `token` scope and access to the connection.
+ *
+ * Pick the connection and profile with `connection` / `profile` in the body or
+ * the token URL's query string (`/oauth/token?connection=smith-advisers`).
+ *
+ * Responses follow RFC 6749 section 5: `{ access_token, token_type, expires_in }`
+ * on success, `{ error, error_description }` with `invalid_request`,
+ * `invalid_client`, `unauthorized_client`, `unsupported_grant_type`,
+ * `invalid_grant` (no usable login - re-authenticate) or
+ * `temporarily_unavailable` (refreshing the token is failing) or `server_error`
+ * (this site's Acre client settings are wrong) otherwise.
+ */
+
+const { resolveConnectionId, readTokens, readStatus } = require('../lib/token-store');
+const { needsRefresh, refreshConnection } = require('../lib/refresh');
+const { ERROR_CODES } = require('../lib/token-endpoint');
+const { verifyClientCredentials } = require('../lib/client-keys');
+const { canAccessConnection } = require('../lib/auth');
+const { recordAuditEvent } = require('../lib/audit');
+const { resolveProfile, authStartUrl } = require('../lib/acre-config');
+const { limitRequest, limitClient, recordAuthFailure, clearAuthFailures } = require('../lib/rate-limit');
+const log = require('../lib/logger');
+
+exports.handler = async (event, context) => {
+  log.startRequest('oauth-token', event, context);
+
+  try {
+    log.info('OAuth2 token request received');
+
+    if (event.httpMethod !== 'POST') {
+      return oauthError(405, 'invalid_request', 'Use POST', { 'Allow': 'POST' });
+    }
+
+    const params = parseBody(event);
+    if (!params) {
+      return oauthError(400, 'invalid_request', 'Body must be application/x-www-form-urlencoded or JSON');
+    }
+
+    const throttled = await limitRequest(event, context);
+    if (throttled) {
+      return throttled;
+    }
+
+    // Client authentication: HTTP Basic (client_secret_basic) or body (client_secret_post)
+    const basic = basicCredentials(event);
+    const clientId = basic ? basic.clientId : params.get('client_id');
+    const clientSecret = basic ? basic.clientSecret : params.get('client_secret');
+
+    const client = clientId && clientSecret ? await verifyClientCredentials(clientId, clientSecret) : null;
+    if (!client) {
+      log.warn('OAuth2 client authentication failed', { client_id: clientId || null });
+      await recordAuthFailure(event, context);
+      await recordAuditEvent('unauthorized', {
+        event,
+        details: { path: '/oauth/token', client_id: clientId || null }
+      });
+      return oauthError(401, 'invalid_client', 'Client authentication failed',
+        basic ? { 'WWW-Authenticate': 'Basic realm="Acre OAuth"' } : {});
+    }
+
+    await clearAuthFailures(event, context);
+
+    const principal = { type: 'client', ...client };
+    const clientThrottled = await limitClient(event, principal, context);
+    if (clientThrottled) {
+      return clientThrottled;
+    }
+
+    const grantType = params.get('grant_type');
+    if (!grantType) {
+      return oauthError(400, 'invalid_request', 'grant_type is required');
+    }
+
+    if (grantType !== 'client_credentials') {
+      return oauthError(400, 'unsupported_grant_type', 'Only the client_credentials grant is supported');
+    }
+
+    const query = event.queryStringParameters || {};
+    const connectionId = resolveConnectionId(params.get('connection') || query.connection);
+    const profileName = resolveProfile(params.get('profile') || query.profile);
+
+    if (!connectionId) {
+      return oauthError(400, 'invalid_request', 'connection must be 1-64 letters, numbers, dashes or underscores');
+    }
+
+    if (!profileName) {
+      return oauthError(400, 'invalid_request', 'profile must name a profile listed in ACRE_PROFILES');
+    }
+
+    log.setContext({ connection: connectionId, profile: profileName });
+
+    if (!client.scopes.includes('token') && !client.scopes.includes('admin')) {
+      return oauthError(400, 'unauthorized_client', 'This client does not have the "token" scope');
+    }
+
+    if (!canAccessConnection(principal, connectionId)) {
+      return oauthError(400, 'unauthorized_client', `This client is not allowed to use connection "${connectionId}"`);
+    }
+
+    let tokenStorage = await readTokens(connectionId, profileName);
+    const status = await readStatus(connectionId, profileName);
+
+    if (!tokenStorage || status.needs_reauth) {
+      log.warn('No usable Acre login for OAuth2 client', { needs_reauth: !!status.needs_reauth });
+      return oauthError(400, 'invalid_grant',
+        `Connection "${connectionId}" needs an Acre login. Visit ${authStartUrl(connectionId, profileName)}`);
+    }
+
+    let refreshed = false;
+    if (needsRefresh(tokenStorage)) {
+      try {
+        const refreshResult = await refreshConnection(connectionId, tokenStorage, profileName);
+        tokenStorage = refreshResult.tokenStorage;
+        refreshed = refreshResult.refreshed;
+      } catch (refreshError) {
+        log.error('Token refresh failed', { error: refreshError.message });
+
+        if (refreshError.code === ERROR_CODES.REAUTH_REQUIRED) {
+          return oauthError(400, 'invalid_grant',
+            `Acre rejected the refresh token. Visit ${authStartUrl(connectionId, profileName)} to log in again`);
+        }
+
+        if (refreshError.code === ERROR_CODES.MISCONFIGURED) {
+          return oauthError(500, 'server_error', 'The Acre client configuration of this site is wrong');
+        }
+
+        return oauthError(503, 'temporarily_unavailable', 'The Acre token could not be refreshed. Try again shortly',
+          { 'Retry-After': String(refreshError.retryAfter || 5) });
+      }
+    }
+
+    await recordAuditEvent('token_served', {
+      connection: connectionId,
+      event,
+      details: { client: client.label, profile: profileName, refreshed, grant_type: 'client_credentials' }
+    });
+
+    log.info('OAuth2 token issued', { client: client.label, refreshed });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        'Pragma': 'no-cache'
+      },
+      body: JSON.stringify({
+        access_token: tokenStorage.access_token,
+        token_type: 'Bearer',
+        expires_in: Math.max(0, Math.floor((new Date(tokenStorage.expires_at) - Date.now()) / 1000))
+      })
+    };
+
+  } catch (error) {
+    log.error('Unexpected error in oauth-token', error);
+    return oauthError(500, 'server_error', 'Unexpected error');
+  }
+};
+
+/**
+ * Form or JSON body as URLSearchParams (null if it can't be parsed)
+ */
+function parseBody(event) {
+  const contentType = (event.headers['content-type'] || event.headers['Content-Type'] || '').toLowerCase();
+  const body = event.isBase64Encoded
+    ? Buffer.from(event.body || '', 'base64').toString('utf8')
+    : (event.body || '');
+
+  if (contentType.includes('application/json')) {
+    try {
+      const parsed = JSON.parse(body || '{}');
+      return new URLSearchParams(Object.entries(parsed).map(([name, value]) => [name, String(value)]));
+    } catch (parseError) {
+      return null;
+    }
+  }
+
+  return new URLSearchParams(body);
+}
+
+/**
+ * Client id and secret from an `Authorization: Basic` header (RFC 6749 2.3.1:
+ * both parts are form-urlencoded)
+ */
+function basicCredentials(event) {
+  const header = event.headers.authorization || event.headers.Authorization || '';
+  const match = /^Basic\s+(.+)$/i.exec(header);
+  if (!match) {
+    return null;
+  }
+
+  const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator === -1) {
+    return null;
+  }
+
+  try {
+    return {
+      clientId: decodeURIComponent(decoded.slice(0, separator).replace(/\+/g, ' ')),
+      clientSecret: decodeURIComponent(decoded.slice(separator + 1).replace(/\+/g, ' '))
+    };
+  } catch (decodeError) {
+    return null;
+  }
+}
+
+function oauthError(statusCode, error, description, headers = {}) {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store',
+      'Pragma': 'no-cache',
+      ...headers
+    },
+    body: JSON.stringify({ error, error_description: description })
+  };
+}
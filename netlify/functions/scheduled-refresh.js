@@ -0,0 +1,210 @@
+/**
+ * Scheduled Background Refresh
+ *
+ * Keeps every connection's Acre session alive even when no workflow runs,
+ * across every environment profile in ACRE_PROFILES.
+ * - Runs on the schedule set in netlify.toml ([functions."scheduled-refresh"])
+ * - Refreshes any connection expiring within REFRESH_AHEAD_MINUTES (default 15),
+ *   SCHEDULED_REFRESH_CONCURRENCY (default 4) at a time
+ * - Starts no new refresh once SCHEDULED_REFRESH_BUDGET_MS (default 20000) of the
+ *   run has passed, so the run finishes inside Netlify's 30s scheduled function
+ *   limit; the connections left over are logged and recorded as skipped_deadline
+ * - Skips connections marked as needing re-authentication
+ * - Alerts when a refresh token is older than ALERT_REFRESH_TOKEN_MAX_AGE_DAYS (default 30)
+ * - Deletes consumed OAuth nonces whose sessions have expired
+ * - Records the outcome of every run in Blobs (`runs/scheduled-refresh`)
+ */
+
+const {
+  listConnections,
+  readTokens,
+  readStatus,
+  getTokenStore
+} = require('../lib/token-store');
+const { refreshConnection } = require('../lib/refresh');
+const { ERROR_CODES } = require('../lib/token-endpoint');
+const { listProfiles } = require('../lib/acre-config');
+const { sendAlert } = require('../lib/alerts');
+const { pruneNonces } = require('../lib/oauth-session');
+const log = require('../lib/logger');
+
+const RUN_HISTORY_KEY = 'runs/scheduled-refresh';
+const RUN_HISTORY_LIMIT = 50;
+const DEFAULT_REFRESH_TOKEN_MAX_AGE_DAYS = 30;
+const DEFAULT_CONCURRENCY = 4;
+// A refresh started just before this can still take the token endpoint's 8s budget
+const DEFAULT_BUDGET_MS = 20 * 1000;
+
+exports.handler = async (event, context) => {
+  log.startRequest('scheduled-refresh', event, context);
+
+  const startedAt = new Date().toISOString();
+  const aheadMinutes = parseInt(process.env.REFRESH_AHEAD_MINUTES, 10) || 15;
+  const concurrency = parseInt(process.env.SCHEDULED_REFRESH_CONCURRENCY, 10) || DEFAULT_CONCURRENCY;
+  const cutoff = Date.now() + (parseInt(process.env.SCHEDULED_REFRESH_BUDGET_MS, 10) || DEFAULT_BUDGET_MS);
+  const results = [];
+  const due = [];
+
+  log.info('Scheduled refresh started', { refresh_ahead_minutes: aheadMinutes, concurrency });
+
+  for (const profile of listProfiles()) {
+    try {
+      for (const connectionId of await listConnections(profile)) {
+        due.push({ profile, connectionId });
+      }
+    } catch (error) {
+      log.error('Scheduled refresh failed', { profile, error: error.message });
+      results.push({ profile, connection: null, result: 'error', error: error.message });
+    }
+  }
+
+  const outcomes = await runPool(due, concurrency, ({ profile, connectionId }) => {
+    if (Date.now() >= cutoff) {
+      return { profile, connection: connectionId, result: 'skipped_deadline' };
+    }
+    return refreshIfDue(connectionId, profile, aheadMinutes).then(outcome => ({ profile, ...outcome }));
+  });
+  results.push(...outcomes);
+
+  const skippedForDeadline = outcomes.filter(r => r.result === 'skipped_deadline');
+  if (skippedForDeadline.length) {
+    log.warn('Scheduled refresh ran out of time', {
+      skipped: skippedForDeadline.map(r => ({ profile: r.profile, connection: r.connection }))
+    });
+  }
+
+  try {
+    const pruned = await pruneNonces();
+    log.info('Pruned expired OAuth nonces', { pruned });
+  } catch (error) {
+    log.warn('Failed to prune OAuth nonces', { error: error.message });
+  }
+
+  const run = {
+    started_at: startedAt,
+    finished_at: new Date().toISOString(),
+    refresh_ahead_minutes: aheadMinutes,
+    refreshed: results.filter(r => r.result === 'refreshed').length,
+    failed: results.filter(r => r.result === 'failed' || r.result === 'error').length,
+    skipped: results.filter(r => r.result.startsWith('skipped')).length,
+    results
+  };
+
+  await recordRun(run);
+
+  log.info('Scheduled refresh finished', {
+    refreshed: run.refreshed,
+    failed: run.failed,
+    skipped: run.skipped
+  });
+
+  return {
+    statusCode: 200,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(run)
+  };
+};
+
+/**
+ * Run worker over items with at most `concurrency` calls in flight,
+ * returning the results in the order of items
+ */
+async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const lanes = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index]);
+    }
+  });
+  await Promise.all(lanes);
+
+  return results;
+}
+
+/**
+ * Refresh one connection if it expires within the look-ahead window
+ */
+async function refreshIfDue(connectionId, profile, aheadMinutes) {
+  try {
+    const status = await readStatus(connectionId, profile);
+    if (status.needs_reauth) {
+      log.info('Skipping connection that needs re-authentication', { connection: connectionId });
+      return { connection: connectionId, result: 'skipped_needs_reauth' };
+    }
+
+    const tokenStorage = await readTokens(connectionId, profile);
+    if (!tokenStorage) {
+      return { connection: connectionId, result: 'skipped_no_tokens' };
+    }
+
+    await checkRefreshTokenAge(connectionId, profile, tokenStorage, status);
+
+    const msUntilExpiry = new Date(tokenStorage.expires_at) - Date.now();
+    if (msUntilExpiry > aheadMinutes * 60 * 1000) {
+      return {
+        connection: connectionId,
+        result: 'skipped_not_due',
+        expires_at: tokenStorage.expires_at
+      };
+    }
+
+    log.info('Refreshing connection ahead of expiry', { connection: connectionId, profile });
+    const refreshResult = await refreshConnection(connectionId, tokenStorage, profile);
+
+    return {
+      connection: connectionId,
+      result: refreshResult.refreshed ? 'refreshed' : 'skipped_in_progress',
+      expires_at: refreshResult.tokenStorage.expires_at
+    };
+  } catch (error) {
+    log.error('Background refresh failed', { connection: connectionId, profile, error: error.message, code: error.code || null });
+    return {
+      connection: connectionId,
+      result: 'failed',
+      error: error.message,
+      code: error.code || null,
+      needs_reauth: error.code === ERROR_CODES.REAUTH_REQUIRED
+    };
+  }
+}
+
+/**
+ * Alert if the refresh token has been in use for longer than the configured age
+ * (records from before refresh_token_issued_at was tracked fall back to the last login)
+ */
+async function checkRefreshTokenAge(connectionId, profile, tokenStorage, status) {
+  const issuedAt = tokenStorage.refresh_token_issued_at || status.last_login_at;
+  if (!issuedAt) {
+    return;
+  }
+
+  const maxAgeDays = parseFloat(process.env.ALERT_REFRESH_TOKEN_MAX_AGE_DAYS) || DEFAULT_REFRESH_TOKEN_MAX_AGE_DAYS;
+  const ageDays = (Date.now() - new Date(issuedAt).getTime()) / (24 * 60 * 60 * 1000);
+
+  if (ageDays > maxAgeDays) {
+    await sendAlert('refresh_token_old', {
+      connection: connectionId,
+      profile,
+      message: `The refresh token for "${connectionId}" was issued ${Math.floor(ageDays)} days ago. Log in again before Acre expires it.`,
+      details: { issued_at: issuedAt, max_age_days: maxAgeDays }
+    });
+  }
+}
+
+/**
+ * Prepend this run to the stored run history
+ */
+async function recordRun(run) {
+  try {
+    const store = getTokenStore();
+    const history = (await store.get(RUN_HISTORY_KEY, { type: 'json' })) || [];
+    await store.setJSON(RUN_HISTORY_KEY, [run, ...history].slice(0, RUN_HISTORY_LIMIT), {
+      metadata: { last_run_at: run.finished_at }
+    });
+  } catch (error) {
+    log.warn('Failed to record scheduled refresh run', { error: error.message });
+  }
+}
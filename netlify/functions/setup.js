@@ -0,0 +1,295 @@
+/**
+ * First-Run Setup Check
+ *
+ * GET /setup shows what still needs doing before the first login:
+ * - the exact callback URL auth-start / auth-callback will use (register it with Acre)
+ * - every required variable, and which are missing or malformed (blank
+ *   ACRE_SCOPE, short AUTH_SECRET, unusable TOKEN_ENCRYPTION_KEYS, ...) -
+ *   names and problems only, never values
+ * - a "Test credentials" button (POST /setup) that sends a dummy authorization
+ *   code to the token endpoint: Acre answering `invalid_grant` means it
+ *   accepted the client id, secret and API key
+ * - a link to /auth-start once everything passes, the credential test included;
+ *   until that test has passed the page reports the credentials as not verified
+ *
+ * Answers JSON with `Accept: application/json`. Takes `?profile=` like auth-start.
+ *
+ * The page locks itself for good once the profile has a stored connection
+ * (a `lock/<profile>` record in the `acre-setup` store, written create-only so
+ * concurrent requests agree on `locked_at`) and then answers 403.
+ * Each profile locks on its own, so a new profile can still be set up. Set
+ * SETUP_UNLOCKED=true to open it again.
+ */
+
+const { listConnections } = require('../lib/token-store');
+const { resolveProfile, getProfile, profileVariable, profileSetting, redirectUriFor } = require('../lib/acre-config');
+const { REQUIRED_PROFILE_SETTINGS, REQUIRED_VARIABLES } = require('../lib/health');
+const { encryptRecord } = require('../lib/token-crypto');
+const { ERROR_CODES, requestToken } = require('../lib/token-endpoint');
+const { limitRequest } = require('../lib/rate-limit');
+const { getStorage } = require('../lib/storage');
+const { html, pageResponse, wantsJson, errorResponse } = require('../lib/render');
+const log = require('../lib/logger');
+
+const MIN_AUTH_SECRET_LENGTH = 32;
+const CREDENTIAL_CHECK_CODE = 'setup-credential-check';
+
+const STATUS_ICONS = { pass: '✅', warn: '⚠️', fail: '❌' };
+
+exports.handler = async (event, context) => {
+  log.startRequest('setup', event, context);
+
+  try {
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+      return errorResponse(event, 405, { error: 'Method Not Allowed', message: 'Use GET /setup' });
+    }
+
+    const query = event.queryStringParameters || {};
+    const profileName = resolveProfile(query.profile);
+
+    if (!profileName) {
+      return errorResponse(event, 400, {
+        error: 'Unknown Profile',
+        message: 'The requested profile is not configured.',
+        action: 'Add it to ACRE_PROFILES, or leave out ?profile= to use the default.'
+      });
+    }
+
+    log.setContext({ profile: profileName });
+
+    const lock = await setupLock(profileName);
+    if (lock && process.env.SETUP_UNLOCKED !== 'true') {
+      log.info('Setup page requested after setup was completed');
+      return errorResponse(event, 403, {
+        error: 'Setup Locked',
+        message: `Setup was completed on ${lock.locked_at}, so this page is locked.`,
+        action: 'Manage connections from /admin. Set SETUP_UNLOCKED=true to open this page again.'
+      });
+    }
+
+    if (event.httpMethod === 'POST') {
+      const throttled = await limitRequest(event, context);
+      if (throttled) {
+        return throttled;
+      }
+    }
+
+    const profile = getProfile(profileName);
+    const callbackUrl = redirectUriFor(event);
+
+    const checks = {
+      callback: callbackUrl
+        ? { status: 'pass', url: callbackUrl }
+        : {
+          status: 'fail',
+          url: null,
+          message: 'This host is not an allowed redirect origin. Add it to REDIRECT_ORIGIN_ALLOWLIST, or open /setup on the site\'s own URL.'
+        },
+      variables: checkVariables(profileName),
+      urls: checkUrls(profile)
+    };
+
+    if (event.httpMethod === 'POST') {
+      log.info('Testing client credentials against the token endpoint');
+      checks.credentials = await testCredentials(profileName, callbackUrl);
+    }
+
+    const configured = Object.values(checks).every(check => check.status !== 'fail');
+    const ready = configured && checks.credentials?.status === 'pass';
+    const authStartUrl = `/auth-start${query.profile ? `?profile=${encodeURIComponent(profileName)}` : ''}`;
+
+    if (wantsJson(event)) {
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+        body: JSON.stringify({
+          ready,
+          profile: profileName,
+          callback_url: callbackUrl,
+          checks,
+          auth_start_url: ready ? authStartUrl : null
+        })
+      };
+    }
+
+    return pageResponse(200, {
+      title: '🛠️ Setup',
+      width: 720,
+      headers: { 'Cache-Control': 'no-store' },
+      style: '.checks { list-style: none; padding-left: 0; } .checks li { margin: 6px 0; }',
+      content: setupPage({ profileName, checks, configured, ready, authStartUrl, query })
+    });
+
+  } catch (error) {
+    log.error('Unexpected error in setup', error);
+    return errorResponse(event, 500, {
+      error: 'Setup Check Failed',
+      message: 'The setup checks could not be run.',
+      details: error
+    });
+  }
+};
+
+/**
+ * The profile's lock record, written the first time a connection is found stored
+ */
+async function setupLock(profileName) {
+  const store = getStorage('acre-setup');
+  const key = `lock/${profileName}`;
+  const lock = await store.get(key, { type: 'json' });
+  if (lock) {
+    return lock;
+  }
+
+  const [connection] = await listConnections(profileName);
+  if (!connection) {
+    return null;
+  }
+
+  const created = { locked_at: new Date().toISOString(), profile: profileName, connection };
+  if (!(await store.setIfMatch(key, JSON.stringify(created), { etag: null }))) {
+    // Another request locked it first - keep its locked_at
+    return store.get(key, { type: 'json' });
+  }
+
+  log.info('Setup completed, locking the setup page', { connection });
+  return created;
+}
+
+/**
+ * Every required variable: set, and plausibly well-formed
+ */
+function checkVariables(profileName) {
+  const variables = [
+    ...REQUIRED_PROFILE_SETTINGS.map(setting => ({
+      name: profileVariable(profileName, setting),
+      setting,
+      value: profileSetting(profileName, setting)
+    })),
+    ...REQUIRED_VARIABLES.map(name => ({ name, setting: name, value: process.env[name] }))
+  ];
+
+  const results = variables.map(({ name, setting, value }) => {
+    const problem = value ? variableProblem(setting, value) : 'is not set';
+    return problem ? { name, status: 'fail', problem } : { name, status: 'pass' };
+  });
+
+  return { status: results.some(result => result.status === 'fail') ? 'fail' : 'pass', variables: results };
+}
+
+function variableProblem(setting, value) {
+  if (!value.trim()) {
+    return 'is empty';
+  }
+
+  if (value !== value.trim()) {
+    return 'has leading or trailing spaces';
+  }
+
+  if (setting === 'AUTH_SECRET' && value.length < MIN_AUTH_SECRET_LENGTH) {
+    return `is too short (${value.length} characters, use at least ${MIN_AUTH_SECRET_LENGTH} - generate one with: openssl rand -hex 32)`;
+  }
+
+  if (setting === 'TOKEN_ENCRYPTION_KEYS') {
+    try {
+      encryptRecord({}, 'setup');
+    } catch (keyError) {
+      return `can't be used: ${keyError.message}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Acre URLs must be https (http only for a local mock provider)
+ */
+function checkUrls(profile) {
+  const urls = [
+    { name: 'Authorization URL', url: profile.authUrl },
+    { name: 'Token URL', url: profile.tokenUrl },
+    { name: 'API base', url: profile.apiBase }
+  ];
+
+  const results = urls.map(({ name, url }) => {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (urlError) {
+      return { name, url, status: 'fail', problem: 'is not a valid URL' };
+    }
+
+    const local = /^(localhost|127\.0\.0\.1)$/.test(parsed.hostname);
+    if (parsed.protocol !== 'https:' && !(local && parsed.protocol === 'http:')) {
+      return { name, url, status: 'fail', problem: 'must use https' };
+    }
+
+    return { name, url, status: 'pass' };
+  });
+
+  return { status: results.some(result => result.status === 'fail') ? 'fail' : 'pass', urls: results };
+}
+
+/**
+ * Send a dummy code to the token endpoint. `invalid_grant` means Acre got past
+ * client authentication - the credentials and API key are accepted.
+ */
+async function testCredentials(profileName, callbackUrl) {
+  try {
+    await requestToken(profileName, {
+      grant_type: 'authorization_code',
+      code: CREDENTIAL_CHECK_CODE,
+      redirect_uri: callbackUrl || ''
+    });
+    return { status: 'pass', message: 'Acre accepted the client credentials and API key.' };
+  } catch (testError) {
+    if (testError.code === ERROR_CODES.REAUTH_REQUIRED) {
+      return { status: 'pass', message: 'Acre accepted the client credentials and API key (and rejected the test code, as expected).' };
+    }
+
+    if (testError.code === ERROR_CODES.MISCONFIGURED) {
+      return { status: 'fail', code: testError.code, message: `Acre rejected the client credentials or API key: ${testError.message}` };
+    }
+
+    return { status: 'warn', code: testError.code, message: `Couldn't confirm the credentials: ${testError.message}` };
+  }
+}
+
+function setupPage({ profileName, checks, configured, ready, authStartUrl, query }) {
+  const { callback, variables, urls, credentials } = checks;
+  const formAction = `/setup${query.profile ? `?profile=${encodeURIComponent(profileName)}` : ''}`;
+
+  return html`
+    <p>Profile: <strong>${profileName}</strong></p>
+
+    <h2>${STATUS_ICONS[callback.status]} Callback URL</h2>
+    ${callback.url
+      ? html`<p>Register this redirect URI with Acre:</p><pre>${callback.url}</pre>`
+      : html`<p>${callback.message}</p>`}
+
+    <h2>${STATUS_ICONS[variables.status]} Environment variables</h2>
+    <ul class="checks">
+      ${variables.variables.map(variable => html`
+        <li>${STATUS_ICONS[variable.status]} <code>${variable.name}</code> ${variable.problem || 'is set'}</li>`)}
+    </ul>
+
+    <h2>${STATUS_ICONS[urls.status]} Acre URLs</h2>
+    <ul class="checks">
+      ${urls.urls.map(url => html`
+        <li>${STATUS_ICONS[url.status]} ${url.name}: <code>${url.url}</code> ${url.problem || ''}</li>`)}
+    </ul>
+
+    <h2>${credentials ? STATUS_ICONS[credentials.status] : '🔑'} Client credentials</h2>
+    ${credentials ? html`<p>${credentials.message}</p>` : html`<p>Not tested yet.</p>`}
+    <form method="post" action="${formAction}">
+      <button type="submit">Test credentials against the token endpoint</button>
+    </form>
+
+    ${ready
+      ? html`<div class="success"><strong>Ready.</strong> <a href="${authStartUrl}">Log in to Acre</a> to connect.
+          This page locks itself once a connection is stored.</div>`
+      : configured
+        ? html`<div class="info"><strong>Credentials not verified.</strong> Test them against the token endpoint above to get the login link.</div>`
+        : html`<div class="info">Fix the items marked ❌, then reload this page.</div>`}
+  `;
+}
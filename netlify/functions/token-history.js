@@ -0,0 +1,291 @@
+/**
+ * Token History - Versions, Rollback, Export and Import
+ *
+ * Every token record written for a connection is kept as a numbered version
+ * (see token-store.js), so a bad refresh can be undone without a fresh login,
+ * and a connection can be moved to another site or restored after the store
+ * was wiped.
+ *
+ * GET  /token-history?connection=<id>                           List kept versions (no tokens)
+ * POST /token-history?connection=<id>&action=rollback&version=N  Make version N current again
+ * POST /token-history?connection=<id>&action=export              {"passphrase": "..."} → bundle
+ * POST /token-history?action=import                              {"passphrase": "...", "bundle": {...}, "overwrite": false}
+ *
+ * Export bundles hold the current record and its versions, sealed with the
+ * passphrase (at least 12 characters), not with TOKEN_ENCRYPTION_KEYS. Import
+ * goes to the bundle's connection and profile unless `connection` / `profile`
+ * are given, and refuses to replace stored tokens without `"overwrite": true`.
+ *
+ * Requires AUTH_SECRET or a client key with the `admin` scope. Takes `profile`
+ * like /get-token.
+ */
+
+const {
+  VERSION_REASONS,
+  resolveConnectionId,
+  readTokens,
+  writeTokens,
+  appendTokenVersion,
+  listTokenVersions,
+  readTokenVersion,
+  rollbackTokens,
+  updateStatus
+} = require('../lib/token-store');
+const { sealBundle, openBundle } = require('../lib/token-crypto');
+const { authenticate } = require('../lib/auth');
+const { recordAuditEvent } = require('../lib/audit');
+const { resolveProfile, siteUrl } = require('../lib/acre-config');
+const log = require('../lib/logger');
+
+const MIN_PASSPHRASE_LENGTH = 12;
+const ACTIONS = ['rollback', 'export', 'import'];
+
+exports.handler = async (event, context) => {
+  log.startRequest('token-history', event, context);
+
+  try {
+    const query = event.queryStringParameters || {};
+    const action = event.httpMethod === 'POST' ? query.action : null;
+
+    log.info('Token history request received', { method: event.httpMethod, action });
+
+    if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+      return json(405, { error: 'Method Not Allowed', message: 'Use GET to list versions or POST with ?action=' });
+    }
+
+    if (event.httpMethod === 'POST' && !ACTIONS.includes(action)) {
+      return json(400, { error: 'Invalid Request', message: `action must be one of: ${ACTIONS.join(', ')}` });
+    }
+
+    let body = {};
+    if (event.httpMethod === 'POST') {
+      try {
+        body = JSON.parse(event.body || '{}') || {};
+      } catch (parseError) {
+        return json(400, { error: 'Invalid Request', message: 'Body must be JSON' });
+      }
+    }
+
+    // An import goes to the bundle's connection and profile unless told otherwise
+    const bundleMeta = action === 'import' ? (body.bundle?.meta || {}) : {};
+
+    const connectionId = resolveConnectionId(query.connection || bundleMeta.connection);
+    if (!connectionId) {
+      return json(400, {
+        error: 'Invalid Connection',
+        message: 'Connection id must be 1-64 letters, numbers, dashes or underscores'
+      });
+    }
+
+    const profileName = resolveProfile(query.profile || bundleMeta.profile);
+    if (!profileName) {
+      return json(400, {
+        error: 'Unknown Profile',
+        message: 'profile must name a profile listed in ACRE_PROFILES'
+      });
+    }
+
+    log.setContext({ connection: connectionId, profile: profileName });
+
+    const { principal, error: authError } = await authenticate(event, { scope: 'admin', connectionId });
+    if (authError) {
+      return authError;
+    }
+
+    const target = { connectionId, profileName, principal, event };
+
+    if (action === 'rollback') {
+      return await rollback(target, query.version);
+    }
+    if (action === 'export') {
+      return await exportConnection(target, body.passphrase);
+    }
+    if (action === 'import') {
+      return await importConnection(target, body);
+    }
+
+    const versions = await listTokenVersions(connectionId, profileName);
+    return json(200, { connection: connectionId, profile: profileName, count: versions.length, versions });
+
+  } catch (error) {
+    log.error('Unexpected error in token-history', error);
+
+    return json(500, {
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Make an earlier version the current token record
+ */
+async function rollback({ connectionId, profileName, principal, event }, versionParam) {
+  const version = Number(versionParam);
+  if (!Number.isInteger(version) || version < 1) {
+    return json(400, { error: 'Invalid Request', message: 'version must be a version number from GET /token-history' });
+  }
+
+  const tokenStorage = await rollbackTokens(connectionId, version, profileName);
+  if (!tokenStorage) {
+    return json(404, {
+      error: 'Version Not Found',
+      message: `Connection "${connectionId}" has no version ${version}.`
+    });
+  }
+
+  await markUsable(connectionId, profileName);
+  await recordAuditEvent('tokens_rolled_back', {
+    connection: connectionId,
+    event,
+    details: { client: principal.label, profile: profileName, version }
+  });
+
+  log.info('Token record rolled back', { version });
+
+  return json(200, {
+    rolled_back: true,
+    connection: connectionId,
+    profile: profileName,
+    version,
+    expires_at: tokenStorage.expires_at
+  });
+}
+
+/**
+ * Seal the current record and its versions into a passphrase-protected bundle
+ */
+async function exportConnection({ connectionId, profileName, principal, event }, passphrase) {
+  const passphraseError = checkPassphrase(passphrase);
+  if (passphraseError) {
+    return passphraseError;
+  }
+
+  const tokenStorage = await readTokens(connectionId, profileName);
+  if (!tokenStorage) {
+    return json(404, {
+      error: 'No Tokens Found',
+      message: `Connection "${connectionId}" has no stored tokens - nothing to export.`
+    });
+  }
+
+  const versions = [];
+  for (const version of (await listTokenVersions(connectionId, profileName)).reverse()) {
+    const tokens = await readTokenVersion(connectionId, version.version, profileName);
+    if (tokens) {
+      versions.push({ ...version, tokens });
+    }
+  }
+
+  const bundle = sealBundle({ tokens: tokenStorage, versions }, passphrase, {
+    connection: connectionId,
+    profile: profileName,
+    exported_at: new Date().toISOString(),
+    source: siteUrl()
+  });
+
+  await recordAuditEvent('tokens_exported', {
+    connection: connectionId,
+    event,
+    details: { client: principal.label, profile: profileName, versions: versions.length }
+  });
+
+  log.info('Token record exported', { versions: versions.length });
+
+  return json(200, bundle);
+}
+
+/**
+ * Restore a bundle's versions (oldest first), then its current record
+ */
+async function importConnection({ connectionId, profileName, principal, event }, { passphrase, bundle, overwrite }) {
+  const passphraseError = checkPassphrase(passphrase);
+  if (passphraseError) {
+    return passphraseError;
+  }
+
+  let payload;
+  try {
+    payload = openBundle(bundle, passphrase);
+  } catch (bundleError) {
+    log.warn('Token bundle rejected', { error: bundleError.message });
+    return json(400, { error: 'Invalid Bundle', message: bundleError.message });
+  }
+
+  if (!payload?.tokens?.access_token || !payload.tokens.refresh_token) {
+    return json(400, { error: 'Invalid Bundle', message: 'Bundle has no token record to import' });
+  }
+
+  if (!overwrite && await readTokens(connectionId, profileName)) {
+    return json(409, {
+      error: 'Tokens Exist',
+      message: `Connection "${connectionId}" already has stored tokens.`,
+      action: 'Send "overwrite": true to replace them'
+    });
+  }
+
+  const versions = Array.isArray(payload.versions) ? payload.versions : [];
+  for (const version of versions) {
+    if (version?.tokens) {
+      await appendTokenVersion(connectionId, version.tokens, {
+        reason: VERSION_REASONS.includes(version.reason) ? version.reason : 'manual',
+        note: `imported version ${version.version}`,
+        writtenAt: version.written_at
+      }, profileName);
+    }
+  }
+
+  await writeTokens(connectionId, payload.tokens, profileName, { reason: 'manual', note: 'import' });
+  await markUsable(connectionId, profileName);
+
+  await recordAuditEvent('tokens_imported', {
+    connection: connectionId,
+    event,
+    details: {
+      client: principal.label,
+      profile: profileName,
+      versions: versions.length,
+      source: bundle.meta?.source || null,
+      exported_at: bundle.meta?.exported_at || null
+    }
+  });
+
+  log.info('Token record imported', { versions: versions.length, source: bundle.meta?.source || null });
+
+  return json(200, {
+    imported: true,
+    connection: connectionId,
+    profile: profileName,
+    versions: versions.length,
+    expires_at: payload.tokens.expires_at
+  });
+}
+
+/**
+ * A restored record replaces whatever made the connection unusable
+ */
+async function markUsable(connectionId, profileName) {
+  await updateStatus(connectionId, {
+    needs_reauth: false,
+    disconnected: false,
+    last_error: null
+  }, profileName);
+}
+
+function checkPassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    return json(400, {
+      error: 'Invalid Request',
+      message: `passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`
+    });
+  }
+  return null;
+}
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+    body: JSON.stringify(body)
+  };
+}
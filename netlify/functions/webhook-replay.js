@@ -0,0 +1,73 @@
+/**
+ * Webhook Dead-Letter Replay
+ *
+ * Lists and re-delivers Acre webhook events whose forwarding to n8n failed.
+ * Requires AUTH_SECRET or a client key with the `admin` scope.
+ *
+ * GET  /webhook-replay             List dead-lettered deliveries
+ * POST /webhook-replay?id=<id>     Re-deliver one event's failed deliveries
+ * POST /webhook-replay             Re-deliver everything on the dead-letter list
+ *
+ * Deliveries that succeed are removed from the list; the rest stay on it.
+ */
+
+const { authenticate } = require('../lib/auth');
+const { listDeadLetters, replayDeadLetters } = require('../lib/webhooks');
+const { recordAuditEvent } = require('../lib/audit');
+const log = require('../lib/logger');
+
+exports.handler = async (event, context) => {
+  log.startRequest('webhook-replay', event, context);
+
+  try {
+    log.info('Webhook replay request received', { method: event.httpMethod });
+
+    const { principal, error: authError } = await authenticate(event, { scope: 'admin' });
+    if (authError) {
+      return authError;
+    }
+
+    if (event.httpMethod === 'GET') {
+      const deadLetters = await listDeadLetters();
+      return json(200, { count: deadLetters.length, dead_letters: deadLetters });
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return json(405, { error: 'Method Not Allowed', message: 'Use GET to list or POST to replay' });
+    }
+
+    const eventId = event.queryStringParameters?.id || null;
+    const results = await replayDeadLetters(eventId);
+    const delivered = results.filter(result => result.status === 'delivered').length;
+
+    await recordAuditEvent('webhook_replayed', {
+      event,
+      details: { client: principal.label, id: eventId, delivered, failed: results.length - delivered }
+    });
+
+    log.info('Webhook replay finished', { id: eventId, delivered, failed: results.length - delivered });
+
+    return json(200, {
+      replayed: results.length,
+      delivered,
+      failed: results.length - delivered,
+      results
+    });
+
+  } catch (error) {
+    log.error('Unexpected error in webhook-replay', error);
+
+    return json(500, {
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+};
+
+function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  };
+}
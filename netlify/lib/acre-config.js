@@ -0,0 +1,195 @@
+/**
+ * Acre Environment Profiles
+ *
+ * A profile is one Acre environment (production, sandbox, ...) with its own
+ * hosts, client credentials and scope. Profiles are listed in ACRE_PROFILES
+ * (default: `production`); `production` is always available.
+ *
+ * Each setting is read from `ACRE_<PROFILE>_<SETTING>` and falls back to the
+ * plain `ACRE_<SETTING>` variable, e.g. for a `sandbox` profile:
+ *
+ *   ACRE_SANDBOX_OAUTH_BASE_URL, ACRE_SANDBOX_API_BASE, ACRE_SANDBOX_CLIENT_ID,
+ *   ACRE_SANDBOX_CLIENT_SECRET, ACRE_SANDBOX_API_KEY, ACRE_SANDBOX_SCOPE,
+ *   ACRE_SANDBOX_JWKS_URL
+ *
+ * Client credentials (CLIENT_ID, CLIENT_SECRET, API_KEY) never fall back, so
+ * production credentials are never sent to another profile's hosts - a
+ * profile without its own is reported as misconfigured by /setup and /health.
+ *
+ * The active profile is the `?profile=` query parameter if given, otherwise
+ * ACRE_PROFILE, otherwise the one mapped to the Netlify deploy context (CONTEXT)
+ * by ACRE_CONTEXT_PROFILES - deploy previews and branch deploys use `sandbox`
+ * when it is configured.
+ *
+ * The OAuth redirect URI is derived from the request host and must match
+ * REDIRECT_ORIGIN_ALLOWLIST (or the site's own Netlify URLs when unset).
+ */
+
+const DEFAULT_PROFILE = 'production';
+const PROFILE_NAME_PATTERN = /^[a-z0-9-]{1,32}$/;
+
+const DEFAULT_OAUTH_BASE_URL = 'https://oauth.acreplatforms.net';
+const DEFAULT_API_BASE = 'https://api.myac.re/v1/acre';
+const DEFAULT_CONTEXT_PROFILES = 'deploy-preview:sandbox,branch-deploy:sandbox,dev:sandbox';
+const DEFAULT_SITE_URL = 'https://acre-test.netlify.app';
+const CALLBACK_PATH = '/.netlify/functions/auth-callback';
+
+// Settings each profile must set itself
+const CREDENTIAL_SETTINGS = ['CLIENT_ID', 'CLIENT_SECRET', 'API_KEY'];
+
+/**
+ * Names of every configured profile
+ */
+function listProfiles() {
+  const names = (process.env.ACRE_PROFILES || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => PROFILE_NAME_PATTERN.test(name));
+
+  return [DEFAULT_PROFILE, ...names.filter(name => name !== DEFAULT_PROFILE)];
+}
+
+/**
+ * Profile used when the request doesn't ask for one
+ */
+function contextProfile() {
+  const profiles = listProfiles();
+  const pinned = (process.env.ACRE_PROFILE || '').trim().toLowerCase();
+
+  if (pinned) {
+    return profiles.includes(pinned) ? pinned : DEFAULT_PROFILE;
+  }
+
+  const mapping = Object.fromEntries((process.env.ACRE_CONTEXT_PROFILES || DEFAULT_CONTEXT_PROFILES)
+    .split(',')
+    .map(entry => entry.split(':').map(part => part.trim().toLowerCase()))
+    .filter(([context, profile]) => context && profile));
+
+  const mapped = mapping[(process.env.CONTEXT || '').toLowerCase()];
+  return profiles.includes(mapped) ? mapped : DEFAULT_PROFILE;
+}
+
+/**
+ * Normalise a requested profile name.
+ * Returns the context profile when none was given, null when it isn't configured.
+ */
+function resolveProfile(value) {
+  if (value === undefined || value === null || value === '') {
+    return contextProfile();
+  }
+
+  const name = String(value).trim().toLowerCase();
+  return listProfiles().includes(name) ? name : null;
+}
+
+/**
+ * Environment variable holding one setting for a profile
+ * (`ACRE_SANDBOX_CLIENT_ID`; production uses the plain `ACRE_CLIENT_ID`)
+ */
+function profileVariable(profile, setting) {
+  return profile === DEFAULT_PROFILE
+    ? `ACRE_${setting}`
+    : `ACRE_${profile.toUpperCase().replace(/-/g, '_')}_${setting}`;
+}
+
+/**
+ * Read one setting for a profile, falling back to the unprefixed variable
+ * (except for client credentials)
+ */
+function profileSetting(profile, setting) {
+  const value = process.env[profileVariable(profile, setting)];
+  return CREDENTIAL_SETTINGS.includes(setting) ? value : value || process.env[`ACRE_${setting}`];
+}
+
+/**
+ * Hosts, credentials and scope for a profile (the context profile by default)
+ */
+function getProfile(name = contextProfile()) {
+  const oauthBaseUrl = (profileSetting(name, 'OAUTH_BASE_URL') || DEFAULT_OAUTH_BASE_URL).replace(/\/+$/, '');
+
+  return {
+    name,
+    authUrl: profileSetting(name, 'AUTH_URL') || `${oauthBaseUrl}/oauth2/auth`,
+    tokenUrl: profileSetting(name, 'TOKEN_URL') || `${oauthBaseUrl}/oauth2/token`,
+    revokeUrl: profileSetting(name, 'REVOKE_URL') || `${oauthBaseUrl}/oauth2/revoke`,
+    apiBase: (profileSetting(name, 'API_BASE') || DEFAULT_API_BASE).replace(/\/+$/, ''),
+    clientId: profileSetting(name, 'CLIENT_ID'),
+    clientSecret: profileSetting(name, 'CLIENT_SECRET'),
+    apiKey: profileSetting(name, 'API_KEY'),
+    scope: profileSetting(name, 'SCOPE'),
+    jwks: profileSetting(name, 'JWKS_URL')
+  };
+}
+
+/**
+ * Origins the OAuth callback may live on.
+ * Entries may use `*` for one hostname label, e.g. `https://*--acre-test.netlify.app`.
+ */
+function allowedRedirectOrigins() {
+  const configured = process.env.REDIRECT_ORIGIN_ALLOWLIST;
+  const origins = configured
+    ? configured.split(',')
+    : [process.env.URL, process.env.DEPLOY_PRIME_URL, process.env.DEPLOY_URL, process.env.NETLIFY_URL, DEFAULT_SITE_URL];
+
+  return origins
+    .map(origin => (origin || '').trim().replace(/\/+$/, '').toLowerCase())
+    .filter(Boolean);
+}
+
+function originMatches(origin, pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[a-z0-9-]+');
+  return new RegExp(`^${escaped}$`).test(origin);
+}
+
+/**
+ * Public URL of this site (for links in alerts and emails)
+ */
+function siteUrl() {
+  return (process.env.URL || process.env.NETLIFY_URL || DEFAULT_SITE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Link that (re)starts the OAuth flow for a connection, naming the profile
+ * unless it is this deploy's default
+ */
+function authStartUrl(connection, profile = resolveProfile()) {
+  const url = new URL('/auth-start', siteUrl());
+  url.searchParams.set('connection', connection);
+  if (profile !== resolveProfile()) {
+    url.searchParams.set('profile', profile);
+  }
+  return url.toString();
+}
+
+/**
+ * Callback URL for the site this request came in on.
+ * Returns null if the request host is not on the allowlist.
+ */
+function redirectUriFor(event) {
+  const headers = event.headers || {};
+  const host = (headers['x-forwarded-host'] || headers.host || '').split(',')[0].trim().toLowerCase();
+
+  let origin;
+  if (host) {
+    const localhost = /^(localhost|127\.0\.0\.1)(:\d+)?$/.test(host);
+    const protocol = (headers['x-forwarded-proto'] || '').split(',')[0].trim() || (localhost ? 'http' : 'https');
+    origin = `${protocol}://${host}`;
+  } else {
+    origin = siteUrl().toLowerCase();
+  }
+
+  const allowed = allowedRedirectOrigins().some(pattern => originMatches(origin, pattern));
+  return allowed ? `${origin}${CALLBACK_PATH}` : null;
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  listProfiles,
+  resolveProfile,
+  getProfile,
+  profileVariable,
+  profileSetting,
+  siteUrl,
+  authStartUrl,
+  redirectUriFor
+};
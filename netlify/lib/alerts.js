@@ -0,0 +1,224 @@
+/**
+ * Outbound Alerts
+ *
+ * Tells a human when a connection is about to break, instead of waiting for a
+ * workflow to fail. Alert kinds:
+ * - `refresh_failed`     a token refresh failed (network, 5xx, ...)
+ * - `reauth_required`    Acre answered `invalid_grant` - someone must log in again
+ * - `refresh_token_old`  the refresh token is older than ALERT_REFRESH_TOKEN_MAX_AGE_DAYS
+ * - `tokens_missing`     a client asked for a connection with no stored tokens
+ *
+ * Channels (any combination, each optional):
+ * - ALERT_WEBHOOK_URL          generic JSON POST
+ * - ALERT_SLACK_WEBHOOK_URL    Slack-compatible incoming webhook
+ * - ALERT_SMTP_URL + ALERT_EMAIL_FROM + ALERT_EMAIL_TO   email, sent with nodemailer
+ *
+ * Every alert carries a ready-to-click /auth-start link. The same kind for the
+ * same connection is sent at most once per ALERT_REPEAT_HOURS (default 24);
+ * the suppression is lifted when the connection recovers (resolveAlerts).
+ *
+ * Alerts are sent from request paths (get-token, the proxy, refreshes), so a
+ * slow or unreachable channel must not hold the response: sendAlert stops
+ * waiting after ALERT_TIMEOUT_MS and answers `{ sent: false, reason: 'timeout' }`.
+ */
+
+const { getStorage } = require('./storage');
+const { resolveProfile, authStartUrl } = require('./acre-config');
+const nodemailer = require('nodemailer');
+const log = require('./logger');
+
+const ALERT_KINDS = ['refresh_failed', 'reauth_required', 'refresh_token_old', 'tokens_missing'];
+const DEFAULT_REPEAT_HOURS = 24;
+const ALERT_TIMEOUT_MS = 2000;
+
+const TITLES = {
+  refresh_failed: 'Token refresh failed',
+  reauth_required: 'Re-authentication required',
+  refresh_token_old: 'Refresh token is getting old',
+  tokens_missing: 'No tokens stored'
+};
+
+/**
+ * Get the store remembering which alerts were already sent
+ */
+function getAlertStore() {
+  return getStorage('acre-alerts');
+}
+
+function alertKey(kind, connection, profile) {
+  return `sent/${profile}/${connection}/${kind}`;
+}
+
+/**
+ * Send an alert on every configured channel, unless the same alert was sent recently.
+ * Never throws - alerting must not break the request - and never takes much
+ * longer than ALERT_TIMEOUT_MS.
+ */
+async function sendAlert(kind, { connection, profile = resolveProfile(), message, details = {} }) {
+  let timer;
+  const timedOut = new Promise(resolve => {
+    timer = setTimeout(() => resolve({ sent: false, reason: 'timeout' }), ALERT_TIMEOUT_MS);
+    timer.unref?.();
+  });
+
+  const result = await Promise.race([dispatchAlert(kind, { connection, profile, message, details }), timedOut]);
+  clearTimeout(timer);
+
+  if (result.reason === 'timeout') {
+    log.warn('Alert channels did not answer in time', { kind, connection, profile, timeout_ms: ALERT_TIMEOUT_MS });
+  }
+  return result;
+}
+
+async function dispatchAlert(kind, { connection, profile, message, details }) {
+  try {
+    const channels = configuredChannels();
+    if (!channels.length) {
+      return { sent: false, reason: 'no_channels' };
+    }
+
+    const store = getAlertStore();
+    const key = alertKey(kind, connection, profile);
+    const previous = await store.get(key, { type: 'json' });
+    const repeatMs = (parseFloat(process.env.ALERT_REPEAT_HOURS) || DEFAULT_REPEAT_HOURS) * 60 * 60 * 1000;
+
+    if (previous && Date.now() - new Date(previous.last_sent_at).getTime() < repeatMs) {
+      await store.setJSON(key, { ...previous, suppressed: (previous.suppressed || 0) + 1 });
+      log.info('Alert suppressed (already sent recently)', { kind, connection, profile });
+      return { sent: false, reason: 'suppressed' };
+    }
+
+    const alert = {
+      alert: kind,
+      title: `${TITLES[kind] || kind}: ${connection} (${profile})`,
+      connection,
+      profile,
+      message,
+      details,
+      auth_start_url: authStartUrl(connection, profile),
+      timestamp: new Date().toISOString()
+    };
+
+    // Recorded before sending, so a channel that times out isn't retried on every request
+    await store.setJSON(key, {
+      kind,
+      connection,
+      profile,
+      first_sent_at: previous?.first_sent_at || alert.timestamp,
+      last_sent_at: alert.timestamp,
+      suppressed: 0
+    });
+
+    const results = await Promise.all(channels.map(async channel => {
+      try {
+        await channel.send(alert);
+        return { channel: channel.name, ok: true };
+      } catch (channelError) {
+        log.warn('Alert channel failed', { channel: channel.name, error: channelError.message });
+        return { channel: channel.name, ok: false, error: channelError.message };
+      }
+    }));
+
+    log.info('Alert sent', { kind, connection, profile, channels: results });
+    return { sent: true, results };
+  } catch (error) {
+    log.warn('Failed to send alert', { kind, error: error.message });
+    return { sent: false, reason: 'error' };
+  }
+}
+
+/**
+ * Clear the suppression for a connection that recovered (refreshed or logged in),
+ * so the next failure alerts straight away. Never throws.
+ */
+async function resolveAlerts(connection, profile = resolveProfile(), kinds = ALERT_KINDS) {
+  try {
+    const store = getAlertStore();
+    await Promise.all(kinds.map(kind => store.delete(alertKey(kind, connection, profile))));
+  } catch (error) {
+    log.warn('Failed to clear alerts', { error: error.message });
+  }
+}
+
+/**
+ * Channels with the environment variables they need
+ */
+function configuredChannels() {
+  const channels = [];
+
+  if (process.env.ALERT_WEBHOOK_URL) {
+    channels.push({
+      name: 'webhook',
+      send: alert => postJson(process.env.ALERT_WEBHOOK_URL, alert)
+    });
+  }
+
+  if (process.env.ALERT_SLACK_WEBHOOK_URL) {
+    channels.push({
+      name: 'slack',
+      send: alert => postJson(process.env.ALERT_SLACK_WEBHOOK_URL, {
+        text: `:rotating_light: *${alert.title}*\n${alert.message}\n<${alert.auth_start_url}|Re-authenticate ${alert.connection}>`
+      })
+    });
+  }
+
+  if (process.env.ALERT_SMTP_URL && process.env.ALERT_EMAIL_FROM && process.env.ALERT_EMAIL_TO) {
+    channels.push({
+      name: 'email',
+      send: alert => mailTransport(process.env.ALERT_SMTP_URL).sendMail({
+        from: process.env.ALERT_EMAIL_FROM,
+        to: process.env.ALERT_EMAIL_TO.split(',').map(address => address.trim()).filter(Boolean),
+        subject: `[Acre OAuth] ${alert.title}`,
+        text: [
+          alert.message,
+          '',
+          `Connection: ${alert.connection}`,
+          `Profile: ${alert.profile}`,
+          `Time: ${alert.timestamp}`,
+          '',
+          `Re-authenticate: ${alert.auth_start_url}`
+        ].join('\n')
+      })
+    });
+  }
+
+  return channels;
+}
+
+async function postJson(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(ALERT_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+}
+
+/**
+ * SMTP transport for ALERT_SMTP_URL: `smtps://` is implicit TLS, `smtp://`
+ * requires STARTTLS unless `?starttls=false` (local testing only)
+ */
+function mailTransport(url) {
+  const target = new URL(url);
+  const plain = target.protocol === 'smtp:';
+  const startTls = plain && target.searchParams.get('starttls') !== 'false';
+
+  return nodemailer.createTransport({
+    url,
+    requireTLS: startTls,
+    ignoreTLS: plain && !startTls,
+    connectionTimeout: ALERT_TIMEOUT_MS,
+    greetingTimeout: ALERT_TIMEOUT_MS,
+    socketTimeout: ALERT_TIMEOUT_MS
+  });
+}
+
+module.exports = {
+  ALERT_KINDS,
+  sendAlert,
+  resolveAlerts
+};
@@ -0,0 +1,151 @@
+/**
+ * Audit Log
+ *
+ * Append-only record of OAuth and token events in the `acre-audit` store,
+ * so "why did last night's workflow fail?" can be answered after the function
+ * logs have rotated away.
+ *
+ * Each event is its own blob, never updated:
+ *
+ *   <YYYY-MM-DD>/<epoch ms>.<event type>.<connection>.<random>
+ *
+ * The key carries the day, time, type and connection so queries can filter
+ * on them without downloading every event. Details are redacted before storage
+ * (see redact.js).
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { redact } = require('./redact');
+const log = require('./logger');
+
+const EVENT_TYPES = [
+  'login_started',
+  'callback_succeeded',
+  'callback_failed',
+  'state_mismatch',
+  'token_served',
+  'refresh_succeeded',
+  'refresh_failed',
+  'unauthorized',
+  'rate_limited',
+  'disconnected',
+  'tokens_cleared',
+  'tokens_rolled_back',
+  'tokens_exported',
+  'tokens_imported',
+  'webhook_received',
+  'webhook_rejected',
+  'webhook_dead_lettered',
+  'webhook_replayed'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 31;
+
+/**
+ * Get the store holding audit events
+ */
+function getAuditStore() {
+  return getStorage('acre-audit');
+}
+
+/**
+ * Append an event. Never throws - auditing must not break the request.
+ */
+async function recordAuditEvent(type, { connection = null, event = null, details = {} } = {}) {
+  try {
+    const now = new Date();
+    const id = crypto.randomBytes(6).toString('hex');
+    const key = `${now.toISOString().slice(0, 10)}/${now.getTime()}.${type}.${connection || ''}.${id}`;
+
+    const record = {
+      id,
+      timestamp: now.toISOString(),
+      type,
+      connection,
+      source_ip: event ? sourceIp(event) : null,
+      details: redact(details)
+    };
+
+    await getAuditStore().setJSON(key, record, {
+      metadata: { type, connection }
+    });
+  } catch (error) {
+    log.warn('Failed to write audit event', { type, error: error.message });
+  }
+}
+
+/**
+ * Query events, newest first.
+ * Returns { events, next_cursor } - pass next_cursor back as `cursor` for the next page.
+ */
+async function queryAuditEvents({ from, to, types, connection, limit = 50, cursor } = {}) {
+  const toTime = to ? new Date(to).getTime() : Date.now();
+  const fromTime = from ? new Date(from).getTime() : toTime - 7 * DAY_MS;
+
+  if (Number.isNaN(fromTime) || Number.isNaN(toTime) || fromTime > toTime) {
+    throw new Error('from/to must be ISO dates with from before to');
+  }
+
+  if (toTime - fromTime > MAX_RANGE_DAYS * DAY_MS) {
+    throw new Error(`Time range can be at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  const store = getAuditStore();
+  const events = [];
+
+  // Walk days newest first
+  for (let day = startOfDay(toTime); day >= startOfDay(fromTime); day -= DAY_MS) {
+    const prefix = `${new Date(day).toISOString().slice(0, 10)}/`;
+    const { blobs } = await store.list({ prefix });
+
+    const keys = blobs
+      .map(blob => blob.key)
+      .filter(key => {
+        const [time, type, keyConnection] = key.slice(prefix.length).split('.');
+        return Number(time) >= fromTime
+          && Number(time) <= toTime
+          && (!types || types.includes(type))
+          && (!connection || keyConnection === connection)
+          && (!cursor || key < cursor);
+      })
+      .sort()
+      .reverse();
+
+    for (const key of keys) {
+      const record = await store.get(key, { type: 'json' });
+      if (record) {
+        events.push(record);
+      }
+
+      if (events.length === limit) {
+        return { events, next_cursor: key };
+      }
+    }
+  }
+
+  return { events, next_cursor: null };
+}
+
+/**
+ * Client IP as reported by Netlify. `x-forwarded-for` is never used: the
+ * client controls it, so it could dodge rate limits or lock others out.
+ */
+function sourceIp(event, context) {
+  const headers = event.headers || {};
+  return headers['x-nf-client-connection-ip']
+    || context?.ip
+    || null;
+}
+
+function startOfDay(time) {
+  return Math.floor(time / DAY_MS) * DAY_MS;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  recordAuditEvent,
+  queryAuditEvents,
+  sourceIp
+};
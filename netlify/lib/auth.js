@@ -0,0 +1,115 @@
+/**
+ * Request Authentication
+ *
+ * Protected endpoints expect `Authorization: Bearer <credential>` where the
+ * credential is either:
+ * - AUTH_SECRET - the bootstrap admin credential, allowed everything
+ * - a client API key issued via /client-keys, limited to its scopes and connections
+ */
+
+const { safeEqual, verifyClientKey } = require('./client-keys');
+const { recordAuditEvent } = require('./audit');
+const log = require('./logger');
+
+/**
+ * Authenticate a request for a scope (and optionally a connection).
+ * Returns { principal } when allowed, or { error } with the response to send back.
+ */
+async function authenticate(event, { scope, connectionId } = {}) {
+  const authHeader = event.headers.authorization || event.headers.Authorization;
+  const authSecret = process.env.AUTH_SECRET;
+
+  if (!authSecret) {
+    return {
+      error: {
+        statusCode: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: 'Configuration Error',
+          message: 'AUTH_SECRET not configured in environment variables'
+        })
+      }
+    };
+  }
+
+  const credential = (authHeader || '').replace(/^Bearer\s+/i, '');
+
+  // Bootstrap admin credential
+  if (authHeader && safeEqual(authHeader, `Bearer ${authSecret}`)) {
+    return { principal: { type: 'admin', id: 'auth-secret', label: 'AUTH_SECRET' } };
+  }
+
+  const client = credential ? await verifyClientKey(credential) : null;
+
+  if (!client) {
+    log.warn('Unauthorized request - invalid or missing credential');
+    await recordAuditEvent('unauthorized', {
+      connection: connectionId || null,
+      event,
+      details: { path: event.path, has_credential: !!credential }
+    });
+    return {
+      error: {
+        statusCode: 401,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: 'Unauthorized',
+          message: 'Invalid or missing Authorization header. Expected: Bearer YOUR_AUTH_SECRET or Bearer YOUR_CLIENT_KEY'
+        })
+      }
+    };
+  }
+
+  const principal = { type: 'client', ...client };
+
+  if (scope && !client.scopes.includes(scope) && !client.scopes.includes('admin')) {
+    log.warn('Forbidden - key lacks scope', { key: client.id, scope });
+    await recordAuditEvent('unauthorized', {
+      connection: connectionId || null,
+      event,
+      details: { path: event.path, client: client.id, reason: 'missing_scope', scope }
+    });
+    return { principal, error: forbidden(`This key does not have the "${scope}" scope`) };
+  }
+
+  if (connectionId && !canAccessConnection(principal, connectionId)) {
+    log.warn('Forbidden - key not allowed for connection', { key: client.id, connection: connectionId });
+    await recordAuditEvent('unauthorized', {
+      connection: connectionId,
+      event,
+      details: { path: event.path, client: client.id, reason: 'connection_not_allowed' }
+    });
+    return { principal, error: forbidden(`This key is not allowed to use connection "${connectionId}"`) };
+  }
+
+  return { principal };
+}
+
+/**
+ * May this principal use the given connection?
+ */
+function canAccessConnection(principal, connectionId) {
+  if (principal.type === 'admin') {
+    return true;
+  }
+
+  // Exact matches only - a stray string here must not turn into a substring match
+  const connections = Array.isArray(principal.connections) ? principal.connections : [];
+  return connections.includes('*') || connections.includes(connectionId);
+}
+
+function forbidden(message) {
+  return {
+    statusCode: 403,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      error: 'Forbidden',
+      message
+    })
+  };
+}
+
+module.exports = {
+  authenticate,
+  canAccessConnection
+};
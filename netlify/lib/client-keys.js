@@ -0,0 +1,270 @@
+/**
+ * Client API Keys
+ *
+ * Each consumer (n8n instance, script, teammate) gets its own revocable key
+ * instead of sharing AUTH_SECRET. Keys are stored hashed in the
+ * `acre-client-keys` store - the full key is only shown once, when issued.
+ *
+ * Key format: `acre_<id>_<secret>`. The id locates the record, the SHA-256 hash
+ * of the whole key is compared in constant time. OAuth2 clients (/oauth/token)
+ * present the same key as client id `<id>` and client secret `<secret>`.
+ *
+ * Each record has:
+ * - label         who the key is for
+ * - scopes        what it may do: `token` (get-token), `proxy` (/acre/*), `admin`
+ * - connections   which connections it may use (`*` for all) - an array of
+ *                 connection ids, like scopes an array of known scope names
+ * - expires_at    optional expiry
+ *
+ * Usage is kept apart from the record, under `usage/<id>` (`last_used_at`,
+ * written at most once a minute), so recording a use never rewrites the
+ * record itself - a stale read can't undo a revocation.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { resolveConnectionId } = require('./token-store');
+const log = require('./logger');
+
+const SCOPES = ['token', 'proxy', 'admin'];
+const KEY_PATTERN = /^acre_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Get the store holding client key records
+ */
+function getClientKeyStore() {
+  return getStorage('acre-client-keys');
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+/**
+ * Constant-time string comparison (hashing first so lengths always match)
+ */
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(hashKey(String(a)), hashKey(String(b)));
+}
+
+/**
+ * Remove the hash before a record leaves this module
+ */
+function publicRecord(record) {
+  const { hash, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Validate requested scopes and connections, filling in the defaults
+ * (`token`, all connections). Throws on anything but arrays of known scopes
+ * and valid connection ids.
+ */
+function normaliseGrant({ scopes, connections }) {
+  if (scopes !== undefined && scopes !== null && !Array.isArray(scopes)) {
+    throw new Error('scopes must be an array, e.g. ["token"]');
+  }
+  if (connections !== undefined && connections !== null && !Array.isArray(connections)) {
+    throw new Error('connections must be an array of connection ids, e.g. ["smith-advisers"]');
+  }
+
+  const grantedScopes = scopes && scopes.length ? [...new Set(scopes)] : ['token'];
+  const unknown = grantedScopes.filter(scope => !SCOPES.includes(scope));
+  if (unknown.length) {
+    throw new Error(`Unknown scope(s): ${unknown.join(', ')}. Allowed: ${SCOPES.join(', ')}`);
+  }
+
+  const grantedConnections = connections && connections.length ? [...new Set(connections)] : ['*'];
+  const invalid = grantedConnections.filter(connection =>
+    connection !== '*' && (typeof connection !== 'string' || !connection || resolveConnectionId(connection) !== connection));
+  if (invalid.length) {
+    throw new Error(`Invalid connection id(s): ${invalid.map(String).join(', ')}. Use 1-64 letters, numbers, dashes or underscores, or "*"`);
+  }
+
+  return {
+    scopes: grantedScopes,
+    connections: grantedConnections.includes('*') ? ['*'] : grantedConnections
+  };
+}
+
+/**
+ * Why a grant would give a key more access than the principal issuing it has
+ * (null if it doesn't). AUTH_SECRET may grant anything.
+ */
+function grantExceedsPrincipal(principal, { scopes, connections }) {
+  if (principal.type === 'admin') {
+    return null;
+  }
+
+  const ownScopes = Array.isArray(principal.scopes) ? principal.scopes : [];
+  const extraScopes = ownScopes.includes('admin') ? [] : scopes.filter(scope => !ownScopes.includes(scope));
+  if (extraScopes.length) {
+    return `You can't grant scopes you don't have: ${extraScopes.join(', ')}`;
+  }
+
+  const ownConnections = Array.isArray(principal.connections) ? principal.connections : [];
+  if (!ownConnections.includes('*')) {
+    const extraConnections = connections.filter(connection => !ownConnections.includes(connection));
+    if (extraConnections.length) {
+      return `You can't grant connections you don't have: ${extraConnections.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Issue a new key. Returns { key, record } - the key is never stored.
+ */
+async function issueClientKey({ label, scopes, connections, expiresAt }) {
+  if (!label || typeof label !== 'string') {
+    throw new Error('label is required');
+  }
+
+  const grant = normaliseGrant({ scopes, connections });
+
+  if (expiresAt && Number.isNaN(new Date(expiresAt).getTime())) {
+    throw new Error('expires_at must be an ISO date');
+  }
+
+  const id = crypto.randomBytes(8).toString('hex');
+  const key = `acre_${id}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  const record = {
+    id,
+    label: label.slice(0, 100),
+    scopes: grant.scopes,
+    connections: grant.connections,
+    created_at: new Date().toISOString(),
+    expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+    revoked_at: null,
+    hash: hashKey(key).toString('hex')
+  };
+
+  await getClientKeyStore().setJSON(id, record, {
+    metadata: { label: record.label, revoked: false }
+  });
+
+  return { key, record: publicRecord(record) };
+}
+
+/**
+ * Revoke a key by id. Returns the updated record, or null if it doesn't exist.
+ */
+async function revokeClientKey(id) {
+  const store = getClientKeyStore();
+  const record = await store.get(id, { type: 'json' });
+
+  if (!record) {
+    return null;
+  }
+
+  record.revoked_at = record.revoked_at || new Date().toISOString();
+  await store.setJSON(id, record, {
+    metadata: { label: record.label, revoked: true }
+  });
+
+  return publicRecord(record);
+}
+
+function usageKey(id) {
+  return `usage/${id}`;
+}
+
+/**
+ * List every key record (without hashes), with when it was last used
+ */
+async function listClientKeys() {
+  const store = getClientKeyStore();
+  const { blobs } = await store.list();
+  const records = await Promise.all(blobs
+    .filter(blob => !blob.key.startsWith('usage/'))
+    .map(async blob => {
+      const [record, usage] = await Promise.all([
+        store.get(blob.key, { type: 'json' }),
+        store.get(usageKey(blob.key), { type: 'json' })
+      ]);
+      return record && { ...record, last_used_at: usage?.last_used_at || null };
+    }));
+
+  return records.filter(Boolean).map(publicRecord);
+}
+
+/**
+ * Look up and verify a presented key.
+ * Returns the public record, or null if the key is unknown, revoked or expired.
+ */
+async function verifyClientKey(key) {
+  const match = KEY_PATTERN.exec(key || '');
+  if (!match) {
+    return null;
+  }
+
+  const store = getClientKeyStore();
+  const record = await store.get(match[1], { type: 'json' });
+
+  if (!record || !crypto.timingSafeEqual(hashKey(key), Buffer.from(record.hash, 'hex'))) {
+    return null;
+  }
+
+  if (record.revoked_at) {
+    return null;
+  }
+
+  if (record.expires_at && new Date(record.expires_at) <= new Date()) {
+    return null;
+  }
+
+  // Track usage, but don't write on every single request
+  let lastUsedAt = null;
+  try {
+    lastUsedAt = (await store.get(usageKey(record.id), { type: 'json' }))?.last_used_at || null;
+    if (Date.now() - (lastUsedAt ? new Date(lastUsedAt).getTime() : 0) > LAST_USED_RESOLUTION_MS) {
+      lastUsedAt = new Date().toISOString();
+      await store.setJSON(usageKey(record.id), { last_used_at: lastUsedAt });
+    }
+  } catch (error) {
+    log.warn('Failed to update key last_used_at', { error: error.message });
+  }
+
+  return publicRecord({ ...record, last_used_at: lastUsedAt });
+}
+
+/**
+ * Verify OAuth2 client credentials. The client id is the key id; the secret is
+ * the part of the key after it (or the whole key).
+ * Returns the public record, or null.
+ */
+async function verifyClientCredentials(clientId, clientSecret) {
+  const secret = String(clientSecret || '');
+  const key = secret.startsWith('acre_') ? secret : `acre_${clientId}_${secret}`;
+  const match = KEY_PATTERN.exec(key);
+
+  if (!match || match[1] !== clientId) {
+    return null;
+  }
+
+  return verifyClientKey(key);
+}
+
+/**
+ * Split a key into OAuth2 client credentials
+ */
+function clientCredentials(key) {
+  const [, id] = KEY_PATTERN.exec(key);
+  return { client_id: id, client_secret: key.slice(`acre_${id}_`.length) };
+}
+
+module.exports = {
+  SCOPES,
+  safeEqual,
+  normaliseGrant,
+  grantExceedsPrincipal,
+  issueClientKey,
+  revokeClientKey,
+  listClientKeys,
+  verifyClientKey,
+  verifyClientCredentials,
+  clientCredentials
+};
@@ -0,0 +1,178 @@
+/**
+ * Health Checks
+ *
+ * Each check returns `{ status, ... }` with status `pass`, `warn` or `fail`:
+ *
+ * - config    required environment variables are set (names only, never values)
+ * - storage   the storage backend can be written, read back and cleaned up
+ * - token     a token record exists for the connection, and how long it has left
+ * - upstream  a live call to the Acre API with the current token (optional)
+ *
+ * Checks never throw - a failure is reported in the result instead.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { profileVariable } = require('./acre-config');
+const { readTokens, readStatus } = require('./token-store');
+const { needsRefresh } = require('./refresh');
+
+const HEALTH_STORE = 'acre-health';
+const UPSTREAM_TIMEOUT_MS = 5000;
+const DEFAULT_PROBE_PATH = '/case?page_size=1';
+
+// Profile settings every profile needs, and site-wide variables
+const REQUIRED_PROFILE_SETTINGS = ['CLIENT_ID', 'CLIENT_SECRET', 'API_KEY', 'SCOPE'];
+const REQUIRED_VARIABLES = ['AUTH_SECRET', 'TOKEN_ENCRYPTION_KEYS'];
+
+/**
+ * Required environment variables for a profile
+ */
+function checkConfig(profile) {
+  const missing = [
+    ...REQUIRED_PROFILE_SETTINGS
+      .filter(setting => !profile[settingKey(setting)])
+      .map(setting => profileVariable(profile.name, setting)),
+    ...REQUIRED_VARIABLES.filter(name => !process.env[name])
+  ];
+
+  return missing.length
+    ? { status: 'fail', missing, message: `Missing environment variables: ${missing.join(', ')}` }
+    : { status: 'pass', missing };
+}
+
+// CLIENT_ID → clientId
+function settingKey(setting) {
+  return setting.toLowerCase().replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Write, read back and delete a probe record
+ */
+async function checkStorage() {
+  const started = Date.now();
+  const backend = (process.env.STORAGE_BACKEND || 'blobs').toLowerCase();
+
+  try {
+    const store = getStorage(HEALTH_STORE);
+    const key = `probe/${crypto.randomUUID()}`;
+    const value = new Date().toISOString();
+
+    await store.set(key, value);
+    const readBack = await store.get(key, { type: 'text' });
+    await store.delete(key);
+
+    if (readBack !== value) {
+      return { status: 'fail', backend, latency_ms: Date.now() - started, message: 'Probe record did not read back' };
+    }
+
+    return { status: 'pass', backend, latency_ms: Date.now() - started };
+  } catch (storageError) {
+    return { status: 'fail', backend, latency_ms: Date.now() - started, message: storageError.message };
+  }
+}
+
+/**
+ * Token record for a connection: present, usable, and time to expiry.
+ * Returns the check and the record (for the upstream probe).
+ */
+async function checkToken(connectionId, profileName) {
+  try {
+    const [tokenStorage, status] = await Promise.all([
+      readTokens(connectionId, profileName),
+      readStatus(connectionId, profileName)
+    ]);
+
+    if (!tokenStorage) {
+      return {
+        check: {
+          status: 'fail',
+          exists: false,
+          message: status.disconnected
+            ? `Connection was disconnected at ${status.disconnected_at}`
+            : `No tokens stored. Visit /auth-start?connection=${connectionId} to log in`
+        },
+        tokenStorage: null
+      };
+    }
+
+    const expiresIn = Math.floor((new Date(tokenStorage.expires_at).getTime() - Date.now()) / 1000);
+    const check = {
+      status: 'pass',
+      exists: true,
+      expires_at: tokenStorage.expires_at,
+      expires_in_seconds: expiresIn,
+      created_at: tokenStorage.created_at || null,
+      needs_reauth: !!status.needs_reauth
+    };
+
+    if (status.needs_reauth) {
+      check.status = 'fail';
+      check.message = `Refresh token was rejected. Visit /auth-start?connection=${connectionId} to log in again`;
+    } else if (needsRefresh(tokenStorage)) {
+      check.status = 'warn';
+      check.message = expiresIn > 0
+        ? 'Access token expires soon; it is refreshed on the next request'
+        : 'Access token has expired; it is refreshed on the next request';
+    }
+
+    return { check, tokenStorage };
+  } catch (tokenError) {
+    return { check: { status: 'fail', exists: null, message: tokenError.message }, tokenStorage: null };
+  }
+}
+
+/**
+ * One live request to the Acre API with the stored token (no refresh, no retry)
+ */
+async function probeUpstream(profile, tokenStorage) {
+  if (!tokenStorage || !profile.apiKey) {
+    return { status: 'warn', skipped: true, message: 'Skipped - needs a stored token and ACRE_API_KEY' };
+  }
+
+  const url = `${profile.apiBase}${process.env.HEALTH_PROBE_PATH || DEFAULT_PROBE_PATH}`;
+  const started = Date.now();
+
+  try {
+    const response = await fetch(url, {
+      headers: {
+        'Accept': 'application/json',
+        'Cookie': `authorization=${tokenStorage.access_token}`,
+        'X-API-KEY': profile.apiKey
+      },
+      signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS)
+    });
+    await response.arrayBuffer();
+
+    const result = { status: response.ok ? 'pass' : 'fail', http_status: response.status, latency_ms: Date.now() - started };
+    if (response.status === 401 || response.status === 403) {
+      result.message = 'Acre rejected the stored token or API key';
+    } else if (!response.ok) {
+      result.message = `Acre API responded with HTTP ${response.status}`;
+    }
+    return result;
+  } catch (fetchError) {
+    return { status: 'fail', latency_ms: Date.now() - started, message: fetchError.message };
+  }
+}
+
+/**
+ * Worst status across checks
+ */
+function overallStatus(checks) {
+  const statuses = Object.values(checks).map(check => check.status);
+  if (statuses.includes('fail')) {
+    return 'fail';
+  }
+  return statuses.includes('warn') ? 'warn' : 'pass';
+}
+
+module.exports = {
+  REQUIRED_PROFILE_SETTINGS,
+  REQUIRED_VARIABLES,
+  checkConfig,
+  checkStorage,
+  checkToken,
+  probeUpstream,
+  overallStatus
+};
@@ -0,0 +1,157 @@
+/**
+ * JWT Decoding and JWKS Verification
+ *
+ * Used by /introspect to look inside Acre access tokens. Tokens that aren't
+ * JWTs (opaque tokens) decode to null.
+ *
+ * Signatures are checked against a JWKS - `ACRE_JWKS_URL` (or
+ * `ACRE_<PROFILE>_JWKS_URL`), either an https URL or a path to a local JSON
+ * file. Supported algorithms: RS256/384/512, PS256/384/512, ES256/384/512 and
+ * EdDSA. Fetched key sets are cached in the warm instance for 10 minutes.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const JWKS_CACHE_MS = 10 * 60 * 1000;
+const JWKS_TIMEOUT_MS = 3000;
+
+const ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' },
+  EdDSA: { hash: null }
+};
+
+// source → { keys, fetchedAt }
+const jwksCache = new Map();
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Split and decode a JWT. Returns { header, payload, signingInput, signature } or null.
+ */
+function decodeJwt(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    const header = decodeSegment(parts[0]);
+    const payload = decodeSegment(parts[1]);
+    if (!header || typeof header !== 'object' || !payload || typeof payload !== 'object') {
+      return null;
+    }
+
+    return {
+      header,
+      payload,
+      signingInput: `${parts[0]}.${parts[1]}`,
+      signature: Buffer.from(parts[2], 'base64url')
+    };
+  } catch (decodeError) {
+    return null;
+  }
+}
+
+/**
+ * Load a JWKS from an https URL or a local file (cached)
+ */
+async function loadJwks(source) {
+  const cached = jwksCache.get(source);
+  if (cached && Date.now() - cached.fetchedAt < JWKS_CACHE_MS) {
+    return cached.keys;
+  }
+
+  let document;
+  if (/^https?:\/\//i.test(source)) {
+    const response = await fetch(source, {
+      headers: { 'Accept': 'application/json' },
+      signal: AbortSignal.timeout(JWKS_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`JWKS request failed: HTTP ${response.status}`);
+    }
+    document = await response.json();
+  } else {
+    document = JSON.parse(fs.readFileSync(source.replace(/^file:\/\//, ''), 'utf8'));
+  }
+
+  if (!Array.isArray(document?.keys)) {
+    throw new Error('JWKS has no "keys" array');
+  }
+
+  jwksCache.set(source, { keys: document.keys, fetchedAt: Date.now() });
+  return document.keys;
+}
+
+/**
+ * Verify a decoded JWT's signature against a key set.
+ * Returns { verified: true } or { verified: false, error }.
+ */
+function verifySignature(decoded, keys) {
+  const { alg, kid } = decoded.header;
+  const algorithm = ALGORITHMS[alg];
+
+  if (!algorithm) {
+    return { verified: false, error: `Unsupported algorithm "${alg}"` };
+  }
+
+  const candidates = keys.filter(key => (!kid || key.kid === kid) && (!key.alg || key.alg === alg) && key.use !== 'enc');
+  if (!candidates.length) {
+    return { verified: false, error: kid ? `No key with kid "${kid}" in the JWKS` : 'No matching key in the JWKS' };
+  }
+
+  for (const jwk of candidates) {
+    try {
+      const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      const options = { key };
+      if (algorithm.padding) {
+        options.padding = algorithm.padding;
+        options.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+      }
+      if (algorithm.dsaEncoding) {
+        options.dsaEncoding = algorithm.dsaEncoding;
+      }
+
+      if (crypto.verify(algorithm.hash, Buffer.from(decoded.signingInput), options, decoded.signature)) {
+        return { verified: true };
+      }
+    } catch (keyError) {
+      // Try the next candidate key
+    }
+  }
+
+  return { verified: false, error: 'Signature does not match' };
+}
+
+/**
+ * Verify a JWT against the JWKS at `source`.
+ * Returns { verified, error }.
+ */
+async function verifyJwt(token, source) {
+  const decoded = decodeJwt(token);
+  if (!decoded) {
+    return { verified: false, error: 'Not a JWT' };
+  }
+
+  try {
+    return verifySignature(decoded, await loadJwks(source));
+  } catch (jwksError) {
+    return { verified: false, error: jwksError.message };
+  }
+}
+
+module.exports = {
+  decodeJwt,
+  verifyJwt
+};
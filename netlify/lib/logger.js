@@ -0,0 +1,84 @@
+/**
+ * Structured Logger
+ *
+ * One JSON line per event:
+ *
+ *   {"ts":"...","level":"info","fn":"get-token","request_id":"...","connection":"smith","msg":"Token served", ...fields}
+ *
+ * Each function calls `log.startRequest(name, event, context)` first; the
+ * request id (Netlify's `x-nf-request-id`, else the Lambda request id, else a
+ * random id) and anything added with `log.setContext()` are then attached to
+ * every line logged while handling that request - including lines from the
+ * shared modules in lib/, which use the same `log` object.
+ *
+ * Every line goes through redact.js, so tokens, client secrets, API keys and
+ * AUTH_SECRET never reach the logs. LOG_LEVEL sets the minimum level
+ * (`debug`, `info` (default), `warn`, `error`).
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { redact } = require('./redact');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const requestContext = new AsyncLocalStorage();
+
+function minimumLevel() {
+  return LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+}
+
+/**
+ * Start the log context for a function invocation. Returns the request id.
+ */
+function startRequest(functionName, event = {}, context = {}) {
+  const headers = event.headers || {};
+  const requestId = headers['x-nf-request-id']
+    || headers['X-Nf-Request-Id']
+    || context.awsRequestId
+    || crypto.randomUUID();
+
+  requestContext.enterWith({ fn: functionName, request_id: requestId });
+  return requestId;
+}
+
+/**
+ * Add fields (e.g. connection, profile) to every following line of this request
+ */
+function setContext(fields) {
+  const current = requestContext.getStore();
+  if (current) {
+    Object.assign(current, fields);
+  }
+}
+
+function write(level, message, fields) {
+  if (LEVELS[level] < minimumLevel()) {
+    return;
+  }
+
+  const extra = fields instanceof Error ? { error: fields } : (fields || {});
+  const line = redact({
+    ts: new Date().toISOString(),
+    level,
+    ...requestContext.getStore(),
+    msg: message,
+    ...extra
+  });
+
+  const output = JSON.stringify(line);
+  if (level === 'error' || level === 'warn') {
+    console.error(output);
+  } else {
+    console.log(output);
+  }
+}
+
+module.exports = {
+  startRequest,
+  setContext,
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
@@ -0,0 +1,203 @@
+/**
+ * Signed OAuth Session Cookie
+ *
+ * Acre forces the fixed state `ABCDEFGHIJKLMNOP`, so the state parameter alone
+ * gives no CSRF protection and can't carry context. Instead, auth-start issues
+ * a short-lived `oauth_session` cookie signed with HMAC-SHA256:
+ *
+ *   <base64url(JSON payload)>.<base64url(signature)>
+ *
+ * The payload holds a random nonce, the issue time, the connection id, the
+ * environment profile, the redirect URI sent to Acre and an optional
+ * `return_to` URL. Nothing is stored when a session is issued - the signature
+ * vouches for the nonce. The callback records the nonce as consumed with a
+ * create-only write (`oauth-nonces/<nonce>`), so a session can only be used
+ * once - even by two callbacks racing each other. Consumed nonces are only
+ * kept until the session would have expired anyway; pruneNonces (run by the
+ * scheduled refresh) deletes the rest.
+ *
+ * Signing key: SESSION_SECRET, or a key derived from AUTH_SECRET if unset.
+ * Allowed `return_to` targets: relative paths that stay on this site, or origins
+ * listed in RETURN_TO_ALLOWLIST (comma-separated, e.g. `https://n8n.example.com`).
+ */
+
+const crypto = require('crypto');
+const { getTokenStore } = require('./token-store');
+const { siteUrl } = require('./acre-config');
+
+const COOKIE_NAME = 'oauth_session';
+const SESSION_TTL_SECONDS = 600;
+
+/**
+ * Key used to sign session cookies
+ */
+function signingKey() {
+  if (process.env.SESSION_SECRET) {
+    return process.env.SESSION_SECRET;
+  }
+
+  if (process.env.AUTH_SECRET) {
+    return crypto.createHmac('sha256', process.env.AUTH_SECRET).update('oauth-session').digest();
+  }
+
+  throw new Error('SESSION_SECRET (or AUTH_SECRET) must be configured to sign OAuth sessions');
+}
+
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', signingKey()).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Check a requested return_to URL against the allowlist.
+ * Returns the normalised URL, or null if it is not allowed.
+ */
+function validateReturnTo(returnTo) {
+  if (!returnTo) {
+    return null;
+  }
+
+  // Browsers drop tabs and newlines, turning `/\t/evil.com` into `//evil.com`
+  if (/[\s\x00-\x1f\x7f]/.test(returnTo)) {
+    return null;
+  }
+
+  // Relative path: resolve it the way a browser would and require it stays on this site
+  if (returnTo.startsWith('/')) {
+    const site = new URL(siteUrl());
+    let resolved;
+    try {
+      resolved = new URL(returnTo, site);
+    } catch (error) {
+      return null;
+    }
+    return resolved.origin === site.origin ? `${resolved.pathname}${resolved.search}${resolved.hash}` : null;
+  }
+
+  let url;
+  try {
+    url = new URL(returnTo);
+  } catch (error) {
+    return null;
+  }
+
+  const allowedOrigins = (process.env.RETURN_TO_ALLOWLIST || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+
+  return url.protocol === 'https:' && allowedOrigins.includes(url.origin) ? url.toString() : null;
+}
+
+/**
+ * Create a new session and return it with its Set-Cookie value
+ */
+function createSession({ connection, profile, redirectUri, returnTo }) {
+  const session = {
+    nonce: crypto.randomBytes(16).toString('base64url'),
+    iat: Math.floor(Date.now() / 1000),
+    connection,
+    profile,
+    redirect_uri: redirectUri,
+    return_to: returnTo || null
+  };
+
+  const encodedPayload = Buffer.from(JSON.stringify(session)).toString('base64url');
+  const value = `${encodedPayload}.${sign(encodedPayload)}`;
+
+  return {
+    session,
+    cookie: `${COOKIE_NAME}=${value}; HttpOnly; Secure; SameSite=Lax; Max-Age=${SESSION_TTL_SECONDS}; Path=/`
+  };
+}
+
+/**
+ * Verify the signature and age of a session cookie value.
+ * Returns { session } or { reason } describing why it was rejected.
+ */
+function verifySession(value) {
+  if (!value) {
+    return { reason: 'missing_session' };
+  }
+
+  const [encodedPayload, signature] = value.split('.');
+  if (!encodedPayload || !signature) {
+    return { reason: 'malformed_session' };
+  }
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { reason: 'bad_signature' };
+  }
+
+  let session;
+  try {
+    session = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { reason: 'malformed_session' };
+  }
+
+  const age = Math.floor(Date.now() / 1000) - session.iat;
+  if (!(age >= 0 && age <= SESSION_TTL_SECONDS)) {
+    return { reason: 'expired_session' };
+  }
+
+  return { session };
+}
+
+/**
+ * Consume a verified session's nonce. Returns false if it was already used (replay).
+ */
+async function consumeNonce(session) {
+  const expiresAt = new Date((session.iat + SESSION_TTL_SECONDS) * 1000).toISOString();
+
+  // Create-only: of two callbacks racing with the same session, one loses here
+  return getTokenStore().setIfMatch(`oauth-nonces/${session.nonce}`, JSON.stringify({
+    consumed_at: new Date().toISOString(),
+    expires_at: expiresAt
+  }), {
+    etag: null,
+    metadata: { expires_at: expiresAt }
+  });
+}
+
+/**
+ * Delete consumed nonces whose sessions have expired (their cookies can't be
+ * replayed any more). Returns how many were deleted.
+ */
+async function pruneNonces(now = Date.now()) {
+  const store = getTokenStore();
+  const { blobs } = await store.list({ prefix: 'oauth-nonces/' });
+  let pruned = 0;
+
+  for (const { key } of blobs) {
+    const record = await store.get(key, { type: 'json' });
+    // Records from before consumed nonces carried an expiry only have issued_at
+    const expiresAt = record?.expires_at
+      || (record?.issued_at && new Date(new Date(record.issued_at).getTime() + SESSION_TTL_SECONDS * 1000).toISOString());
+
+    if (!expiresAt || new Date(expiresAt).getTime() <= now) {
+      await store.delete(key);
+      pruned++;
+    }
+  }
+
+  return pruned;
+}
+
+/**
+ * Set-Cookie value that removes the session cookie
+ */
+function clearSessionCookie() {
+  return `${COOKIE_NAME}=; HttpOnly; Secure; SameSite=Lax; Max-Age=0; Path=/`;
+}
+
+module.exports = {
+  COOKIE_NAME,
+  validateReturnTo,
+  createSession,
+  verifySession,
+  consumeNonce,
+  pruneNonces,
+  clearSessionCookie
+};
@@ -0,0 +1,264 @@
+/**
+ * Rate Limiting and Authentication Lockout
+ *
+ * Counters live in the `acre-rate-limits` store, one small record per subject:
+ *
+ *   ip/<address>          requests from one source IP in the current window
+ *   client/<key id>       requests from one authenticated client in the current window
+ *   failures/<address>    consecutive failed authentications and the current lockout
+ *
+ * Limits (per RATE_LIMIT_WINDOW_SECONDS, default 60):
+ * - RATE_LIMIT_PER_IP       requests per source IP (default 60)
+ * - RATE_LIMIT_PER_CLIENT   requests per client key / AUTH_SECRET (default 120)
+ *
+ * After AUTH_LOCKOUT_THRESHOLD (default 5) failed authentications in a row, the
+ * IP is locked out for AUTH_LOCKOUT_SECONDS (default 60), doubling with every
+ * further lockout up to AUTH_LOCKOUT_MAX_SECONDS (default 3600). A successful
+ * authentication clears it.
+ *
+ * Addresses in RATE_LIMIT_ALLOWLIST (comma-separated IPs or CIDR ranges, e.g.
+ * the n8n host) bypass all of this; malformed entries are logged and skipped.
+ * The source IP is Netlify's `x-nf-client-connection-ip` (or `context.ip`),
+ * never the client-controlled `x-forwarded-for`. Counters are read-then-written, so a burst
+ * of parallel requests may slip a few past the limit - good enough to stop
+ * guessing, without a locking round trip on every request.
+ */
+
+const net = require('net');
+const { getStorage } = require('./storage');
+const { recordAuditEvent, sourceIp } = require('./audit');
+const log = require('./logger');
+
+const DEFAULT_WINDOW_SECONDS = 60;
+const DEFAULT_PER_IP = 60;
+const DEFAULT_PER_CLIENT = 120;
+const DEFAULT_LOCKOUT_THRESHOLD = 5;
+const DEFAULT_LOCKOUT_SECONDS = 60;
+const DEFAULT_LOCKOUT_MAX_SECONDS = 3600;
+
+function getRateLimitStore() {
+  return getStorage('acre-rate-limits');
+}
+
+function setting(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function subjectKey(prefix, id) {
+  return `${prefix}/${String(id || 'unknown').replace(/[^A-Za-z0-9.:_-]/g, '_')}`;
+}
+
+// RATE_LIMIT_ALLOWLIST parsed once per value: { raw, list }
+let allowlistCache = { raw: null, list: null };
+
+/**
+ * RATE_LIMIT_ALLOWLIST as a BlockList (null when empty). Bad entries are
+ * logged and skipped rather than failing every request.
+ */
+function allowlist() {
+  const raw = process.env.RATE_LIMIT_ALLOWLIST || '';
+  if (allowlistCache.raw === raw) {
+    return allowlistCache.list;
+  }
+
+  const entries = raw.split(',').map(entry => entry.trim()).filter(Boolean);
+  const list = new net.BlockList();
+  let valid = 0;
+
+  for (const entry of entries) {
+    const [address, prefix, extra] = entry.split('/');
+    const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+    try {
+      if (!net.isIP(address) || extra !== undefined || (prefix !== undefined && !/^\d+$/.test(prefix))) {
+        throw new Error('not an IP address or CIDR range');
+      }
+
+      // addSubnet throws for a prefix too long for the family (e.g. /33 on IPv4)
+      if (prefix !== undefined) {
+        list.addSubnet(address, parseInt(prefix, 10), family);
+      } else {
+        list.addAddress(address, family);
+      }
+      valid += 1;
+    } catch (entryError) {
+      log.warn('Ignoring invalid RATE_LIMIT_ALLOWLIST entry', { entry, error: entryError.message });
+    }
+  }
+
+  allowlistCache = { raw, list: valid ? list : null };
+  return allowlistCache.list;
+}
+
+/**
+ * Is the address covered by RATE_LIMIT_ALLOWLIST?
+ */
+function isAllowlisted(ip) {
+  const list = allowlist();
+  if (!ip || !list || !net.isIP(ip)) {
+    return false;
+  }
+
+  return list.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Standard 429 with Retry-After (seconds)
+ */
+function tooManyRequests(retryAfterSeconds, message) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterSeconds));
+  return {
+    statusCode: 429,
+    headers: {
+      'Content-Type': 'application/json',
+      'Retry-After': String(retryAfter)
+    },
+    body: JSON.stringify({
+      error: 'Too Many Requests',
+      message,
+      action: `Retry after ${retryAfter} seconds`
+    })
+  };
+}
+
+/**
+ * Count a request against a fixed window. Returns seconds until the window
+ * resets if the limit is exceeded, otherwise 0.
+ */
+async function countRequest(key, limit) {
+  const store = getRateLimitStore();
+  const windowMs = setting('RATE_LIMIT_WINDOW_SECONDS', DEFAULT_WINDOW_SECONDS) * 1000;
+  const now = Date.now();
+
+  const current = await store.get(key, { type: 'json' });
+  const record = current && now - current.window_start < windowMs
+    ? { ...current, count: current.count + 1 }
+    : { window_start: now, count: 1 };
+
+  await store.setJSON(key, record);
+
+  return record.count > limit ? (record.window_start + windowMs - now) / 1000 : 0;
+}
+
+/**
+ * Check the source IP before authenticating: lockout first, then the per-IP limit.
+ * Returns a 429 response, or null to carry on.
+ */
+async function limitRequest(event, context) {
+  const ip = sourceIp(event, context);
+  if (isAllowlisted(ip)) {
+    return null;
+  }
+
+  try {
+    const failures = await getRateLimitStore().get(subjectKey('failures', ip), { type: 'json' });
+    const lockedFor = failures?.locked_until ? (failures.locked_until - Date.now()) / 1000 : 0;
+
+    if (lockedFor > 0) {
+      log.warn('Request from locked out IP rejected', { ip, retry_after: Math.ceil(lockedFor) });
+      return tooManyRequests(lockedFor, 'Too many failed authentication attempts from this address');
+    }
+
+    const retryAfter = await countRequest(subjectKey('ip', ip), setting('RATE_LIMIT_PER_IP', DEFAULT_PER_IP));
+    if (retryAfter > 0) {
+      log.warn('IP rate limit exceeded', { ip });
+      await recordAuditEvent('rate_limited', { event, details: { path: event.path, limit: 'ip' } });
+      return tooManyRequests(retryAfter, 'Rate limit exceeded for this address');
+    }
+  } catch (error) {
+    // Fail open - a storage hiccup must not take the token endpoint down
+    log.warn('Rate limit check failed', { error: error.message });
+  }
+
+  return null;
+}
+
+/**
+ * Check the per-client limit once the caller is authenticated.
+ * Returns a 429 response, or null to carry on.
+ */
+async function limitClient(event, principal, context) {
+  if (isAllowlisted(sourceIp(event, context))) {
+    return null;
+  }
+
+  try {
+    const limit = setting('RATE_LIMIT_PER_CLIENT', DEFAULT_PER_CLIENT);
+    const retryAfter = await countRequest(subjectKey('client', principal.id), limit);
+
+    if (retryAfter > 0) {
+      log.warn('Client rate limit exceeded', { client: principal.label });
+      await recordAuditEvent('rate_limited', {
+        event,
+        details: { path: event.path, limit: 'client', client: principal.id }
+      });
+      return tooManyRequests(retryAfter, 'Rate limit exceeded for this client');
+    }
+  } catch (error) {
+    log.warn('Rate limit check failed', { error: error.message });
+  }
+
+  return null;
+}
+
+/**
+ * Record a failed authentication from the request's IP, locking it out with
+ * exponential backoff once the threshold is reached
+ */
+async function recordAuthFailure(event, context) {
+  const ip = sourceIp(event, context);
+  if (isAllowlisted(ip)) {
+    return;
+  }
+
+  try {
+    const store = getRateLimitStore();
+    const key = subjectKey('failures', ip);
+    const current = await store.get(key, { type: 'json' }) || { failures: 0, lockouts: 0 };
+    const record = { ...current, failures: current.failures + 1, last_failure_at: Date.now() };
+
+    if (record.failures >= setting('AUTH_LOCKOUT_THRESHOLD', DEFAULT_LOCKOUT_THRESHOLD)) {
+      const seconds = Math.min(
+        setting('AUTH_LOCKOUT_SECONDS', DEFAULT_LOCKOUT_SECONDS) * 2 ** record.lockouts,
+        setting('AUTH_LOCKOUT_MAX_SECONDS', DEFAULT_LOCKOUT_MAX_SECONDS)
+      );
+      record.locked_until = Date.now() + seconds * 1000;
+      record.lockouts += 1;
+      record.failures = 0;
+
+      log.warn('IP locked out after repeated authentication failures', { ip, lockout_seconds: seconds });
+      await recordAuditEvent('rate_limited', {
+        event,
+        details: { path: event.path, limit: 'lockout', lockout_seconds: seconds }
+      });
+    }
+
+    await store.setJSON(key, record);
+  } catch (error) {
+    log.warn('Failed to record authentication failure', { error: error.message });
+  }
+}
+
+/**
+ * Forget failed authentications after a successful one
+ */
+async function clearAuthFailures(event, context) {
+  try {
+    const store = getRateLimitStore();
+    const key = subjectKey('failures', sourceIp(event, context));
+    if (await store.get(key)) {
+      await store.delete(key);
+    }
+  } catch (error) {
+    log.warn('Failed to clear authentication failures', { error: error.message });
+  }
+}
+
+module.exports = {
+  isAllowlisted,
+  limitRequest,
+  limitClient,
+  recordAuthFailure,
+  clearAuthFailures
+};
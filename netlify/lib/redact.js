@@ -0,0 +1,147 @@
+/**
+ * Secret Redaction
+ *
+ * Shared by the logger and the audit log. Two layers:
+ * - Fields named like a secret (access_token, client_secret, password, api_key,
+ *   ...) have their whole value replaced. Names are matched exactly, so
+ *   `code: 'reauth_required'`, `has_access_token` and `token_url` stay readable;
+ *   `code` is only treated as the OAuth authorization code inside a query
+ * - String values are scrubbed of known secrets: the values of secret
+ *   environment variables (AUTH_SECRET, client secrets, API keys, ...), bearer
+ *   credentials, client keys, JWTs, credentials in URLs and `token=` /
+ *   `"token": "..."` fragments
+ */
+
+const MARKER = '[REDACTED]';
+
+// Field names (lower case, `-` as `_`) whose values are never written out
+const SENSITIVE_FIELDS = new Set([
+  'access_token',
+  'refresh_token',
+  'id_token',
+  'token',
+  'client_secret',
+  'secret',
+  'auth_secret',
+  'session_secret',
+  'password',
+  'passphrase',
+  'authorization',
+  'cookie',
+  'set_cookie',
+  'api_key',
+  'apikey',
+  'x_api_key'
+]);
+
+// Objects holding request query parameters, where `code` is the OAuth authorization code
+const QUERY_FIELDS = new Set(['query', 'querystringparameters', 'params']);
+
+// Environment variables holding secrets (including per-profile ACRE_<PROFILE>_API_KEY etc.)
+const SECRET_ENV_NAME = /SECRET|PASSWORD|API_KEY|ENCRYPTION_KEYS/;
+
+// Shorter values would mask ordinary words
+const MIN_SECRET_LENGTH = 6;
+
+const SECRET_PATTERNS = [
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi, `$1 ${MARKER}`],
+  [/\bacre_[0-9a-f]{16}_[A-Za-z0-9_-]{43}\b/g, MARKER],
+  [/\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, MARKER],
+  [/\b((?:access_|refresh_|id_)?token|client_secret|code|password)=[^&\s"']+/gi, `$1=${MARKER}`],
+  [/"((?:access_|refresh_|id_)?token|client_secret|password)"\s*:\s*"[^"]*"/gi, `"$1":"${MARKER}"`],
+  [/\bauthorization=[^;\s"']+/gi, `authorization=${MARKER}`],
+  [/\/\/[^/\s:@]+:[^/\s@]+@/g, `//${MARKER}@`]
+];
+
+/**
+ * Values of every secret environment variable (split into their parts for
+ * lists like TOKEN_ENCRYPTION_KEYS=k2:<key>,k1:<key>)
+ */
+function knownSecrets() {
+  const secrets = new Set();
+
+  for (const [name, value] of Object.entries(process.env)) {
+    if (!value || !SECRET_ENV_NAME.test(name)) {
+      continue;
+    }
+
+    secrets.add(value);
+    for (const part of value.split(/[,:]/)) {
+      secrets.add(part.trim());
+    }
+  }
+
+  return [...secrets]
+    .filter(secret => secret.length >= MIN_SECRET_LENGTH)
+    .sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Scrub known secrets out of a string
+ */
+function redactString(value, secrets = knownSecrets()) {
+  let result = value;
+
+  for (const secret of secrets) {
+    if (result.includes(secret)) {
+      result = result.split(secret).join(MARKER);
+    }
+  }
+
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+
+  return result;
+}
+
+function normaliseField(field) {
+  return field.toLowerCase().replace(/-/g, '_');
+}
+
+/**
+ * Is this field's value a secret? `parentField` is the field holding the object.
+ */
+function isSensitiveField(field, parentField = null) {
+  const name = normaliseField(field);
+  return SENSITIVE_FIELDS.has(name)
+    || (name === 'code' && parentField !== null && QUERY_FIELDS.has(normaliseField(parentField)));
+}
+
+/**
+ * Redact a value recursively (objects, arrays, strings, errors)
+ */
+function redact(value, secrets = knownSecrets(), parentField = null) {
+  if (typeof value === 'string') {
+    return redactString(value, secrets);
+  }
+
+  if (value instanceof Error) {
+    return redact({
+      name: value.name,
+      message: value.message,
+      ...(value.code ? { error_code: value.code } : {}),
+      ...(value.status ? { status: value.status } : {}),
+      stack: value.stack
+    }, secrets);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, secrets, parentField));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => [
+      field,
+      isSensitiveField(field, parentField) ? MARKER : redact(fieldValue, secrets, field)
+    ]));
+  }
+
+  return value;
+}
+
+module.exports = {
+  SENSITIVE_FIELDS,
+  isSensitiveField,
+  redact
+};
@@ -0,0 +1,332 @@
+/**
+ * Token Refresh - Single Flight
+ *
+ * Only one invocation refreshes a connection at a time. Acre may rotate refresh
+ * tokens, so two parallel refreshes would leave the loser storing an
+ * already-used refresh token and the connection would die.
+ *
+ * How it works:
+ * 1. The caller takes a short lease stored in Blobs under `locks/<connection>`
+ * 2. The lease holder calls Acre, stores the new tokens and releases the lease
+ * 3. Everyone else polls the token record until the refreshed one appears
+ *    (or the holder records a failure) - they never call Acre themselves
+ *
+ * The lease is claimed with the storage layer's conditional update
+ * (`setIfMatch`), so only one invocation can replace a missing or expired lease.
+ *
+ * Once Acre has rotated the refresh token the old one is spent, so storing the
+ * new pair is retried a few times before the lease is given up. If it still
+ * fails, the connection is marked as needing a fresh login and a
+ * `reauth_required` alert goes out.
+ *
+ * Leases live in the profile's token store, and the refresh uses that profile's
+ * token URL and client credentials (see acre-config.js).
+ */
+
+const crypto = require('crypto');
+const { getTokenStore, readTokens, writeTokens, updateStatus } = require('./token-store');
+const { recordAuditEvent } = require('./audit');
+const { sendAlert, resolveAlerts } = require('./alerts');
+const { resolveProfile } = require('./acre-config');
+const { ERROR_CODES, AcreTokenError, requestToken } = require('./token-endpoint');
+const log = require('./logger');
+
+// Refresh when the token has less than 5 minutes left
+const REFRESH_BUFFER_MS = 5 * 60 * 1000;
+
+// How long a lease is valid before another invocation may take over
+const LEASE_TTL_MS = 15 * 1000;
+
+// How long a failed refresh is remembered so waiters fail fast instead of retrying
+const FAILURE_HOLD_MS = 10 * 1000;
+
+// Waiters give up before the Netlify function timeout (10s by default)
+const WAIT_TIMEOUT_MS = 8 * 1000;
+const POLL_INTERVAL_MS = 400;
+
+// Storing refreshed tokens: attempts, and the pause before the next one (grows each time)
+const WRITE_ATTEMPTS = 3;
+const WRITE_RETRY_MS = 300;
+
+/**
+ * Does this token record need a refresh?
+ */
+function needsRefresh(tokenStorage, now = Date.now()) {
+  return (new Date(tokenStorage.expires_at).getTime() - now) < REFRESH_BUFFER_MS;
+}
+
+/**
+ * Refresh a connection's tokens, making sure only one invocation calls Acre.
+ * Returns { tokenStorage, refreshed, waited }.
+ */
+async function refreshConnection(connectionId, tokenStorage, profile = resolveProfile()) {
+  const store = getTokenStore(profile);
+  const lockKey = `locks/${connectionId}`;
+  const owner = crypto.randomUUID();
+  const deadline = Date.now() + WAIT_TIMEOUT_MS;
+
+  while (Date.now() < deadline) {
+    const lease = await acquireLease(store, lockKey, owner);
+
+    if (lease.acquired) {
+      try {
+        // Someone may have finished a refresh just before we got the lease
+        const latest = await readTokens(connectionId, profile);
+        if (latest && latest.created_at !== tokenStorage.created_at && !needsRefresh(latest)) {
+          log.info('Token already refreshed by another invocation', { connection: connectionId });
+          await releaseLease(store, lockKey, owner);
+          return { tokenStorage: latest, refreshed: true, waited: true };
+        }
+
+        const current = latest || tokenStorage;
+        const refreshResult = await refreshAccessToken(current, profile);
+        await storeRefreshedTokens(connectionId, current, refreshResult.tokenStorage, profile);
+        await releaseLease(store, lockKey, owner);
+        await recordRefreshOutcome(connectionId, profile, null);
+
+        return { tokenStorage: refreshResult.tokenStorage, refreshed: true, waited: false };
+      } catch (refreshError) {
+        await recordLeaseFailure(store, lockKey, owner, refreshError);
+        await recordRefreshOutcome(connectionId, profile, refreshError);
+        throw refreshError;
+      }
+    }
+
+    // Another invocation is refreshing - wait for its result
+    log.info('Refresh in progress elsewhere, waiting', { connection: connectionId });
+    const waited = await waitForRefresh(store, lockKey, connectionId, profile, tokenStorage, deadline);
+    if (waited) {
+      return { tokenStorage: waited, refreshed: true, waited: true };
+    }
+  }
+
+  // Still nothing - fall back to the current token if it hasn't actually expired
+  if (new Date(tokenStorage.expires_at).getTime() > Date.now()) {
+    log.warn('Timed out waiting for refresh, returning current token', { connection: connectionId });
+    return { tokenStorage, refreshed: false, waited: true };
+  }
+
+  throw new AcreTokenError('refresh_in_progress', 'Token refresh is in progress in another request. Retry shortly.',
+    { retryAfter: 5 });
+}
+
+/**
+ * Store freshly refreshed tokens, retrying while we still hold the lease.
+ * If Acre rotated the refresh token and the write never succeeds, the stored
+ * refresh token is already spent: that is reported as `reauth_required`.
+ */
+async function storeRefreshedTokens(connectionId, previous, tokenStorage, profile) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await writeTokens(connectionId, tokenStorage, profile, { reason: 'refresh' });
+      return;
+    } catch (writeError) {
+      log.error('Failed to store refreshed tokens', { connection: connectionId, attempt, error: writeError.message });
+
+      if (attempt >= WRITE_ATTEMPTS) {
+        if (tokenStorage.refresh_token === previous.refresh_token) {
+          throw writeError;
+        }
+        throw new AcreTokenError(ERROR_CODES.REAUTH_REQUIRED,
+          `Acre rotated the refresh token but the new tokens could not be stored (${writeError.message})`);
+      }
+
+      await sleep(WRITE_RETRY_MS * attempt);
+    }
+  }
+}
+
+/**
+ * Try to claim the refresh lease. Returns { acquired, lease }.
+ */
+async function acquireLease(store, lockKey, owner) {
+  const existing = await store.getWithMetadata(lockKey, { type: 'json', consistency: 'strong' });
+
+  if (existing && new Date(existing.data.expires_at).getTime() > Date.now()) {
+    return { acquired: false, lease: existing.data };
+  }
+
+  const now = Date.now();
+  const lease = {
+    owner,
+    status: 'refreshing',
+    acquired_at: new Date(now).toISOString(),
+    expires_at: new Date(now + LEASE_TTL_MS).toISOString()
+  };
+
+  // Only write if nobody else replaced the (missing or expired) lease meanwhile
+  const acquired = await store.setIfMatch(lockKey, JSON.stringify(lease), {
+    etag: existing?.etag ?? null,
+    metadata: { owner, status: lease.status, expires_at: lease.expires_at }
+  });
+
+  return { acquired, lease };
+}
+
+/**
+ * Poll until the lease holder stores a new token record.
+ * Returns the new record, or null if the lease went away without one.
+ */
+async function waitForRefresh(store, lockKey, connectionId, profile, tokenStorage, deadline) {
+  while (Date.now() < deadline) {
+    await sleep(POLL_INTERVAL_MS);
+
+    const latest = await readTokens(connectionId, profile);
+    if (latest && latest.created_at !== tokenStorage.created_at) {
+      return latest;
+    }
+
+    const lease = await store.get(lockKey, { type: 'json', consistency: 'strong' });
+    const leaseActive = lease && new Date(lease.expires_at).getTime() > Date.now();
+
+    if (leaseActive && lease.status === 'failed') {
+      throw new AcreTokenError(lease.code || ERROR_CODES.UPSTREAM_ERROR,
+        lease.error || 'Token refresh failed in another request', { retryAfter: lease.retry_after || null });
+    }
+
+    if (!leaseActive) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Release the lease, but only if we still own it
+ */
+async function releaseLease(store, lockKey, owner) {
+  try {
+    const lease = await store.get(lockKey, { type: 'json', consistency: 'strong' });
+    if (lease?.owner === owner) {
+      await store.delete(lockKey);
+    }
+  } catch (releaseError) {
+    log.warn('Failed to release refresh lease', { error: releaseError.message });
+  }
+}
+
+/**
+ * Keep the lease for a short while marked as failed, so waiters fail fast
+ */
+async function recordLeaseFailure(store, lockKey, owner, refreshError) {
+  try {
+    const expiresAt = new Date(Date.now() + FAILURE_HOLD_MS).toISOString();
+    await store.setJSON(lockKey, {
+      owner,
+      status: 'failed',
+      error: refreshError.message,
+      code: refreshError.code || null,
+      retry_after: refreshError.retryAfter || null,
+      expires_at: expiresAt
+    }, {
+      metadata: { owner, status: 'failed', expires_at: expiresAt }
+    });
+  } catch (leaseError) {
+    log.warn('Failed to record refresh failure on lease', { error: leaseError.message });
+  }
+}
+
+/**
+ * Store the result of a refresh in the connection's status record and alert on failure.
+ * A `reauth_required` failure (invalid_grant) means the refresh token is dead,
+ * so the connection is marked as needing a fresh login.
+ */
+async function recordRefreshOutcome(connectionId, profile, refreshError) {
+  await recordAuditEvent(refreshError ? 'refresh_failed' : 'refresh_succeeded', {
+    connection: connectionId,
+    details: refreshError
+      ? { profile, message: refreshError.message, code: refreshError.code || null, status: refreshError.status || null }
+      : { profile }
+  });
+
+  try {
+    const now = new Date().toISOString();
+    await updateStatus(connectionId, refreshError
+      ? {
+        last_refresh_at: now,
+        last_refresh_result: 'failed',
+        last_error: refreshError.message,
+        last_error_code: refreshError.code || null,
+        needs_reauth: refreshError.code === ERROR_CODES.REAUTH_REQUIRED
+      }
+      : {
+        last_refresh_at: now,
+        last_refresh_result: 'success',
+        last_error: null,
+        last_error_code: null,
+        needs_reauth: false
+      }, profile);
+  } catch (statusError) {
+    log.warn('Failed to record refresh outcome', { error: statusError.message });
+  }
+
+  if (!refreshError) {
+    await resolveAlerts(connectionId, profile, ['refresh_failed', 'reauth_required']);
+  } else if (refreshError.code === ERROR_CODES.REAUTH_REQUIRED) {
+    await sendAlert('reauth_required', {
+      connection: connectionId,
+      profile,
+      message: refreshError.oauthError === 'invalid_grant'
+        ? `Acre rejected the refresh token for "${connectionId}" (invalid_grant). Someone needs to log in again.`
+        : `${refreshError.message} for "${connectionId}". Someone needs to log in again.`,
+      details: { status: refreshError.status || null }
+    });
+  } else {
+    await sendAlert('refresh_failed', {
+      connection: connectionId,
+      profile,
+      message: `Refreshing the token for "${connectionId}" failed: ${refreshError.message}`,
+      details: { status: refreshError.status || null, code: refreshError.code || null }
+    });
+  }
+}
+
+/**
+ * Refresh the access token using the refresh token.
+ * Failures are AcreTokenErrors (see token-endpoint.js).
+ */
+async function refreshAccessToken(tokenStorage, profile = resolveProfile()) {
+  log.info('Sending refresh token request');
+
+  const tokenData = await requestToken(profile, {
+    grant_type: 'refresh_token',
+    refresh_token: tokenStorage.refresh_token
+  });
+
+  log.info('New tokens received', {
+    has_access_token: !!tokenData.access_token,
+    has_refresh_token: !!tokenData.refresh_token,
+    expires_in: tokenData.expires_in
+  });
+
+  // Calculate new expiration
+  const expiresIn = tokenData.expires_in || 3600;
+  const expiresAt = new Date(Date.now() + expiresIn * 1000).toISOString();
+  const createdAt = new Date().toISOString();
+
+  // Prepare new token storage
+  const newTokenStorage = {
+    access_token: tokenData.access_token,
+    refresh_token: tokenData.refresh_token || tokenStorage.refresh_token, // Keep old refresh token if not provided
+    refresh_token_issued_at: tokenData.refresh_token ? createdAt : tokenStorage.refresh_token_issued_at,
+    token_type: tokenData.token_type || 'Bearer',
+    expires_in: expiresIn,
+    expires_at: expiresAt,
+    created_at: createdAt,
+    scope: tokenData.scope || tokenStorage.scope
+  };
+
+  return { tokenStorage: newTokenStorage };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  REFRESH_BUFFER_MS,
+  needsRefresh,
+  refreshConnection,
+  refreshAccessToken
+};
@@ -0,0 +1,198 @@
+/**
+ * Page Rendering and Error Responses
+ *
+ * Every user-facing page goes through here:
+ * - `html` is a tagged template that escapes every interpolated value
+ *   (use `raw()` for markup that is already safe, e.g. another `html` result)
+ * - `layout()` wraps content in the shared, brandable page:
+ *     BRAND_NAME         shown in the page title and header (default "Acre OAuth")
+ *     BRAND_COLOR        accent colour (default #3b82f6)
+ *     BRAND_LOGO_URL     logo shown above the content
+ *     BRAND_STYLESHEET_URL  extra stylesheet loaded after the built-in styles
+ * - `errorResponse()` answers with `{ error, message, action }` JSON when the
+ *   client sends `Accept: application/json` (same shape as /get-token), or an
+ *   HTML error page otherwise
+ *
+ * Internals (stack traces, raw upstream responses, token previews) are only
+ * shown when SHOW_ERROR_DETAILS=true, or under `netlify dev` (CONTEXT=dev).
+ */
+
+const DEFAULT_BRAND_NAME = 'Acre OAuth';
+const DEFAULT_BRAND_COLOR = '#3b82f6';
+
+/**
+ * Markup that must not be escaped again
+ */
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function raw(markup) {
+  return new SafeHtml(String(markup ?? ''));
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function interpolate(value) {
+  if (value instanceof SafeHtml) {
+    return value.value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(interpolate).join('');
+  }
+
+  if (value === false || value === null || value === undefined) {
+    return '';
+  }
+
+  return escapeHtml(value);
+}
+
+/**
+ * Tagged template: html`<p>${untrusted}</p>` escapes `untrusted`
+ */
+function html(strings, ...values) {
+  return raw(strings.reduce((result, string, index) =>
+    result + string + (index < values.length ? interpolate(values[index]) : ''), ''));
+}
+
+/**
+ * Whether pages and JSON errors may include internals
+ */
+function showErrorDetails() {
+  if (process.env.SHOW_ERROR_DETAILS !== undefined) {
+    return process.env.SHOW_ERROR_DETAILS === 'true';
+  }
+
+  return (process.env.CONTEXT || '').toLowerCase() === 'dev';
+}
+
+/**
+ * Only hex colours and plain colour names, so the value can't break out of the stylesheet
+ */
+function brandColor() {
+  const color = (process.env.BRAND_COLOR || '').trim();
+  return /^(#[0-9a-f]{3,8}|[a-z]+)$/i.test(color) ? color : DEFAULT_BRAND_COLOR;
+}
+
+/**
+ * Full HTML page in the shared layout
+ */
+function layout({ title, content, width = 600, style = '' }) {
+  const brandName = process.env.BRAND_NAME || DEFAULT_BRAND_NAME;
+  const logoUrl = process.env.BRAND_LOGO_URL;
+  const stylesheetUrl = process.env.BRAND_STYLESHEET_URL;
+
+  return html`<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${title} - ${brandName}</title>
+    <style>
+      :root { --brand: ${raw(brandColor())}; }
+      body { font-family: system-ui, -apple-system, sans-serif; padding: 40px; max-width: ${raw(Number(width) || 600)}px; margin: 0 auto; color: #111827; }
+      .brand { display: flex; align-items: center; gap: 12px; color: #6b7280; font-size: 0.9em; margin-bottom: 24px; }
+      .brand img { max-height: 40px; }
+      h1 { margin-top: 0; }
+      a { color: var(--brand); }
+      .info { background: #f0f9ff; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid var(--brand); }
+      .success { background: #f0fdf4; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #10b981; }
+      .details { background: #fef3c7; padding: 15px; border-radius: 8px; margin-top: 20px; border-left: 4px solid #f59e0b; font-size: 0.85em; word-break: break-all; }
+      .details summary { cursor: pointer; font-weight: bold; color: #92400e; }
+      pre { background: #f1f5f9; padding: 15px; border-radius: 8px; overflow-x: auto; white-space: pre-wrap; }
+      code { background: #f1f5f9; padding: 2px 6px; border-radius: 4px; font-family: 'Monaco', 'Courier New', monospace; font-size: 0.9em; }
+      .muted { color: #6b7280; font-size: 0.9em; margin-top: 20px; }
+      ${raw(style)}
+    </style>
+    ${stylesheetUrl ? html`<link rel="stylesheet" href="${stylesheetUrl}">` : ''}
+  </head>
+  <body>
+    <div class="brand">${logoUrl ? html`<img src="${logoUrl}" alt="">` : ''}<span>${brandName}</span></div>
+    <h1>${title}</h1>
+    ${content}
+  </body>
+</html>`.toString();
+}
+
+/**
+ * HTML response in the shared layout
+ */
+function pageResponse(statusCode, { title, content, width, style, headers = {} }) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'text/html; charset=utf-8', ...headers },
+    body: layout({ title, content, width, style })
+  };
+}
+
+/**
+ * Whether the client asked for JSON rather than a page
+ */
+function wantsJson(event) {
+  const headers = event?.headers || {};
+  const accept = String(headers.accept || headers.Accept || '').toLowerCase();
+  return accept.includes('application/json') && !accept.includes('text/html');
+}
+
+/**
+ * Error as `{ error, message, action }` JSON or an HTML page, depending on Accept.
+ * `details` (a string or an Error) is only included when SHOW_ERROR_DETAILS allows it.
+ * `link` is an optional `{ href, label }` shown on the HTML page.
+ */
+function errorResponse(event, statusCode, { error, code, message, action, details, link, headers = {} }) {
+  const detailText = showErrorDetails() && details
+    ? (details instanceof Error ? details.stack || details.message : String(details))
+    : null;
+
+  if (wantsJson(event)) {
+    return {
+      statusCode,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify({
+        error,
+        ...(code ? { code } : {}),
+        message,
+        ...(action ? { action } : {}),
+        ...(detailText ? { details: detailText } : {})
+      })
+    };
+  }
+
+  return pageResponse(statusCode, {
+    title: `❌ ${error}`,
+    headers,
+    content: html`
+      <p><strong>${message}</strong></p>
+      ${action ? html`<p>${action}</p>` : ''}
+      ${code ? html`<p><small>Error code: <code>${code}</code></small></p>` : ''}
+      ${detailText ? html`<pre>${detailText}</pre>` : ''}
+      ${link ? html`<p><a href="${link.href}">${link.label}</a></p>` : ''}
+    `
+  });
+}
+
+module.exports = {
+  html,
+  raw,
+  escapeHtml,
+  layout,
+  pageResponse,
+  wantsJson,
+  errorResponse,
+  showErrorDetails
+};
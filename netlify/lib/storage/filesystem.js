@@ -0,0 +1,103 @@
+/**
+ * Storage Backend: Local JSON Files
+ *
+ * One file per key under STORAGE_DIR/<store name>/ (default `.netlify/acre-storage`,
+ * which is git-ignored). Lets the whole flow run offline or self-hosted.
+ *
+ * Files are written to a temp file and renamed, and conditional updates use
+ * synchronous I/O, so they are atomic within one process. Don't point several
+ * processes at the same directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function createFileStorage(name) {
+  const baseDir = path.resolve(process.env.STORAGE_DIR || path.join('.netlify', 'acre-storage'), name);
+
+  // Keys may contain `/` - encode them into a single safe file name
+  const fileFor = key => path.join(baseDir, `${encodeURIComponent(key)}.json`);
+
+  const readEntry = key => {
+    try {
+      return JSON.parse(fs.readFileSync(fileFor(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  const write = (key, data, metadata) => {
+    fs.mkdirSync(baseDir, { recursive: true });
+    const file = fileFor(key);
+    const tmpFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify({ data, metadata: metadata || {}, etag: crypto.randomUUID() }));
+    fs.renameSync(tmpFile, file);
+  };
+
+  const decode = (data, type) => (type === 'json' ? JSON.parse(data) : data);
+
+  return {
+    async get(key, { type = 'text' } = {}) {
+      const entry = readEntry(key);
+      return entry ? decode(entry.data, type) : null;
+    },
+
+    async getWithMetadata(key, { type = 'text' } = {}) {
+      const entry = readEntry(key);
+      return entry ? { data: decode(entry.data, type), etag: entry.etag, metadata: entry.metadata } : null;
+    },
+
+    async getMetadata(key) {
+      const entry = readEntry(key);
+      return entry ? { etag: entry.etag, metadata: entry.metadata } : null;
+    },
+
+    async set(key, data, { metadata } = {}) {
+      write(key, String(data), metadata);
+    },
+
+    async setJSON(key, value, { metadata } = {}) {
+      write(key, JSON.stringify(value), metadata);
+    },
+
+    async delete(key) {
+      fs.rmSync(fileFor(key), { force: true });
+    },
+
+    async list({ prefix = '' } = {}) {
+      let files = [];
+      try {
+        files = fs.readdirSync(baseDir);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+
+      const blobs = files
+        .filter(file => file.endsWith('.json'))
+        .map(file => decodeURIComponent(file.slice(0, -'.json'.length)))
+        .filter(key => key.startsWith(prefix))
+        .sort()
+        .map(key => ({ key, etag: readEntry(key)?.etag }));
+
+      return { blobs, directories: [] };
+    },
+
+    async setIfMatch(key, data, { etag = null, metadata } = {}) {
+      if ((readEntry(key)?.etag ?? null) !== etag) {
+        return false;
+      }
+      write(key, String(data), metadata);
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  createFileStorage
+};
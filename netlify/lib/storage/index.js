@@ -0,0 +1,54 @@
+/**
+ * Pluggable Storage
+ *
+ * Every module stores its data through `getStorage(name)` instead of calling
+ * Netlify Blobs directly, so the functions can also run self-hosted, offline
+ * on a laptop, or in tests.
+ *
+ * Backend is chosen with STORAGE_BACKEND:
+ * - `blobs`  (default) Netlify Blobs
+ * - `file`   JSON files under STORAGE_DIR (default `.netlify/acre-storage`)
+ * - `memory` in-process only, lost when the process exits
+ *
+ * Every backend implements the same interface (a subset of the Blobs store API):
+ *
+ *   get(key, { type: 'text' | 'json' })           → value or null
+ *   getWithMetadata(key, { type })                → { data, etag, metadata } or null
+ *   getMetadata(key)                              → { etag, metadata } or null (no data)
+ *   set(key, text, { metadata })
+ *   setJSON(key, value, { metadata })
+ *   delete(key)
+ *   list({ prefix })                              → { blobs: [{ key, etag }] }
+ *   setIfMatch(key, text, { etag, metadata })     → true if written
+ *
+ * `setIfMatch` is the conditional update: it only writes when the current etag
+ * equals `etag` (pass `etag: null` for "only if the key doesn't exist yet").
+ */
+
+const { createBlobsStorage } = require('./netlify-blobs');
+const { createFileStorage } = require('./filesystem');
+const { createMemoryStorage } = require('./memory');
+
+const BACKENDS = {
+  blobs: createBlobsStorage,
+  file: createFileStorage,
+  memory: createMemoryStorage
+};
+
+/**
+ * Get the named store on the configured backend
+ */
+function getStorage(name) {
+  const backend = (process.env.STORAGE_BACKEND || 'blobs').toLowerCase();
+  const create = BACKENDS[backend];
+
+  if (!create) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+
+  return create(name);
+}
+
+module.exports = {
+  getStorage
+};
@@ -0,0 +1,81 @@
+/**
+ * Storage Backend: In-Memory
+ *
+ * Keeps everything in a Map for the life of the process. Meant for tests and
+ * quick offline experiments - nothing survives a restart.
+ */
+
+const crypto = require('crypto');
+
+// name → Map(key → { data, metadata, etag })
+const stores = new Map();
+
+function createMemoryStorage(name) {
+  if (!stores.has(name)) {
+    stores.set(name, new Map());
+  }
+  const entries = stores.get(name);
+
+  const write = (key, data, metadata) => {
+    entries.set(key, { data, metadata: metadata || {}, etag: crypto.randomUUID() });
+  };
+
+  const decode = (data, type) => (type === 'json' ? JSON.parse(data) : data);
+
+  return {
+    async get(key, { type = 'text' } = {}) {
+      const entry = entries.get(key);
+      return entry ? decode(entry.data, type) : null;
+    },
+
+    async getWithMetadata(key, { type = 'text' } = {}) {
+      const entry = entries.get(key);
+      return entry ? { data: decode(entry.data, type), etag: entry.etag, metadata: entry.metadata } : null;
+    },
+
+    async getMetadata(key) {
+      const entry = entries.get(key);
+      return entry ? { etag: entry.etag, metadata: entry.metadata } : null;
+    },
+
+    async set(key, data, { metadata } = {}) {
+      write(key, String(data), metadata);
+    },
+
+    async setJSON(key, value, { metadata } = {}) {
+      write(key, JSON.stringify(value), metadata);
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async list({ prefix = '' } = {}) {
+      const blobs = [...entries.entries()]
+        .filter(([key]) => key.startsWith(prefix))
+        .map(([key, entry]) => ({ key, etag: entry.etag }))
+        .sort((a, b) => (a.key < b.key ? -1 : 1));
+      return { blobs, directories: [] };
+    },
+
+    async setIfMatch(key, data, { etag = null, metadata } = {}) {
+      if ((entries.get(key)?.etag ?? null) !== etag) {
+        return false;
+      }
+      write(key, String(data), metadata);
+      return true;
+    }
+  };
+}
+
+/**
+ * Drop every in-memory store (used between tests)
+ */
+function resetMemoryStorage() {
+  stores.clear();
+}
+
+module.exports = {
+  createMemoryStorage,
+  resetMemoryStorage
+};
@@ -0,0 +1,47 @@
+/**
+ * Storage Backend: Netlify Blobs
+ *
+ * Thin wrapper around a Blobs store. `setIfMatch` is a real conditional write
+ * (`onlyIfMatch` / `onlyIfNew`), checked by Blobs itself, so two writers
+ * racing on the same etag can't both win.
+ */
+
+const { getStore } = require('@netlify/blobs');
+
+// One store object per name for the life of a warm instance
+const instances = new Map();
+
+function createBlobsStorage(name) {
+  if (!instances.has(name)) {
+    instances.set(name, wrapStore(name));
+  }
+  return instances.get(name);
+}
+
+function wrapStore(name) {
+  const store = getStore({
+    name,
+    siteID: process.env.site_id_real || process.env.NETLIFY_SITE_ID,
+    token: process.env.NETLIFY_AUTH_TOKEN
+  });
+
+  return {
+    get: (key, options = {}) => store.get(key, options),
+    getWithMetadata: (key, options = {}) => store.getWithMetadata(key, options),
+    getMetadata: key => store.getMetadata(key),
+    set: (key, data, options = {}) => store.set(key, data, options),
+    setJSON: (key, value, options = {}) => store.setJSON(key, value, options),
+    delete: key => store.delete(key),
+    list: (options = {}) => store.list(options),
+
+    async setIfMatch(key, data, { etag = null, metadata } = {}) {
+      const condition = etag === null ? { onlyIfNew: true } : { onlyIfMatch: etag };
+      const { modified } = await store.set(key, data, { metadata, ...condition });
+      return modified;
+    }
+  };
+}
+
+module.exports = {
+  createBlobsStorage
+};
@@ -0,0 +1,183 @@
+/**
+ * Token Encryption at Rest
+ *
+ * Token records are sealed with AES-256-GCM before they are written to Blobs.
+ * Keys come from TOKEN_ENCRYPTION_KEYS, a comma-separated list of `id:key` pairs:
+ *
+ *   TOKEN_ENCRYPTION_KEYS=k2:<new key>,k1:<old key>
+ *
+ * - The FIRST key encrypts every new write
+ * - The remaining keys are only used to decrypt older records (rotation)
+ * - Keys are 32 bytes, given as base64 or hex (generate with: openssl rand -base64 32)
+ *
+ * Export bundles (moving a connection between sites) don't use these keys -
+ * they are sealed with a passphrase (scrypt + AES-256-GCM), so the receiving
+ * site can have its own TOKEN_ENCRYPTION_KEYS.
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+const BUNDLE_FORMAT = 'acre-token-export';
+const BUNDLE_VERSION = 1;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+/**
+ * Parse TOKEN_ENCRYPTION_KEYS into an ordered list of { id, key }
+ */
+function loadKeys() {
+  const raw = process.env.TOKEN_ENCRYPTION_KEYS;
+
+  if (!raw || !raw.trim()) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS not configured in environment variables');
+  }
+
+  return raw.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(':');
+    const id = separator > 0 ? entry.slice(0, separator) : '';
+    const value = separator > 0 ? entry.slice(separator + 1) : '';
+
+    if (!KEY_ID_PATTERN.test(id)) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS entries must look like <id>:<key>');
+    }
+
+    const key = /^[0-9a-fA-F]{64}$/.test(value)
+      ? Buffer.from(value, 'hex')
+      : Buffer.from(value, 'base64');
+
+    if (key.length !== 32) {
+      throw new Error(`Encryption key "${id}" must be 32 bytes (base64 or hex)`);
+    }
+
+    return { id, key };
+  });
+}
+
+/**
+ * Is this stored value an encrypted envelope (vs. a legacy plaintext record)?
+ */
+function isEncrypted(stored) {
+  return Boolean(stored && stored.enc === ALGORITHM && stored.kid && stored.data);
+}
+
+/**
+ * Encrypt a token record with the active key.
+ * `aad` binds the ciphertext to its storage key so records can't be swapped.
+ */
+function encryptRecord(record, aad) {
+  const [activeKey] = loadKeys();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, activeKey.key, iv);
+  cipher.setAAD(Buffer.from(aad));
+
+  const data = Buffer.concat([cipher.update(JSON.stringify(record), 'utf8'), cipher.final()]);
+
+  return {
+    enc: ALGORITHM,
+    kid: activeKey.id,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a stored value.
+ * Returns { record, needsUpgrade } - needsUpgrade is true for plaintext records
+ * and records sealed with an older key, so the caller can re-encrypt them.
+ */
+function decryptRecord(stored, aad) {
+  const keys = loadKeys();
+
+  if (!isEncrypted(stored)) {
+    return { record: stored, needsUpgrade: true };
+  }
+
+  const match = keys.find(k => k.id === stored.kid);
+  if (!match) {
+    throw new Error(`Token record was encrypted with unknown key "${stored.kid}"`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, match.key, Buffer.from(stored.iv, 'base64'));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(Buffer.from(stored.tag, 'base64'));
+
+  const plaintext = Buffer.concat([
+    decipher.update(Buffer.from(stored.data, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+
+  return {
+    record: JSON.parse(plaintext),
+    needsUpgrade: match.id !== keys[0].id
+  };
+}
+
+function bundleKey(passphrase, salt, { N, r, p }) {
+  return crypto.scryptSync(String(passphrase), salt, 32, { N, r, p, maxmem: SCRYPT_PARAMS.maxmem });
+}
+
+/**
+ * Seal an export payload with a passphrase.
+ * `meta` stays readable (connection, profile, export time) but is authenticated.
+ */
+function sealBundle(payload, passphrase, meta = {}) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const { N, r, p } = SCRYPT_PARAMS;
+
+  const cipher = crypto.createCipheriv(ALGORITHM, bundleKey(passphrase, salt, SCRYPT_PARAMS), iv);
+  cipher.setAAD(Buffer.from(JSON.stringify(meta)));
+  const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    meta,
+    kdf: { name: 'scrypt', N, r, p, salt: salt.toString('base64') },
+    enc: ALGORITHM,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Open a bundle made by sealBundle. Throws on a wrong passphrase or a modified bundle.
+ */
+function openBundle(bundle, passphrase) {
+  if (bundle?.format !== BUNDLE_FORMAT || bundle.version !== BUNDLE_VERSION || bundle.enc !== ALGORITHM) {
+    throw new Error(`Not a version ${BUNDLE_VERSION} ${BUNDLE_FORMAT} bundle`);
+  }
+
+  const { N, r, p, salt } = bundle.kdf || {};
+  if (bundle.kdf?.name !== 'scrypt' || N > SCRYPT_PARAMS.N || r > SCRYPT_PARAMS.r || p > SCRYPT_PARAMS.p) {
+    throw new Error('Unsupported bundle key derivation settings');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, bundleKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p }),
+      Buffer.from(bundle.iv, 'base64'));
+    decipher.setAAD(Buffer.from(JSON.stringify(bundle.meta || {})));
+    decipher.setAuthTag(Buffer.from(bundle.tag, 'base64'));
+
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(bundle.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+
+    return JSON.parse(plaintext);
+  } catch (openError) {
+    throw new Error('Bundle could not be decrypted - wrong passphrase or modified bundle');
+  }
+}
+
+module.exports = {
+  isEncrypted,
+  encryptRecord,
+  decryptRecord,
+  sealBundle,
+  openBundle
+};
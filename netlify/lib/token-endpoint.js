@@ -0,0 +1,417 @@
+/**
+ * Acre Token Endpoint Client
+ *
+ * Every call to a profile's token URL (code exchange and refresh) goes through
+ * requestToken(), which:
+ *
+ * - times out each attempt after ACRE_TOKEN_TIMEOUT_MS (default 4000)
+ * - retries network errors, timeouts, 5xx and 429 up to ACRE_TOKEN_RETRIES
+ *   times (default 2) with jittered exponential backoff, honouring a short
+ *   Retry-After
+ * - gives up after TOTAL_BUDGET_MS including retries, so a refresh finishes
+ *   inside its 15s lease (refresh.js) and the 10s function timeout
+ * - never retries a single-use grant (authorization_code, refresh_token) once
+ *   Acre may have received it: only 429, 502, 503 and 504 answers are retried,
+ *   not timeouts, dropped connections or other 5xx. Acre may already have
+ *   spent the code or rotated the refresh token, and sending it again would
+ *   get invalid_grant and kill the connection
+ * - keeps a circuit breaker per profile in the `acre-circuit` store: after
+ *   CIRCUIT_FAILURE_THRESHOLD (default 5) unavailable calls in a row, calls
+ *   fail fast for CIRCUIT_OPEN_SECONDS (default 30), then a single probe call
+ *   (claimed with setIfMatch) is let through to test the endpoint again
+ * - parses Acre's OAuth error bodies (`error`, `error_description`)
+ *
+ * Failures are thrown as AcreTokenError with a stable `code` that callers (and
+ * n8n workflows, via the JSON error responses) can branch on:
+ *
+ *   reauth_required       invalid_grant - the code or refresh token is dead, log in again
+ *   upstream_unavailable  Acre is down, timing out or rate limiting - retry after `retryAfter` seconds
+ *   misconfigured         client credentials, API key or token URL are wrong or missing
+ *   upstream_error        any other error, or a response without an access token
+ */
+
+const { getStorage } = require('./storage');
+const { getProfile, siteUrl, authStartUrl } = require('./acre-config');
+const log = require('./logger');
+
+const ERROR_CODES = {
+  REAUTH_REQUIRED: 'reauth_required',
+  UPSTREAM_UNAVAILABLE: 'upstream_unavailable',
+  MISCONFIGURED: 'misconfigured',
+  UPSTREAM_ERROR: 'upstream_error'
+};
+
+// How functions answer each code (refresh_in_progress comes from refresh.js)
+const ERROR_RESPONSES = {
+  reauth_required: {
+    statusCode: 409,
+    error: 'Reauthentication Required',
+    action: loginUrl => `Visit ${loginUrl} to log in again`
+  },
+  upstream_unavailable: {
+    statusCode: 503,
+    error: 'Acre Unavailable',
+    action: () => 'Retry after the number of seconds in Retry-After'
+  },
+  misconfigured: {
+    statusCode: 500,
+    error: 'Configuration Error',
+    action: () => 'Check ACRE_CLIENT_ID, ACRE_CLIENT_SECRET, ACRE_API_KEY and the token URL for this profile'
+  },
+  upstream_error: {
+    statusCode: 502,
+    error: 'Token Request Failed',
+    action: loginUrl => `Try again; if it keeps failing, log in again at ${loginUrl}`
+  },
+  refresh_in_progress: {
+    statusCode: 503,
+    error: 'Refresh In Progress',
+    action: () => 'Retry the request in a few seconds'
+  }
+};
+
+const DEFAULT_TIMEOUT_MS = 4 * 1000;
+const DEFAULT_RETRIES = 2;
+// The whole call, retries and backoff included - keep under the 10s function timeout
+const TOTAL_BUDGET_MS = 8 * 1000;
+// Not worth starting another attempt with less time than this left
+const MIN_ATTEMPT_MS = 1000;
+const RETRY_BASE_MS = 250;
+const RETRY_MAX_MS = 4000;
+const DEFAULT_RETRY_AFTER_SECONDS = 5;
+const DEFAULT_CIRCUIT_THRESHOLD = 5;
+const DEFAULT_CIRCUIT_OPEN_SECONDS = 30;
+
+// OAuth error codes that mean our own client setup is wrong
+const MISCONFIGURED_ERRORS = ['invalid_client', 'unauthorized_client', 'unsupported_grant_type', 'invalid_scope'];
+
+// Grants Acre spends when it processes them; see the header for when they are retried
+const SINGLE_USE_GRANTS = ['authorization_code', 'refresh_token'];
+const SAFE_RETRY_STATUSES = [429, 502, 503, 504];
+
+class AcreTokenError extends Error {
+  constructor(code, message, { status = null, oauthError = null, description = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'AcreTokenError';
+    this.code = code;
+    this.status = status;
+    this.oauthError = oauthError;
+    this.description = description;
+    this.retryAfter = retryAfter;
+  }
+}
+
+function setting(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function getCircuitStore() {
+  return getStorage('acre-circuit');
+}
+
+function circuitKey(profileName) {
+  return `token/${profileName}`;
+}
+
+/**
+ * POST a grant to the profile's token URL. Resolves with Acre's token response
+ * (always with an access_token); rejects with an AcreTokenError.
+ */
+async function requestToken(profileName, params) {
+  const { clientId, clientSecret, apiKey, tokenUrl } = getProfile(profileName);
+
+  if (!clientId || !clientSecret || !apiKey) {
+    throw new AcreTokenError(ERROR_CODES.MISCONFIGURED,
+      `Missing ACRE_CLIENT_ID, ACRE_CLIENT_SECRET or ACRE_API_KEY for profile "${profileName}"`);
+  }
+
+  await checkCircuit(profileName);
+
+  const grantType = params.grant_type;
+  const singleUse = SINGLE_USE_GRANTS.includes(grantType);
+  const attempts = setting('ACRE_TOKEN_RETRIES', DEFAULT_RETRIES) + 1;
+  const timeoutMs = Math.min(setting('ACRE_TOKEN_TIMEOUT_MS', DEFAULT_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS, TOTAL_BUDGET_MS);
+  const deadline = Date.now() + TOTAL_BUDGET_MS;
+  let failure;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    failure = null;
+    const attemptTimeoutMs = Math.min(timeoutMs, deadline - Date.now());
+
+    try {
+      const response = await fetch(tokenUrl, {
+        method: 'POST',
+        headers: {
+          'X-API-KEY': apiKey,
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Accept': 'application/json'
+        },
+        // Acre requires client_secret_post (credentials in the body, not Basic auth)
+        body: new URLSearchParams({ ...params, client_id: clientId, client_secret: clientSecret }).toString(),
+        signal: AbortSignal.timeout(attemptTimeoutMs)
+      });
+
+      if (response.ok) {
+        const tokenData = await parseTokenResponse(response);
+        await recordCircuitResult(profileName, true);
+        return tokenData;
+      }
+
+      failure = await errorFromResponse(response);
+    } catch (requestError) {
+      failure = requestError instanceof AcreTokenError
+        ? requestError
+        : new AcreTokenError(ERROR_CODES.UPSTREAM_UNAVAILABLE,
+          requestError.name === 'TimeoutError'
+            ? `Acre token endpoint did not answer within ${attemptTimeoutMs}ms`
+            : `Acre token endpoint unreachable: ${requestError.message}`);
+    }
+
+    const retryable = failure.code === ERROR_CODES.UPSTREAM_UNAVAILABLE &&
+      (!singleUse || SAFE_RETRY_STATUSES.includes(failure.status));
+    const delay = retryable ? backoffDelay(attempt, failure.retryAfter) : null;
+
+    if (!retryable || attempt === attempts || delay === null || Date.now() + delay + MIN_ATTEMPT_MS > deadline) {
+      break;
+    }
+
+    log.warn('Acre token request failed, retrying', {
+      grant_type: grantType,
+      attempt,
+      status: failure.status,
+      code: failure.code,
+      delay_ms: delay
+    });
+    await sleep(delay);
+  }
+
+  log.error('Acre token request failed', {
+    grant_type: grantType,
+    status: failure.status,
+    code: failure.code,
+    oauth_error: failure.oauthError,
+    description: failure.description
+  });
+
+  if (failure.code === ERROR_CODES.UPSTREAM_UNAVAILABLE) {
+    const openFor = await recordCircuitResult(profileName, false);
+    failure.retryAfter = Math.max(failure.retryAfter || DEFAULT_RETRY_AFTER_SECONDS, openFor || 0);
+  } else {
+    // Acre answered, so it is up - whatever the answer said
+    await recordCircuitResult(profileName, true);
+  }
+
+  throw failure;
+}
+
+/**
+ * A 2xx token response must be JSON with an access token - never store anything less
+ */
+async function parseTokenResponse(response) {
+  let tokenData;
+  try {
+    tokenData = await response.json();
+  } catch (parseError) {
+    throw new AcreTokenError(ERROR_CODES.UPSTREAM_ERROR, 'Acre token endpoint returned a body that is not JSON',
+      { status: response.status });
+  }
+
+  if (!tokenData || typeof tokenData.access_token !== 'string' || !tokenData.access_token) {
+    throw new AcreTokenError(ERROR_CODES.UPSTREAM_ERROR, 'Acre token response has no access_token',
+      { status: response.status });
+  }
+
+  return tokenData;
+}
+
+/**
+ * Classify a non-2xx response, using the OAuth error body when there is one
+ */
+async function errorFromResponse(response) {
+  const text = await response.text().catch(() => '');
+  let oauthError = null;
+  let description = null;
+
+  try {
+    const body = JSON.parse(text);
+    oauthError = typeof body.error === 'string' ? body.error : null;
+    description = typeof body.error_description === 'string' ? body.error_description : null;
+  } catch (parseError) {
+    description = text.slice(0, 200) || null;
+  }
+
+  const status = response.status;
+  const detail = `${status}${oauthError ? ` ${oauthError}` : ''}${description ? `: ${description}` : ''}`;
+  const extra = { status, oauthError, description };
+
+  if (oauthError === 'invalid_grant') {
+    return new AcreTokenError(ERROR_CODES.REAUTH_REQUIRED, `Acre rejected the grant (${detail})`, extra);
+  }
+
+  if (status === 429 || status >= 500) {
+    return new AcreTokenError(ERROR_CODES.UPSTREAM_UNAVAILABLE, `Acre token endpoint unavailable (${detail})`,
+      { ...extra, retryAfter: parseRetryAfter(response.headers.get('retry-after')) });
+  }
+
+  if (MISCONFIGURED_ERRORS.includes(oauthError) || status === 401 || status === 403 || status === 404) {
+    return new AcreTokenError(ERROR_CODES.MISCONFIGURED, `Acre refused our client configuration (${detail})`, extra);
+  }
+
+  return new AcreTokenError(ERROR_CODES.UPSTREAM_ERROR, `Acre token request failed (${detail})`, extra);
+}
+
+/**
+ * Retry-After in seconds (delta-seconds or an HTTP date), null if absent
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = /^\d+$/.test(value.trim())
+    ? parseInt(value, 10)
+    : Math.ceil((new Date(value).getTime() - Date.now()) / 1000);
+
+  return Number.isFinite(seconds) ? Math.max(0, seconds) : null;
+}
+
+/**
+ * Jittered exponential backoff for the given attempt (1-based).
+ * Returns null when Acre asked us to wait longer than we are willing to.
+ */
+function backoffDelay(attempt, retryAfterSeconds) {
+  if (retryAfterSeconds !== null && retryAfterSeconds !== undefined) {
+    const requested = retryAfterSeconds * 1000;
+    return requested <= RETRY_MAX_MS ? requested : null;
+  }
+
+  const ceiling = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Fail fast while the profile's breaker is open. Once the open period is over
+ * (half-open), exactly one caller claims the probe; the rest keep failing fast
+ * until the probe closes or reopens the breaker. A probe that never reports
+ * back is given up after TOTAL_BUDGET_MS.
+ */
+async function checkCircuit(profileName) {
+  const store = getCircuitStore();
+  const key = circuitKey(profileName);
+  let entry;
+  try {
+    entry = await store.getWithMetadata(key, { type: 'json' });
+  } catch (storageError) {
+    log.warn('Circuit breaker state unavailable', { error: storageError.message });
+    return;
+  }
+
+  const circuit = entry?.data;
+  if (!circuit?.open_until) {
+    return;
+  }
+
+  const now = Date.now();
+  const openUntil = Math.max(new Date(circuit.open_until).getTime(), new Date(circuit.probe_until || 0).getTime());
+
+  let claimed = false;
+  if (openUntil <= now) {
+    try {
+      claimed = await store.setIfMatch(key, JSON.stringify({
+        ...circuit,
+        probe_until: new Date(now + TOTAL_BUDGET_MS).toISOString()
+      }), { etag: entry.etag });
+    } catch (storageError) {
+      log.warn('Failed to claim circuit breaker probe', { error: storageError.message });
+      return;
+    }
+  }
+
+  if (claimed) {
+    log.info('Circuit breaker half-open, probing Acre', { profile: profileName });
+    return;
+  }
+
+  const retryAfter = Math.max(1, Math.ceil((openUntil - now) / 1000));
+  log.warn('Circuit breaker open, not calling Acre', { profile: profileName, retry_after: retryAfter });
+  throw new AcreTokenError(ERROR_CODES.UPSTREAM_UNAVAILABLE,
+    `Acre token endpoint is failing; not retrying for ${retryAfter}s (circuit open)`, { retryAfter });
+}
+
+/**
+ * Count an unavailable call (opening the breaker at the threshold) or reset on
+ * success. Returns the seconds the breaker stays open, or null.
+ */
+async function recordCircuitResult(profileName, ok) {
+  const store = getCircuitStore();
+  const key = circuitKey(profileName);
+
+  try {
+    const circuit = await store.get(key, { type: 'json' });
+
+    if (ok) {
+      if (circuit) {
+        await store.delete(key);
+        log.info('Circuit breaker closed', { profile: profileName });
+      }
+      return null;
+    }
+
+    const failures = (circuit?.failures || 0) + 1;
+    const halfOpen = Boolean(circuit?.open_until);
+    const threshold = setting('CIRCUIT_FAILURE_THRESHOLD', DEFAULT_CIRCUIT_THRESHOLD) || DEFAULT_CIRCUIT_THRESHOLD;
+    const open = halfOpen || failures >= threshold;
+    const openSeconds = setting('CIRCUIT_OPEN_SECONDS', DEFAULT_CIRCUIT_OPEN_SECONDS);
+
+    await store.setJSON(key, {
+      failures,
+      last_failure_at: new Date().toISOString(),
+      open_until: open ? new Date(Date.now() + openSeconds * 1000).toISOString() : null
+    });
+
+    if (open) {
+      log.warn('Circuit breaker opened', { profile: profileName, failures, open_seconds: openSeconds });
+      return openSeconds;
+    }
+    return null;
+  } catch (storageError) {
+    log.warn('Failed to record circuit breaker state', { error: storageError.message });
+    return null;
+  }
+}
+
+/**
+ * Status, headers and `{ error, code, message, action }` for a failed token
+ * request, so every function reports the same codes the same way. The action
+ * links to /auth-start for the connection and profile when they are known.
+ */
+function describeTokenError(error, connectionId, profileName) {
+  const response = ERROR_RESPONSES[error.code] || ERROR_RESPONSES.upstream_error;
+  const loginUrl = connectionId ? authStartUrl(connectionId, profileName) : `${siteUrl()}/auth-start`;
+  const headers = response.statusCode === 503
+    ? { 'Retry-After': String(error.retryAfter || DEFAULT_RETRY_AFTER_SECONDS) }
+    : {};
+
+  return {
+    statusCode: response.statusCode,
+    headers,
+    body: {
+      error: response.error,
+      code: ERROR_RESPONSES[error.code] ? error.code : ERROR_CODES.UPSTREAM_ERROR,
+      message: error.message,
+      action: response.action(loginUrl)
+    }
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  ERROR_CODES,
+  AcreTokenError,
+  requestToken,
+  describeTokenError
+};
@@ -0,0 +1,393 @@
+/**
+ * Token Storage - Named Connections
+ *
+ * Each Acre connection (one adviser / firm login) keeps its own token record
+ * in the `acre-tokens` store (Netlify Blobs by default, see storage/index.js).
+ * - The `default` connection uses the original `tokens` key, so existing
+ *   deployments keep working without a re-login
+ * - Every other connection is stored under `tokens/<connection id>`
+ *
+ * Alongside the tokens, each connection has a plain (unencrypted, secret-free)
+ * status record under `status/<connection id>`: last refresh result, last
+ * error and whether the connection needs a fresh login.
+ *
+ * Records are encrypted at rest (see token-crypto.js). Plaintext records and
+ * records sealed with a rotated-out key are re-encrypted on the next read -
+ * with a conditional write, so a record a refresh wrote meanwhile always wins.
+ *
+ * Each environment profile (see acre-config.js) has its own store, so a deploy
+ * preview logged in to the Acre sandbox never overwrites production tokens:
+ * `production` uses `acre-tokens`, any other profile `acre-tokens-<profile>`.
+ * Every function takes an optional trailing `profile` (default: the profile of
+ * the current deploy context).
+ *
+ * The last TOKEN_HISTORY_LIMIT (default 10, 0 to disable) records written for
+ * a connection are also kept as numbered versions under
+ * `history/<connection id>/<version>`, each with the reason it was written
+ * (`login`, `refresh` or `manual`), so a bad refresh can be rolled back
+ * without a fresh login.
+ *
+ * Decrypted token records are cached in the warm function instance. A cached
+ * record is only used while its blob's etag is unchanged (a metadata read, no
+ * download or decryption), and never once it is inside the refresh buffer -
+ * then the record is read in full so a refresh elsewhere is picked up.
+ * Set TOKEN_CACHE=off to disable.
+ */
+
+const { getStorage } = require('./storage');
+const { encryptRecord, decryptRecord } = require('./token-crypto');
+const { DEFAULT_PROFILE, resolveProfile } = require('./acre-config');
+const log = require('./logger');
+
+const DEFAULT_CONNECTION = 'default';
+const CONNECTION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const DEFAULT_HISTORY_LIMIT = 10;
+const VERSION_REASONS = ['login', 'refresh', 'manual'];
+
+// Matches REFRESH_BUFFER_MS in refresh.js (which depends on this module)
+const CACHE_EXPIRY_BUFFER_MS = 5 * 60 * 1000;
+
+// "<profile>:<key>" → { etag, record }
+const tokenCache = new Map();
+
+/**
+ * Get the store holding a profile's token records (backend chosen by STORAGE_BACKEND)
+ */
+function getTokenStore(profile = resolveProfile()) {
+  return getStorage(profile === DEFAULT_PROFILE ? 'acre-tokens' : `acre-tokens-${profile}`);
+}
+
+/**
+ * Additional authenticated data for a record, so it can't be copied between
+ * keys or profiles (production keeps the bare key for existing records)
+ */
+function recordAad(key, profile) {
+  return profile === DEFAULT_PROFILE ? key : `${profile}:${key}`;
+}
+
+/**
+ * Normalise a connection id from a query parameter or cookie.
+ * Returns null when the value is present but not a valid id.
+ */
+function resolveConnectionId(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_CONNECTION;
+  }
+
+  const connectionId = String(value).trim();
+  return CONNECTION_ID_PATTERN.test(connectionId) ? connectionId : null;
+}
+
+/**
+ * Blobs key for a connection's token record
+ */
+function tokenKey(connectionId) {
+  return connectionId === DEFAULT_CONNECTION ? 'tokens' : `tokens/${connectionId}`;
+}
+
+function cacheEnabled() {
+  return (process.env.TOKEN_CACHE || '').toLowerCase() !== 'off';
+}
+
+/**
+ * Cached record for a key, if its blob is unchanged and it isn't about to expire
+ */
+async function readCachedTokens(store, key, profile) {
+  const cached = tokenCache.get(`${profile}:${key}`);
+  if (!cached) {
+    return null;
+  }
+
+  const expiresAt = new Date(cached.record.expires_at).getTime();
+  if (!Number.isFinite(expiresAt) || expiresAt - Date.now() <= CACHE_EXPIRY_BUFFER_MS) {
+    return null;
+  }
+
+  const current = await store.getMetadata(key);
+  if (current?.etag !== cached.etag) {
+    tokenCache.delete(`${profile}:${key}`);
+    return null;
+  }
+
+  return { ...cached.record };
+}
+
+/**
+ * Read and decrypt the token record for a connection (null if none stored)
+ */
+async function readTokens(connectionId, profile = resolveProfile()) {
+  const store = getTokenStore(profile);
+  const key = tokenKey(connectionId);
+
+  if (cacheEnabled()) {
+    const cached = await readCachedTokens(store, key, profile);
+    if (cached) {
+      log.debug('Token record served from instance cache', { connection: connectionId });
+      return cached;
+    }
+  }
+
+  const entry = await store.getWithMetadata(key, { type: 'text' });
+
+  if (!entry?.data) {
+    tokenCache.delete(`${profile}:${key}`);
+    return null;
+  }
+
+  const { record, needsUpgrade } = decryptRecord(JSON.parse(entry.data), recordAad(key, profile));
+
+  if (needsUpgrade) {
+    try {
+      tokenCache.delete(`${profile}:${key}`);
+      const upgraded = await store.setIfMatch(key, JSON.stringify(encryptRecord(record, recordAad(key, profile))), {
+        etag: entry.etag,
+        metadata: tokenMetadata(connectionId, record)
+      });
+
+      if (upgraded) {
+        log.info('Token record re-encrypted with current key', { connection: connectionId });
+      } else {
+        log.info('Token record changed while re-encrypting, keeping the newer record', { connection: connectionId });
+      }
+    } catch (upgradeError) {
+      log.warn('Failed to re-encrypt token record', { error: upgradeError.message });
+    }
+  } else if (cacheEnabled() && entry.etag) {
+    tokenCache.set(`${profile}:${key}`, { etag: entry.etag, record: { ...record } });
+  }
+
+  return record;
+}
+
+/**
+ * Plain metadata kept next to an encrypted token record
+ */
+function tokenMetadata(connectionId, tokenStorage) {
+  return {
+    connection: connectionId,
+    created_at: tokenStorage.created_at,
+    expires_at: tokenStorage.expires_at
+  };
+}
+
+/**
+ * Encrypt and store the token record for a connection.
+ * With a `reason` (`login`, `refresh` or `manual`) the record is also kept as
+ * a new version; re-encrypting an unchanged record passes none.
+ */
+async function writeTokens(connectionId, tokenStorage, profile = resolveProfile(), { reason, note } = {}) {
+  const store = getTokenStore(profile);
+  const key = tokenKey(connectionId);
+  tokenCache.delete(`${profile}:${key}`);
+  await store.set(key, JSON.stringify(encryptRecord(tokenStorage, recordAad(key, profile))), {
+    metadata: tokenMetadata(connectionId, tokenStorage)
+  });
+
+  if (reason) {
+    try {
+      await appendTokenVersion(connectionId, tokenStorage, { reason, note }, profile);
+    } catch (versionError) {
+      log.warn('Failed to keep token version', { error: versionError.message });
+    }
+  }
+}
+
+/**
+ * Delete the token record for a connection, with its version history unless
+ * `keepHistory` is set (then an earlier version can still be rolled back to)
+ */
+async function deleteTokens(connectionId, profile = resolveProfile(), { keepHistory = false } = {}) {
+  const store = getTokenStore(profile);
+  tokenCache.delete(`${profile}:${tokenKey(connectionId)}`);
+  await store.delete(tokenKey(connectionId));
+
+  if (keepHistory) {
+    return;
+  }
+
+  for (const version of await listVersionNumbers(store, connectionId)) {
+    await store.delete(versionKey(connectionId, version));
+  }
+}
+
+function historyLimit() {
+  const limit = parseInt(process.env.TOKEN_HISTORY_LIMIT, 10);
+  return Number.isFinite(limit) && limit >= 0 ? limit : DEFAULT_HISTORY_LIMIT;
+}
+
+/**
+ * Blobs key for one version of a connection's token record
+ */
+function versionKey(connectionId, version) {
+  return `history/${connectionId}/${String(version).padStart(8, '0')}`;
+}
+
+/**
+ * Version numbers stored for a connection, oldest first
+ */
+async function listVersionNumbers(store, connectionId) {
+  const { blobs } = await store.list({ prefix: `history/${connectionId}/` });
+
+  return blobs
+    .map(blob => parseInt(blob.key.slice(`history/${connectionId}/`.length), 10))
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Keep a token record as the connection's next version, then drop versions
+ * beyond TOKEN_HISTORY_LIMIT. Returns the new version number (null when
+ * history is disabled).
+ */
+async function appendTokenVersion(connectionId, tokenStorage, { reason, note, writtenAt } = {}, profile = resolveProfile()) {
+  if (!VERSION_REASONS.includes(reason)) {
+    throw new Error(`Unknown token version reason "${reason}". Use one of: ${VERSION_REASONS.join(', ')}`);
+  }
+
+  const limit = historyLimit();
+  if (!limit) {
+    return null;
+  }
+
+  const store = getTokenStore(profile);
+  const existing = await listVersionNumbers(store, connectionId);
+  const version = (existing[existing.length - 1] || 0) + 1;
+  const key = versionKey(connectionId, version);
+
+  await store.set(key, JSON.stringify(encryptRecord(tokenStorage, recordAad(key, profile))), {
+    metadata: {
+      connection: connectionId,
+      version,
+      reason,
+      note: note || null,
+      written_at: writtenAt || new Date().toISOString(),
+      created_at: tokenStorage.created_at,
+      expires_at: tokenStorage.expires_at
+    }
+  });
+
+  const stale = [...existing, version].slice(0, -limit);
+  for (const staleVersion of stale) {
+    await store.delete(versionKey(connectionId, staleVersion));
+  }
+
+  return version;
+}
+
+/**
+ * Versions kept for a connection, newest first (metadata only, no tokens)
+ */
+async function listTokenVersions(connectionId, profile = resolveProfile()) {
+  const store = getTokenStore(profile);
+  const versions = await listVersionNumbers(store, connectionId);
+
+  const entries = await Promise.all(versions.reverse().map(async version => {
+    const entry = await store.getMetadata(versionKey(connectionId, version));
+    if (!entry) {
+      return null;
+    }
+
+    const { metadata = {} } = entry;
+    return {
+      version,
+      reason: metadata.reason || null,
+      note: metadata.note || null,
+      written_at: metadata.written_at || null,
+      created_at: metadata.created_at || null,
+      expires_at: metadata.expires_at || null
+    };
+  }));
+
+  return entries.filter(Boolean);
+}
+
+/**
+ * Read and decrypt one version of a connection's token record (null if not kept)
+ */
+async function readTokenVersion(connectionId, version, profile = resolveProfile()) {
+  const store = getTokenStore(profile);
+  const key = versionKey(connectionId, version);
+  const stored = await store.get(key, { type: 'text' });
+
+  if (!stored) {
+    return null;
+  }
+
+  return decryptRecord(JSON.parse(stored), recordAad(key, profile)).record;
+}
+
+/**
+ * Make an earlier version the current token record again (kept as a new
+ * `manual` version). Returns the restored record, or null if the version isn't kept.
+ */
+async function rollbackTokens(connectionId, version, profile = resolveProfile()) {
+  const tokenStorage = await readTokenVersion(connectionId, version, profile);
+  if (!tokenStorage) {
+    return null;
+  }
+
+  await writeTokens(connectionId, tokenStorage, profile, { reason: 'manual', note: `rollback to version ${version}` });
+  return tokenStorage;
+}
+
+/**
+ * List the ids of every connection with a stored token record
+ */
+async function listConnections(profile = resolveProfile()) {
+  const store = getTokenStore(profile);
+  const { blobs } = await store.list({ prefix: 'tokens' });
+
+  return blobs
+    .map(blob => blob.key === 'tokens' ? DEFAULT_CONNECTION : blob.key.replace(/^tokens\//, ''))
+    .filter(connectionId => connectionId === DEFAULT_CONNECTION || CONNECTION_ID_PATTERN.test(connectionId));
+}
+
+/**
+ * Forget every cached token record (tests, or after changing encryption keys)
+ */
+function clearTokenCache() {
+  tokenCache.clear();
+}
+
+/**
+ * Read the status record for a connection ({} if none stored)
+ */
+async function readStatus(connectionId, profile = resolveProfile()) {
+  const store = getTokenStore(profile);
+  const status = await store.get(`status/${connectionId}`, { type: 'json' });
+  return status || {};
+}
+
+/**
+ * Merge changes into the status record for a connection
+ */
+async function updateStatus(connectionId, changes, profile = resolveProfile()) {
+  const store = getTokenStore(profile);
+  const status = {
+    ...(await readStatus(connectionId, profile)),
+    ...changes,
+    updated_at: new Date().toISOString()
+  };
+  await store.setJSON(`status/${connectionId}`, status);
+  return status;
+}
+
+module.exports = {
+  DEFAULT_CONNECTION,
+  VERSION_REASONS,
+  getTokenStore,
+  resolveConnectionId,
+  tokenKey,
+  readTokens,
+  writeTokens,
+  deleteTokens,
+  appendTokenVersion,
+  listTokenVersions,
+  readTokenVersion,
+  rollbackTokens,
+  listConnections,
+  readStatus,
+  updateStatus,
+  clearTokenCache
+};
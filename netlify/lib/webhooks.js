@@ -0,0 +1,282 @@
+/**
+ * Acre Webhooks - Verification, Storage and Fan-out
+ *
+ * Incoming Acre events are verified, de-duplicated by event id, stored in the
+ * `acre-webhooks` store and forwarded to every URL in N8N_WEBHOOK_URLS
+ * (comma-separated).
+ *
+ * Verification (ACRE_WEBHOOK_SECRET):
+ * - HMAC: `X-Acre-Signature: sha256=<hex HMAC-SHA256 of the raw body>`
+ *   (header name configurable with ACRE_WEBHOOK_SIGNATURE_HEADER), or
+ * - Shared secret: `X-Acre-Webhook-Secret: <secret>`
+ *
+ * Keys:
+ *   events/<event id>                  the event and its delivery results
+ *   dead-letter/<event id>/<target>    a delivery that failed every attempt
+ *
+ * Each delivery is attempted WEBHOOK_MAX_ATTEMPTS times (default 3) with a short
+ * backoff, staying inside the function timeout. Failed deliveries stay on the
+ * dead-letter list until replayed (see functions/webhook-replay.js).
+ *
+ * Target URLs may carry a secret path, so nothing stored or returned holds
+ * them - only their `target` id. Replays look the URL up in N8N_WEBHOOK_URLS.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { safeEqual } = require('./client-keys');
+const log = require('./logger');
+
+const DEFAULT_SIGNATURE_HEADER = 'x-acre-signature';
+const SECRET_HEADER = 'x-acre-webhook-secret';
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const ATTEMPT_TIMEOUT_MS = 2500;
+const BACKOFF_BASE_MS = 250;
+
+/**
+ * Get the store holding webhook events and dead letters
+ */
+function getWebhookStore() {
+  return getStorage('acre-webhooks');
+}
+
+/**
+ * n8n webhook URLs every event is forwarded to
+ */
+function webhookTargets() {
+  return (process.env.N8N_WEBHOOK_URLS || '')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Short stable id for a target URL (the URL itself may contain a secret path)
+ */
+function targetId(url) {
+  return crypto.createHash('sha256').update(url).digest('hex').slice(0, 12);
+}
+
+/**
+ * Check the signature or shared secret on an incoming webhook.
+ * Returns { ok: true } or { ok: false, reason }.
+ */
+function verifyWebhook(headers, rawBody) {
+  const secret = process.env.ACRE_WEBHOOK_SECRET;
+  if (!secret) {
+    return { ok: false, reason: 'not_configured' };
+  }
+
+  const lowerHeaders = Object.fromEntries(
+    Object.entries(headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  const signatureHeader = (process.env.ACRE_WEBHOOK_SIGNATURE_HEADER || DEFAULT_SIGNATURE_HEADER).toLowerCase();
+  const signature = lowerHeaders[signatureHeader];
+
+  if (signature) {
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    const presented = String(signature).trim().replace(/^sha256=/i, '').toLowerCase();
+    return safeEqual(presented, expected) ? { ok: true } : { ok: false, reason: 'bad_signature' };
+  }
+
+  if (lowerHeaders[SECRET_HEADER]) {
+    return safeEqual(lowerHeaders[SECRET_HEADER], secret) ? { ok: true } : { ok: false, reason: 'bad_secret' };
+  }
+
+  return { ok: false, reason: 'missing_signature' };
+}
+
+/**
+ * Event id from the payload, the `X-Acre-Event-Id` header, or a hash of the body
+ */
+function eventIdFor(payload, headers, rawBody) {
+  const headerId = Object.entries(headers || {})
+    .find(([name]) => name.toLowerCase() === 'x-acre-event-id')?.[1];
+  const id = payload?.id || payload?.event_id || headerId
+    || crypto.createHash('sha256').update(rawBody).digest('hex');
+
+  return String(id).replace(/[^A-Za-z0-9_.-]/g, '_').slice(0, 128);
+}
+
+/**
+ * Store a new event. Returns false if an event with this id was already received.
+ */
+async function claimEvent(record) {
+  return getWebhookStore().setIfMatch(`events/${record.id}`, JSON.stringify(record), {
+    etag: null,
+    metadata: { type: record.type, received_at: record.received_at }
+  });
+}
+
+/**
+ * Drop a claimed event so the next delivery of its id is processed again.
+ * Used when processing fails after the claim, so Acre's retry isn't ignored
+ * as a duplicate.
+ */
+async function releaseEvent(record) {
+  await getWebhookStore().delete(`events/${record.id}`);
+}
+
+/**
+ * Save an event record after its deliveries were updated
+ */
+async function saveEvent(record) {
+  await getWebhookStore().setJSON(`events/${record.id}`, record, {
+    metadata: { type: record.type, received_at: record.received_at }
+  });
+}
+
+async function readEvent(eventId) {
+  return getWebhookStore().get(`events/${eventId}`, { type: 'json' });
+}
+
+/**
+ * POST the event to one target, retrying with backoff.
+ * Returns { target, status: 'delivered' | 'failed', attempts, response_status, error }.
+ */
+async function deliver(record, url) {
+  const maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+  let lastError = null;
+  let responseStatus = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (attempt > 1) {
+      await sleep(BACKOFF_BASE_MS * 2 ** (attempt - 2));
+    }
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Acre-Event-Id': record.id,
+          'X-Acre-Event-Type': record.type || ''
+        },
+        body: JSON.stringify(record.payload),
+        signal: AbortSignal.timeout(ATTEMPT_TIMEOUT_MS)
+      });
+
+      responseStatus = response.status;
+      if (response.ok) {
+        return { target: targetId(url), status: 'delivered', attempts: attempt, response_status: responseStatus, error: null };
+      }
+
+      lastError = `HTTP ${response.status}`;
+    } catch (deliveryError) {
+      lastError = deliveryError.message;
+    }
+
+    log.warn('Webhook delivery attempt failed', { event: record.id, target: targetId(url), attempt, error: lastError });
+  }
+
+  return { target: targetId(url), status: 'failed', attempts: maxAttempts, response_status: responseStatus, error: lastError };
+}
+
+/**
+ * Forward an event to the given targets (all of them by default), recording
+ * the results on the event and dead-lettering failures
+ */
+async function fanOut(record, urls = webhookTargets()) {
+  const results = await Promise.all(urls.map(url => deliver(record, url)));
+  const store = getWebhookStore();
+
+  for (const result of results) {
+    const deadLetterKey = `dead-letter/${record.id}/${result.target}`;
+
+    if (result.status === 'failed') {
+      const existing = await store.get(deadLetterKey, { type: 'json' });
+      await store.setJSON(deadLetterKey, {
+        event_id: record.id,
+        event_type: record.type,
+        target: result.target,
+        attempts: (existing?.attempts || 0) + result.attempts,
+        last_error: result.error,
+        first_failed_at: existing?.first_failed_at || new Date().toISOString(),
+        last_failed_at: new Date().toISOString()
+      });
+    } else {
+      await store.delete(deadLetterKey);
+    }
+
+    record.deliveries = {
+      ...record.deliveries,
+      [result.target]: {
+        status: result.status,
+        attempts: result.attempts,
+        response_status: result.response_status,
+        error: result.error,
+        at: new Date().toISOString()
+      }
+    };
+  }
+
+  await saveEvent(record);
+  return results;
+}
+
+/**
+ * Every dead-lettered delivery, oldest first
+ */
+async function listDeadLetters() {
+  const store = getWebhookStore();
+  const { blobs } = await store.list({ prefix: 'dead-letter/' });
+  const entries = await Promise.all(blobs.map(blob => store.get(blob.key, { type: 'json' })));
+
+  // Entries written before URLs were kept out of storage still carry one
+  return entries
+    .filter(Boolean)
+    .map(({ url, ...entry }) => entry)
+    .sort((a, b) => a.first_failed_at.localeCompare(b.first_failed_at));
+}
+
+/**
+ * Re-deliver dead-lettered events (all of them, or just one event id).
+ * Entries that succeed are removed from the dead-letter list; entries whose
+ * target is no longer in N8N_WEBHOOK_URLS are reported and kept.
+ */
+async function replayDeadLetters(eventId) {
+  const entries = (await listDeadLetters()).filter(entry => !eventId || entry.event_id === eventId);
+  const urlsByTarget = new Map(webhookTargets().map(url => [targetId(url), url]));
+  const byEvent = new Map();
+
+  for (const entry of entries) {
+    byEvent.set(entry.event_id, [...(byEvent.get(entry.event_id) || []), entry.target]);
+  }
+
+  const replayed = [];
+  for (const [id, targets] of byEvent) {
+    const record = await readEvent(id);
+    if (!record) {
+      replayed.push({ event_id: id, status: 'missing_event' });
+      continue;
+    }
+
+    for (const target of targets.filter(target => !urlsByTarget.has(target))) {
+      replayed.push({ event_id: id, target, status: 'target_not_configured' });
+    }
+
+    const urls = targets.filter(target => urlsByTarget.has(target)).map(target => urlsByTarget.get(target));
+    for (const result of await fanOut(record, urls)) {
+      replayed.push({ event_id: id, ...result });
+    }
+  }
+
+  return replayed;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  webhookTargets,
+  verifyWebhook,
+  eventIdFor,
+  claimEvent,
+  releaseEvent,
+  readEvent,
+  fanOut,
+  listDeadLetters,
+  replayDeadLetters
+};
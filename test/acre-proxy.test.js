@@ -0,0 +1,72 @@
+/**
+ * Acre API proxy: token injection, refresh on 401 and the upstream timeout
+ *
+ * The mock provider stands in for both the Acre OAuth server and the API.
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockAcre } = require('../mock/acre-provider');
+const { useTestEnv, storeTokens } = require('./helpers');
+
+useTestEnv({
+  ACRE_PROXY_TIMEOUT_MS: '300'
+});
+
+const { resetMemoryStorage } = require('../netlify/lib/storage/memory');
+const { readTokens, clearTokenCache } = require('../netlify/lib/token-store');
+const acreProxy = require('../netlify/functions/acre-proxy');
+
+const mock = createMockAcre();
+
+before(async () => {
+  process.env.ACRE_OAUTH_BASE_URL = await mock.listen();
+  process.env.ACRE_API_BASE = `${process.env.ACRE_OAUTH_BASE_URL}/v1/acre`;
+});
+
+after(() => mock.close());
+
+beforeEach(() => {
+  resetMemoryStorage();
+  clearTokenCache();
+  mock.apiDelayMs = 0;
+});
+
+async function proxy(path, rawQuery = '') {
+  const response = await acreProxy.handler({
+    httpMethod: 'GET',
+    path,
+    rawQuery,
+    headers: { authorization: `Bearer ${process.env.AUTH_SECRET}`, accept: 'application/json' }
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+test('requests are forwarded with the stored token and API key', async () => {
+  await storeTokens();
+
+  const { statusCode, body } = await proxy('/acre/case', 'page_size=10');
+  assert.equal(statusCode, 200);
+  assert.equal(body.path, '/v1/acre/case');
+  assert.deepEqual(body.query, { page_size: '10' });
+});
+
+test('an Acre 401 refreshes the token and retries once', async () => {
+  const stored = await storeTokens();
+  mock.expireAccessTokens();
+
+  const { statusCode } = await proxy('/acre/case');
+  assert.equal(statusCode, 200);
+  assert.notEqual((await readTokens('default')).access_token, stored.access_token);
+});
+
+test('a hung Acre call answers 504 within the proxy timeout', async () => {
+  await storeTokens();
+  mock.apiDelayMs = 1000;
+
+  const started = Date.now();
+  const { statusCode, body } = await proxy('/acre/case');
+  assert.equal(statusCode, 504);
+  assert.equal(body.error, 'Upstream Timeout');
+  assert.ok(Date.now() - started < 1000, `took ${Date.now() - started}ms`);
+});
@@ -0,0 +1,89 @@
+/**
+ * Admin dashboard: Basic auth, the actions' form token and clearing tokens
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv({
+  ADMIN_PASSWORD: 'test-admin-password'
+});
+
+const { resetMemoryStorage } = require('../netlify/lib/storage/memory');
+const { writeTokens, readTokens, readStatus, listTokenVersions, clearTokenCache } = require('../netlify/lib/token-store');
+const { queryAuditEvents } = require('../netlify/lib/audit');
+const admin = require('../netlify/functions/admin');
+const tokenHistory = require('../netlify/functions/token-history');
+
+const BASIC = `Basic ${Buffer.from(`admin:${process.env.ADMIN_PASSWORD}`).toString('base64')}`;
+const CSRF = crypto.createHmac('sha256', process.env.ADMIN_PASSWORD).update('admin-actions').digest('hex');
+
+beforeEach(() => {
+  resetMemoryStorage();
+  clearTokenCache();
+});
+
+function record(accessToken) {
+  return {
+    access_token: accessToken,
+    refresh_token: `rt-${accessToken}`,
+    expires_at: new Date(Date.now() + 3600 * 1000).toISOString(),
+    created_at: new Date().toISOString()
+  };
+}
+
+async function action(fields, authorization = BASIC) {
+  const response = await admin.handler({
+    httpMethod: 'POST',
+    headers: { authorization },
+    body: new URLSearchParams({ csrf: CSRF, ...fields }).toString()
+  });
+  const location = response.headers.Location;
+  return { statusCode: response.statusCode, message: location && new URL(location, 'https://x.test').searchParams.get('message') };
+}
+
+test('the dashboard needs the admin password and never shows token values', async () => {
+  await writeTokens('smith', record('secret-access-token'), undefined, { reason: 'login' });
+
+  const anonymous = await admin.handler({ httpMethod: 'GET', headers: {}, queryStringParameters: {} });
+  assert.equal(anonymous.statusCode, 401);
+
+  const dashboard = await admin.handler({ httpMethod: 'GET', headers: { authorization: BASIC }, queryStringParameters: {} });
+  assert.equal(dashboard.statusCode, 200);
+  assert.match(dashboard.body, /smith/);
+  assert.doesNotMatch(dashboard.body, /secret-access-token/);
+});
+
+test('actions without the form token are rejected', async () => {
+  await writeTokens('smith', record('a1'));
+
+  const { statusCode, message } = await action({ csrf: 'forged', connection: 'smith', action: 'clear' });
+  assert.equal(statusCode, 303);
+  assert.equal(message, 'Action rejected: invalid form token');
+  assert.ok(await readTokens('smith'));
+});
+
+test('clearing tokens is audited and keeps the history for a rollback', async () => {
+  await writeTokens('smith', record('a1'), undefined, { reason: 'login' });
+  await writeTokens('smith', record('a2'), undefined, { reason: 'refresh' });
+
+  const { message } = await action({ connection: 'smith', action: 'clear' });
+  assert.equal(message, 'Cleared tokens for "smith"');
+  assert.equal(await readTokens('smith'), null);
+  assert.equal((await readStatus('smith')).needs_reauth, true);
+  assert.equal((await listTokenVersions('smith')).length, 2);
+
+  const { events } = await queryAuditEvents({ types: ['tokens_cleared'] });
+  assert.equal(events.length, 1);
+  assert.equal(events[0].connection, 'smith');
+
+  const rollback = await tokenHistory.handler({
+    httpMethod: 'POST',
+    headers: { authorization: `Bearer ${process.env.AUTH_SECRET}` },
+    queryStringParameters: { connection: 'smith', action: 'rollback', version: '2' }
+  });
+  assert.equal(rollback.statusCode, 200);
+  assert.equal((await readTokens('smith')).access_token, 'a2');
+});
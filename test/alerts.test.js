@@ -0,0 +1,225 @@
+/**
+ * Outbound alerts: channels, conditions and suppression
+ *
+ * A local HTTP server stands in for the generic and Slack webhooks, a tiny
+ * SMTP server for email, and the mock provider for Acre.
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const { createMockAcre } = require('../mock/acre-provider');
+const { useTestEnv, storeExpiredTokens } = require('./helpers');
+
+useTestEnv({
+  URL: 'https://acre-test.netlify.app',
+  ALERT_EMAIL_FROM: 'alerts@example.com',
+  ALERT_EMAIL_TO: 'ops@example.com'
+});
+
+// Fails the next `failTokenWrites` writes of a token record, like a Blobs outage
+const memory = require('../netlify/lib/storage/memory');
+let failTokenWrites = 0;
+const { createMemoryStorage } = memory;
+memory.createMemoryStorage = name => {
+  const store = createMemoryStorage(name);
+  if (name !== 'acre-tokens') {
+    return store;
+  }
+  return {
+    ...store,
+    set: async (key, ...args) => {
+      if (failTokenWrites > 0 && key.startsWith('tokens')) {
+        failTokenWrites--;
+        throw new Error('Blobs unavailable');
+      }
+      return store.set(key, ...args);
+    }
+  };
+};
+
+const { resetMemoryStorage } = require('../netlify/lib/storage/memory');
+const { writeTokens, readTokens, readStatus, updateStatus } = require('../netlify/lib/token-store');
+const { refreshConnection } = require('../netlify/lib/refresh');
+const { sendAlert, resolveAlerts } = require('../netlify/lib/alerts');
+const getToken = require('../netlify/functions/get-token');
+const scheduledRefresh = require('../netlify/functions/scheduled-refresh');
+
+const mock = createMockAcre();
+
+// Alert webhooks: records every POST by path; /hang never answers
+const posted = [];
+const hooks = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    posted.push({ path: req.url, body: JSON.parse(body) });
+    if (req.url === '/hang') {
+      return;
+    }
+    res.writeHead(200);
+    res.end();
+  });
+});
+
+// Minimal SMTP server: accepts everything, records the DATA section
+// (quoted-printable soft line breaks and escapes decoded)
+const emails = [];
+const smtp = net.createServer(socket => {
+  let inData = false;
+  let data = '';
+  socket.write('220 test ESMTP\r\n');
+  socket.on('data', chunk => {
+    for (const line of chunk.toString().split('\r\n').slice(0, -1)) {
+      if (inData) {
+        if (line === '.') {
+          inData = false;
+          emails.push(data.replace(/=\n/g, '').replace(/=([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))));
+          socket.write('250 queued\r\n');
+        } else {
+          data += `${line}\n`;
+        }
+      } else if (/^EHLO/.test(line)) {
+        socket.write('250-test\r\n250 AUTH PLAIN\r\n');
+      } else if (/^DATA/.test(line)) {
+        inData = true;
+        data = '';
+        socket.write('354 go ahead\r\n');
+      } else if (/^QUIT/.test(line)) {
+        socket.end('221 bye\r\n');
+      } else {
+        socket.write('250 ok\r\n');
+      }
+    }
+  });
+});
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+before(async () => {
+  process.env.ACRE_OAUTH_BASE_URL = await mock.listen();
+  const hooksPort = await listen(hooks);
+  process.env.ALERT_WEBHOOK_URL = `http://127.0.0.1:${hooksPort}/generic`;
+  process.env.ALERT_SLACK_WEBHOOK_URL = `http://127.0.0.1:${hooksPort}/slack`;
+  process.env.ALERT_SMTP_URL = `smtp://127.0.0.1:${await listen(smtp)}?starttls=false`;
+});
+
+after(async () => {
+  await mock.close();
+  hooks.closeAllConnections();
+  await new Promise(resolve => hooks.close(resolve));
+  await new Promise(resolve => smtp.close(resolve));
+});
+
+beforeEach(() => {
+  resetMemoryStorage();
+  posted.length = 0;
+  emails.length = 0;
+  failTokenWrites = 0;
+});
+
+test('a failed refresh alerts every channel with an auth-start link', async () => {
+  const record = await storeExpiredTokens();
+  mock.failNext('server_error', 3);
+
+  await assert.rejects(refreshConnection('default', record));
+
+  const generic = posted.find(post => post.path === '/generic').body;
+  assert.equal(generic.alert, 'refresh_failed');
+  assert.equal(generic.auth_start_url, 'https://acre-test.netlify.app/auth-start?connection=default');
+
+  const slack = posted.find(post => post.path === '/slack').body;
+  assert.match(slack.text, /<https:\/\/acre-test\.netlify\.app\/auth-start\?connection=default\|/);
+
+  assert.equal(emails.length, 1);
+  assert.match(emails[0], /Subject: \[Acre OAuth\] Token refresh failed: default/);
+  assert.match(emails[0], /Re-authenticate: https:\/\/acre-test\.netlify\.app\/auth-start\?connection=default/);
+});
+
+test('repeated alerts are suppressed until the connection recovers', async () => {
+  const alert = { connection: 'default', message: 'Token refresh failed' };
+
+  assert.equal((await sendAlert('refresh_failed', alert)).sent, true);
+  assert.equal((await sendAlert('refresh_failed', alert)).reason, 'suppressed');
+  assert.equal((await sendAlert('reauth_required', alert)).sent, true);
+
+  await resolveAlerts('default');
+  assert.equal((await sendAlert('refresh_failed', alert)).sent, true);
+  assert.equal(posted.filter(post => post.path === '/generic').length, 3);
+});
+
+test('invalid_grant sends a re-authentication alert', async () => {
+  const record = await storeExpiredTokens();
+  mock.invalidateRefreshTokens();
+
+  await assert.rejects(refreshConnection('default', record));
+  assert.equal(posted.find(post => post.path === '/generic').body.alert, 'reauth_required');
+});
+
+test('asking for a connection without tokens alerts', async () => {
+  const response = await getToken.handler({
+    httpMethod: 'GET',
+    headers: { authorization: `Bearer ${process.env.AUTH_SECRET}` },
+    queryStringParameters: { connection: 'smith' }
+  });
+
+  assert.equal(response.statusCode, 404);
+  const generic = posted.find(post => post.path === '/generic').body;
+  assert.equal(generic.alert, 'tokens_missing');
+  assert.equal(generic.auth_start_url, 'https://acre-test.netlify.app/auth-start?connection=smith');
+});
+
+test('the background refresh alerts on old refresh tokens', async () => {
+  const record = await storeExpiredTokens();
+  await writeTokens('default', {
+    ...record,
+    expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+    refresh_token_issued_at: new Date(Date.now() - 45 * 24 * 60 * 60 * 1000).toISOString()
+  });
+  await updateStatus('default', { needs_reauth: false });
+
+  await scheduledRefresh.handler({});
+  assert.equal(posted.find(post => post.path === '/generic').body.alert, 'refresh_token_old');
+});
+
+test('a channel that never answers does not hold up the caller', async () => {
+  const genericUrl = process.env.ALERT_WEBHOOK_URL;
+  process.env.ALERT_WEBHOOK_URL = genericUrl.replace('/generic', '/hang');
+
+  try {
+    const started = Date.now();
+    const alert = { connection: 'default', message: 'Token refresh failed' };
+    await sendAlert('refresh_failed', alert);
+
+    assert.ok(Date.now() - started < 3000, `took ${Date.now() - started}ms`);
+    assert.ok(posted.some(post => post.path === '/slack'));
+    assert.equal((await sendAlert('refresh_failed', alert)).reason, 'suppressed');
+  } finally {
+    process.env.ALERT_WEBHOOK_URL = genericUrl;
+  }
+});
+
+test('storing rotated tokens is retried before the lease is given up', async () => {
+  const record = await storeExpiredTokens();
+  failTokenWrites = 2;
+
+  const { tokenStorage } = await refreshConnection('default', record);
+  assert.notEqual(tokenStorage.refresh_token, record.refresh_token);
+  assert.equal((await readTokens('default')).refresh_token, tokenStorage.refresh_token);
+  assert.equal(posted.length, 0);
+});
+
+test('rotated tokens that cannot be stored ask for a new login', async () => {
+  const record = await storeExpiredTokens();
+  failTokenWrites = 3;
+
+  await assert.rejects(refreshConnection('default', record), { code: 'reauth_required' });
+  assert.equal((await readStatus('default')).needs_reauth, true);
+
+  const generic = posted.find(post => post.path === '/generic').body;
+  assert.equal(generic.alert, 'reauth_required');
+  assert.match(generic.message, /new tokens could not be stored/);
+});
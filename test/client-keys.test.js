@@ -0,0 +1,110 @@
+/**
+ * Client key grants: validated scopes and connections, no wider than the issuer
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv();
+
+// Serves the next read of a client key record from an earlier snapshot, like
+// an eventually consistent Blobs read that hasn't seen the latest write yet
+const memory = require('../netlify/lib/storage/memory');
+let staleRecord = null;
+const { createMemoryStorage } = memory;
+memory.createMemoryStorage = name => {
+  const store = createMemoryStorage(name);
+  if (name !== 'acre-client-keys') {
+    return store;
+  }
+  return {
+    ...store,
+    get: async (key, options) => {
+      if (staleRecord && key === staleRecord.id) {
+        const stale = staleRecord;
+        staleRecord = null;
+        return stale;
+      }
+      return store.get(key, options);
+    }
+  };
+};
+
+const { resetMemoryStorage } = require('../netlify/lib/storage/memory');
+const { getStorage } = require('../netlify/lib/storage');
+const { issueClientKey, revokeClientKey, verifyClientKey, listClientKeys } = require('../netlify/lib/client-keys');
+const { authenticate } = require('../netlify/lib/auth');
+const clientKeys = require('../netlify/functions/client-keys');
+
+beforeEach(() => {
+  resetMemoryStorage();
+  staleRecord = null;
+});
+
+async function issue(body, secret = process.env.AUTH_SECRET) {
+  const response = await clientKeys.handler({
+    httpMethod: 'POST',
+    headers: { authorization: `Bearer ${secret}` },
+    body: JSON.stringify(body)
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+test('scopes and connections must be arrays of known scopes and valid ids', async () => {
+  const stringConnections = await issue({ label: 'n8n', connections: 'smith-advisers' });
+  assert.equal(stringConnections.statusCode, 400);
+  assert.match(stringConnections.body.message, /connections must be an array/);
+
+  const stringScopes = await issue({ label: 'n8n', scopes: 'token' });
+  assert.equal(stringScopes.statusCode, 400);
+  assert.match(stringScopes.body.message, /scopes must be an array/);
+
+  assert.equal((await issue({ label: 'n8n', connections: ['../smith'] })).statusCode, 400);
+  assert.equal((await issue({ label: 'n8n', scopes: ['everything'] })).statusCode, 400);
+
+  const issued = await issue({ label: 'n8n', connections: ['smith-advisers'] });
+  assert.equal(issued.statusCode, 201);
+  assert.deepEqual(issued.body.connections, ['smith-advisers']);
+  assert.deepEqual(issued.body.scopes, ['token']);
+
+  // A connection whose id is a substring of the allowed one stays off limits
+  const event = { headers: { authorization: `Bearer ${issued.body.key}` } };
+  assert.ok((await authenticate(event, { scope: 'token', connectionId: 'smith-advisers' })).principal);
+  assert.equal((await authenticate(event, { scope: 'token', connectionId: 'smith' })).error.statusCode, 403);
+});
+
+test('a key cannot issue keys with more access than it has', async () => {
+  const { key: limitedAdmin } = await issueClientKey({ label: 'smith admin', scopes: ['admin'], connections: ['smith'] });
+
+  const everything = await issue({ label: 'wide', connections: ['*'] }, limitedAdmin);
+  assert.equal(everything.statusCode, 403);
+
+  const defaulted = await issue({ label: 'wide' }, limitedAdmin);
+  assert.equal(defaulted.statusCode, 403);
+
+  const other = await issue({ label: 'jones', connections: ['smith', 'jones'] }, limitedAdmin);
+  assert.equal(other.statusCode, 403);
+  assert.match(other.body.message, /jones/);
+
+  const narrow = await issue({ label: 'smith n8n', scopes: ['token', 'proxy'], connections: ['smith'] }, limitedAdmin);
+  assert.equal(narrow.statusCode, 201);
+  assert.deepEqual(narrow.body.connections, ['smith']);
+});
+
+test('using a key while it is revoked never un-revokes it', async () => {
+  const { key, record } = await issueClientKey({ label: 'n8n' });
+  const store = getStorage('acre-client-keys');
+  const beforeRevoke = await store.get(record.id, { type: 'json' });
+
+  await revokeClientKey(record.id);
+  staleRecord = beforeRevoke;
+  assert.ok(await verifyClientKey(key));
+
+  assert.ok((await store.get(record.id, { type: 'json' })).revoked_at);
+  assert.equal(await verifyClientKey(key), null);
+
+  const [listed] = await listClientKeys();
+  assert.ok(listed.revoked_at);
+  assert.ok(listed.last_used_at);
+});
@@ -0,0 +1,65 @@
+/**
+ * Disconnect: revocation at Acre, token deletion and the disconnected status
+ *
+ * The mock provider stands in for Acre.
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockAcre } = require('../mock/acre-provider');
+const { useTestEnv, storeTokens } = require('./helpers');
+
+useTestEnv({
+  URL: 'https://acre-test.netlify.app'
+});
+
+const { resetMemoryStorage } = require('../netlify/lib/storage/memory');
+const { readTokens, clearTokenCache } = require('../netlify/lib/token-store');
+const disconnect = require('../netlify/functions/disconnect');
+const getToken = require('../netlify/functions/get-token');
+
+const mock = createMockAcre();
+const admin = { authorization: `Bearer ${process.env.AUTH_SECRET}` };
+
+before(async () => {
+  process.env.ACRE_OAUTH_BASE_URL = await mock.listen();
+});
+
+after(() => mock.close());
+
+beforeEach(() => {
+  resetMemoryStorage();
+  clearTokenCache();
+});
+
+async function call(query, headers = admin) {
+  const response = await disconnect.handler({ httpMethod: 'POST', headers, queryStringParameters: query });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+test('revokes both tokens at Acre, deletes them and reports the connection as disconnected', async () => {
+  const stored = await storeTokens('smith-advisers');
+
+  const { statusCode, body } = await call({ connection: 'smith-advisers' });
+  assert.equal(statusCode, 200);
+  assert.deepEqual(body.revocation, { refresh_token: 'revoked', access_token: 'revoked' });
+  assert.equal(body.action, 'Visit https://acre-test.netlify.app/auth-start?connection=smith-advisers to connect again');
+  assert.equal(mock.isAccessTokenValid(stored.access_token), false);
+  assert.equal(await readTokens('smith-advisers'), null);
+
+  const afterwards = await getToken.handler({
+    httpMethod: 'GET',
+    headers: admin,
+    queryStringParameters: { connection: 'smith-advisers' }
+  });
+  assert.equal(afterwards.statusCode, 410);
+});
+
+test('needs an admin credential and a stored connection', async () => {
+  await storeTokens('default');
+
+  assert.equal((await call({ connection: 'default' }, {})).statusCode, 401);
+  assert.equal((await call({ connection: 'jones' })).statusCode, 404);
+  assert.equal((await call({ connection: 'default', profile: 'staging' })).statusCode, 400);
+  assert.ok(await readTokens('default'));
+});
@@ -0,0 +1,105 @@
+/**
+ * /health: liveness, detailed checks and the upstream probe
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockAcre } = require('../mock/acre-provider');
+const { useTestEnv, storeTokens } = require('./helpers');
+
+useTestEnv({
+  ACRE_SCOPE: 'read write'
+});
+
+const { resetMemoryStorage } = require('../netlify/lib/storage/memory');
+const { writeTokens, updateStatus } = require('../netlify/lib/token-store');
+const health = require('../netlify/functions/health');
+
+const mock = createMockAcre();
+
+before(async () => {
+  const url = await mock.listen();
+  process.env.ACRE_OAUTH_BASE_URL = url;
+  process.env.ACRE_API_BASE = `${url}/v1/acre`;
+});
+
+after(() => mock.close());
+
+beforeEach(() => {
+  resetMemoryStorage();
+});
+
+async function check(query = {}, secret = process.env.AUTH_SECRET) {
+  const response = await health.handler({
+    httpMethod: 'GET',
+    headers: secret ? { authorization: `Bearer ${secret}` } : {},
+    queryStringParameters: query
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+test('liveness needs no auth and reveals nothing', async () => {
+  const { statusCode, body } = await check({}, null);
+  assert.equal(statusCode, 200);
+  assert.equal(body.status, 'pass');
+  assert.equal(body.checks, undefined);
+
+  assert.equal((await check({ detail: '1' }, 'wrong')).statusCode, 401);
+});
+
+test('detailed mode reports each check, passing with a fresh token', async () => {
+  await storeTokens('default');
+
+  const { statusCode, body } = await check({ detail: '1', probe: '1' });
+  assert.equal(statusCode, 200);
+  assert.equal(body.status, 'pass');
+  assert.deepEqual(body.checks.config, { status: 'pass', missing: [] });
+  assert.equal(body.checks.storage.status, 'pass');
+  assert.equal(body.checks.storage.backend, 'memory');
+  assert.equal(body.checks.token.exists, true);
+  assert.ok(body.checks.token.expires_in_seconds > 3500);
+  assert.equal(body.checks.upstream.status, 'pass');
+  assert.equal(body.checks.upstream.http_status, 200);
+});
+
+test('missing variables and tokens fail with 503', async () => {
+  const scope = process.env.ACRE_SCOPE;
+  delete process.env.ACRE_SCOPE;
+
+  try {
+    const { statusCode, body } = await check({ detail: 'true', connection: 'smith' });
+    assert.equal(statusCode, 503);
+    assert.equal(body.status, 'fail');
+    assert.deepEqual(body.checks.config.missing, ['ACRE_SCOPE']);
+    assert.equal(body.checks.token.exists, false);
+    assert.equal(body.checks.upstream, undefined);
+  } finally {
+    process.env.ACRE_SCOPE = scope;
+  }
+});
+
+test('expiring tokens warn, rejected logins and dead tokens fail', async () => {
+  await storeTokens('smith', { expiresInMs: 60 * 1000 });
+
+  const expiring = await check({ detail: '1', connection: 'smith' });
+  assert.equal(expiring.statusCode, 200);
+  assert.equal(expiring.body.status, 'warn');
+  assert.equal(expiring.body.checks.token.status, 'warn');
+
+  await writeTokens('jones', {
+    access_token: 'not-a-real-token',
+    refresh_token: 'rt',
+    expires_at: new Date(Date.now() + 3600 * 1000).toISOString(),
+    created_at: new Date().toISOString()
+  });
+
+  const rejected = await check({ detail: '1', connection: 'jones', probe: '1' });
+  assert.equal(rejected.statusCode, 503);
+  assert.equal(rejected.body.checks.token.status, 'pass');
+  assert.equal(rejected.body.checks.upstream.http_status, 401);
+
+  await updateStatus('jones', { needs_reauth: true });
+  const reauth = await check({ detail: '1', connection: 'jones' });
+  assert.equal(reauth.body.checks.token.status, 'fail');
+  assert.equal(reauth.body.checks.token.needs_reauth, true);
+});
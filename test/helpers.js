@@ -0,0 +1,84 @@
+/**
+ * Shared Test Setup
+ *
+ * Require this before anything under netlify/ and call useTestEnv() straight
+ * away - several modules read their configuration when they are first loaded:
+ *
+ *   const { useTestEnv, storeTokens } = require('./helpers');
+ *
+ *   useTestEnv({ URL: 'https://acre-test.netlify.app' });
+ *
+ * storeTokens() logs in against a running mock provider (mock/acre-provider.js,
+ * listening at ACRE_OAUTH_BASE_URL) and stores the tokens it issued. It only
+ * loads token-store.js when called, so a test can still wrap the memory
+ * storage before the functions are required.
+ */
+
+const TEST_ENCRYPTION_KEYS = `test:${Buffer.alloc(32, 7).toString('base64')}`;
+
+// Matches the credentials createMockAcre() accepts by default
+const TEST_ENV = {
+  STORAGE_BACKEND: 'memory',
+  ACRE_CLIENT_ID: 'mock-client',
+  ACRE_CLIENT_SECRET: 'mock-secret',
+  ACRE_API_KEY: 'mock-api-key',
+  AUTH_SECRET: 'test-auth-secret',
+  TOKEN_ENCRYPTION_KEYS: TEST_ENCRYPTION_KEYS
+};
+
+/**
+ * Set the environment every test file shares, plus the file's own settings,
+ * and keep the functions' progress logs out of the test reporter's output
+ */
+function useTestEnv(overrides = {}) {
+  Object.assign(process.env, TEST_ENV, overrides);
+  console.log = () => {};
+  console.error = () => {};
+}
+
+/**
+ * Log in against the mock provider and store the tokens it issued, expiring
+ * `expiresInMs` from now (default an hour)
+ */
+async function storeTokens(connection = 'default', { expiresInMs = 3600 * 1000, profile } = {}) {
+  const { writeTokens } = require('../netlify/lib/token-store');
+  const base = process.env.ACRE_OAUTH_BASE_URL;
+
+  const form = new URLSearchParams({ response_type: 'code', client_id: TEST_ENV.ACRE_CLIENT_ID, redirect_uri: 'https://x.test/cb' });
+  const authorize = await fetch(`${base}/oauth2/auth?${form}`, { redirect: 'manual' });
+  const code = new URL(authorize.headers.get('location')).searchParams.get('code');
+
+  const tokens = await (await fetch(`${base}/oauth2/token`, {
+    method: 'POST',
+    headers: { 'X-API-KEY': TEST_ENV.ACRE_API_KEY, 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      client_id: TEST_ENV.ACRE_CLIENT_ID,
+      client_secret: TEST_ENV.ACRE_CLIENT_SECRET,
+      redirect_uri: 'https://x.test/cb'
+    }).toString()
+  })).json();
+
+  const record = {
+    access_token: tokens.access_token,
+    refresh_token: tokens.refresh_token,
+    expires_at: new Date(Date.now() + expiresInMs).toISOString(),
+    created_at: new Date().toISOString()
+  };
+  await writeTokens(connection, record, profile);
+  return record;
+}
+
+/**
+ * Store a token record that has already expired, with a refresh token the mock knows about
+ */
+function storeExpiredTokens(connection = 'default', options = {}) {
+  return storeTokens(connection, { ...options, expiresInMs: -1000 });
+}
+
+module.exports = {
+  useTestEnv,
+  storeTokens,
+  storeExpiredTokens
+};
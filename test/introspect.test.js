@@ -0,0 +1,153 @@
+/**
+ * /introspect: JWT decoding, JWKS verification and the scope check
+ */
+
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv({
+  ACRE_SCOPE: 'read write admin'
+});
+
+const { resetMemoryStorage } = require('../netlify/lib/storage/memory');
+const { writeTokens } = require('../netlify/lib/token-store');
+const introspect = require('../netlify/functions/introspect');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+let tmpDir;
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'acre-jwks-'));
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'k1', alg: 'RS256', use: 'sig' };
+  fs.writeFileSync(path.join(tmpDir, 'jwks.json'), JSON.stringify({ keys: [jwk] }));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  resetMemoryStorage();
+});
+
+afterEach(() => {
+  delete process.env.ACRE_JWKS_URL;
+});
+
+function signJwt(payload, key = privateKey) {
+  const header = Buffer.from(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: 'k1' })).toString('base64url');
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${body}`), key).toString('base64url');
+  return `${header}.${body}.${signature}`;
+}
+
+function claims(overrides = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return { sub: 'user-123', iss: 'https://oauth.acre.test/', org_id: 'org-9', scope: 'read write', iat: now, exp: now + 3600, ...overrides };
+}
+
+async function store(accessToken, extra = {}) {
+  await writeTokens('smith', {
+    access_token: accessToken,
+    refresh_token: 'rt',
+    expires_at: new Date(Date.now() + 3600 * 1000).toISOString(),
+    created_at: new Date().toISOString(),
+    ...extra
+  });
+}
+
+async function inspect({ method = 'GET', body, secret = process.env.AUTH_SECRET } = {}) {
+  const response = await introspect.handler({
+    httpMethod: method,
+    headers: { authorization: `Bearer ${secret}` },
+    queryStringParameters: { connection: 'smith' },
+    body
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+test('decodes a stored JWT and flags scopes missing from ACRE_SCOPE', async () => {
+  await store(signJwt(claims()));
+
+  const { statusCode, body } = await inspect();
+  assert.equal(statusCode, 200);
+  assert.equal(body.active, true);
+  assert.equal(body.format, 'jwt');
+  assert.equal(body.sub, 'user-123');
+  assert.equal(body.iss, 'https://oauth.acre.test/');
+  assert.equal(body.organisation, 'org-9');
+  assert.equal(body.scope, 'read write');
+  assert.deepEqual(body.scopes.missing, ['admin']);
+  assert.equal(body.scope_mismatch, true);
+  assert.equal(body.signature.checked, false);
+  assert.equal(body.connection, 'smith');
+});
+
+test('verifies signatures against a JWKS file', async () => {
+  process.env.ACRE_JWKS_URL = path.join(tmpDir, 'jwks.json');
+  await store(signJwt(claims({ scope: 'read write admin' })));
+
+  const { body } = await inspect();
+  assert.equal(body.active, true);
+  assert.deepEqual(body.signature, { checked: true, verified: true, error: null });
+  assert.equal(body.scope_mismatch, false);
+
+  const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  await store(signJwt(claims(), otherKey));
+
+  const forged = (await inspect()).body;
+  assert.equal(forged.active, false);
+  assert.equal(forged.signature.verified, false);
+  assert.match(forged.warnings.join(' '), /Signature verification failed/);
+});
+
+test('expired JWTs are inactive', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  await store(signJwt(claims({ iat: now - 7200, exp: now - 3600 })));
+
+  const { body } = await inspect();
+  assert.equal(body.active, false);
+  assert.ok(body.warnings.includes('Token has expired'));
+});
+
+test('opaque tokens are reported from the stored record', async () => {
+  await store('opaque-token-value', { scope: 'read write admin' });
+
+  const { body } = await inspect();
+  assert.equal(body.active, true);
+  assert.equal(body.format, 'opaque');
+  assert.equal(body.claims, null);
+  assert.equal(body.scope, 'read write admin');
+  assert.equal(body.scope_mismatch, false);
+});
+
+test('POST token= inspects the presented token; credentials are required', async () => {
+  process.env.ACRE_JWKS_URL = path.join(tmpDir, 'jwks.json');
+  const { body } = await inspect({ method: 'POST', body: `token=${signJwt(claims({ sub: 'someone-else' }))}` });
+  assert.equal(body.active, true);
+  assert.equal(body.sub, 'someone-else');
+  assert.equal(body.connection, undefined);
+
+  assert.equal((await inspect({ secret: 'wrong' })).statusCode, 401);
+});
+
+test('POST token= reports unknown and unverifiable tokens as inactive', async () => {
+  await store('opaque-token-value');
+
+  const stored = await inspect({ method: 'POST', body: 'token=opaque-token-value' });
+  assert.equal(stored.body.active, true);
+  assert.equal(stored.body.format, 'opaque');
+
+  const garbage = await inspect({ method: 'POST', body: 'token=garbage-not-a-token' });
+  assert.equal(garbage.statusCode, 200);
+  assert.deepEqual(garbage.body, { active: false });
+
+  // Without a JWKS there is nothing to verify a foreign JWT against
+  const unverifiable = await inspect({ method: 'POST', body: `token=${signJwt(claims())}` });
+  assert.deepEqual(unverifiable.body, { active: false });
+});
@@ -0,0 +1,193 @@
+/**
+ * End-to-end OAuth flow against the mock Acre provider
+ *
+ * Drives /auth-start → (mock authorize) → /auth-callback → /get-token with
+ * in-memory storage, so no network or Netlify environment is needed.
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockAcre } = require('../mock/acre-provider');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv({
+  ACRE_SCOPE: 'openid offline_access',
+  NETLIFY_URL: 'https://acre.test'
+});
+
+const { resetMemoryStorage } = require('../netlify/lib/storage/memory');
+const authStart = require('../netlify/functions/auth-start');
+const authCallback = require('../netlify/functions/auth-callback');
+const getToken = require('../netlify/functions/get-token');
+
+const mock = createMockAcre({ accessTokenTtl: 3600 });
+
+before(async () => {
+  process.env.ACRE_OAUTH_BASE_URL = await mock.listen();
+});
+
+after(() => mock.close());
+
+beforeEach(() => {
+  resetMemoryStorage();
+  mock.rotateRefreshTokens = true;
+});
+
+/**
+ * Run the login flow for a connection and return the auth-callback response
+ */
+async function login(connection = 'default') {
+  const start = await authStart.handler({
+    httpMethod: 'GET',
+    headers: {},
+    queryStringParameters: { connection }
+  });
+  assert.equal(start.statusCode, 302);
+
+  // The mock auto-approves and redirects back to the callback
+  const authorize = await fetch(start.headers.Location, { redirect: 'manual' });
+  assert.equal(authorize.status, 302);
+
+  const callbackUrl = new URL(authorize.headers.get('location'));
+  const sessionCookie = start.headers['Set-Cookie'].split(';')[0];
+
+  return authCallback.handler({
+    httpMethod: 'GET',
+    headers: { cookie: sessionCookie },
+    queryStringParameters: Object.fromEntries(callbackUrl.searchParams)
+  });
+}
+
+async function requestToken(connection = 'default') {
+  const response = await getToken.handler({
+    httpMethod: 'GET',
+    headers: { authorization: `Bearer ${process.env.AUTH_SECRET}` },
+    queryStringParameters: { connection }
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+test('login stores tokens that get-token serves', async () => {
+  const callback = await login();
+  assert.equal(callback.statusCode, 200);
+
+  const { statusCode, body } = await requestToken();
+  assert.equal(statusCode, 200);
+  assert.match(body.access_token, /^mock_at_/);
+  assert.equal(body.refreshed, false);
+  assert.ok(mock.isAccessTokenValid(body.access_token));
+});
+
+test('named connections are stored separately', async () => {
+  await login('smith');
+
+  assert.equal((await requestToken('smith')).statusCode, 200);
+  assert.equal((await requestToken('default')).statusCode, 404);
+});
+
+test('get-token rejects a missing credential', async () => {
+  await login();
+
+  const response = await getToken.handler({ httpMethod: 'GET', headers: {}, queryStringParameters: {} });
+  assert.equal(response.statusCode, 401);
+});
+
+test('replaying the callback is rejected', async () => {
+  const start = await authStart.handler({ httpMethod: 'GET', headers: {}, queryStringParameters: {} });
+  const authorize = await fetch(start.headers.Location, { redirect: 'manual' });
+  const params = Object.fromEntries(new URL(authorize.headers.get('location')).searchParams);
+  const headers = { cookie: start.headers['Set-Cookie'].split(';')[0] };
+
+  assert.equal((await authCallback.handler({ httpMethod: 'GET', headers, queryStringParameters: params })).statusCode, 200);
+  assert.equal((await authCallback.handler({ httpMethod: 'GET', headers, queryStringParameters: params })).statusCode, 403);
+});
+
+test('expired tokens are refreshed, with refresh token rotation', async () => {
+  await login();
+  const first = (await requestToken()).body;
+
+  // Pretend the stored token is past its expiry
+  const { readTokens, writeTokens } = require('../netlify/lib/token-store');
+  const stored = await readTokens('default');
+  await writeTokens('default', { ...stored, expires_at: new Date(Date.now() - 1000).toISOString() });
+  mock.expireAccessTokens();
+
+  const { statusCode, body } = await requestToken();
+  assert.equal(statusCode, 200);
+  assert.equal(body.refreshed, true);
+  assert.notEqual(body.access_token, first.access_token);
+  assert.ok(mock.isAccessTokenValid(body.access_token));
+
+  const rotated = await readTokens('default');
+  assert.notEqual(rotated.refresh_token, stored.refresh_token);
+});
+
+test('refresh keeps the refresh token when the provider does not rotate', async () => {
+  mock.rotateRefreshTokens = false;
+  await login();
+
+  const { readTokens, writeTokens } = require('../netlify/lib/token-store');
+  const stored = await readTokens('default');
+  await writeTokens('default', { ...stored, expires_at: new Date(Date.now() - 1000).toISOString() });
+
+  assert.equal((await requestToken()).body.refreshed, true);
+  assert.equal((await readTokens('default')).refresh_token, stored.refresh_token);
+});
+
+test('invalid_grant marks the connection as needing re-authentication', async () => {
+  await login();
+
+  const { readTokens, writeTokens, readStatus } = require('../netlify/lib/token-store');
+  const stored = await readTokens('default');
+  await writeTokens('default', { ...stored, expires_at: new Date(Date.now() - 1000).toISOString() });
+  mock.invalidateRefreshTokens();
+
+  const { statusCode, body } = await requestToken();
+  assert.equal(statusCode, 409);
+  assert.equal(body.code, 'reauth_required');
+  assert.equal((await readStatus('default')).needs_reauth, true);
+});
+
+test('a provider 5xx during refresh is reported without needing re-authentication', async () => {
+  await login();
+
+  const { readTokens, writeTokens, readStatus } = require('../netlify/lib/token-store');
+  const stored = await readTokens('default');
+  await writeTokens('default', { ...stored, expires_at: new Date(Date.now() - 1000).toISOString() });
+  // Every attempt (the first call and its two retries) fails
+  mock.failNext('server_error', 3);
+
+  const { statusCode, body } = await requestToken();
+  assert.equal(statusCode, 503);
+  assert.equal(body.code, 'upstream_unavailable');
+  assert.equal((await readStatus('default')).needs_reauth, false);
+});
+
+test('a failed code exchange shows an error page and stores nothing', async () => {
+  mock.failNext('invalid_grant');
+
+  const callback = await login();
+  assert.equal(callback.statusCode, 409);
+  assert.equal((await requestToken()).statusCode, 404);
+});
+
+test('a login whose tokens cannot be stored fails instead of reporting success', async () => {
+  const keys = process.env.TOKEN_ENCRYPTION_KEYS;
+  process.env.TOKEN_ENCRYPTION_KEYS = 'broken';
+
+  let callback;
+  try {
+    callback = await login();
+  } finally {
+    process.env.TOKEN_ENCRYPTION_KEYS = keys;
+  }
+
+  assert.equal(callback.statusCode, 500);
+  assert.match(callback.body, /Token Storage Failed/);
+  assert.equal((await requestToken()).statusCode, 404);
+
+  const { queryAuditEvents } = require('../netlify/lib/audit');
+  const { events } = await queryAuditEvents({ types: ['callback_succeeded', 'callback_failed'] });
+  assert.deepEqual(events.map(auditEvent => auditEvent.type), ['callback_failed']);
+  assert.equal(events[0].details.reason, 'token_storage_failed');
+});
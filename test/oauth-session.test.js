@@ -0,0 +1,65 @@
+/**
+ * OAuth session cookies: return_to validation and single-use nonces
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv({
+  URL: 'https://acre-test.netlify.app',
+  RETURN_TO_ALLOWLIST: 'https://n8n.example.com'
+});
+
+const { resetMemoryStorage } = require('../netlify/lib/storage/memory');
+const { getTokenStore } = require('../netlify/lib/token-store');
+const { validateReturnTo, createSession, consumeNonce, pruneNonces } = require('../netlify/lib/oauth-session');
+
+beforeEach(() => {
+  resetMemoryStorage();
+});
+
+test('return_to only allows paths on this site and allowlisted https origins', () => {
+  assert.equal(validateReturnTo('/admin?profile=sandbox#top'), '/admin?profile=sandbox#top');
+  assert.equal(validateReturnTo('https://n8n.example.com/workflow/1'), 'https://n8n.example.com/workflow/1');
+
+  for (const target of [
+    '//evil.com',
+    '/\\evil.com',
+    '/\t/evil.com',
+    '/\n/evil.com',
+    ' /admin',
+    'https://evil.com/',
+    'http://n8n.example.com/',
+    'javascript:alert(1)'
+  ]) {
+    assert.equal(validateReturnTo(target), null, JSON.stringify(target));
+  }
+});
+
+test('a nonce is consumed once, even by concurrent callbacks', async () => {
+  const { session } = createSession({ connection: 'default', profile: 'production', redirectUri: 'https://x.test/cb' });
+
+  const results = await Promise.all([consumeNonce(session), consumeNonce(session)]);
+  assert.deepEqual(results.sort(), [false, true]);
+  assert.equal(await consumeNonce(session), false);
+});
+
+test('issuing sessions stores nothing, and expired consumed nonces are pruned', async () => {
+  const store = getTokenStore();
+  for (let i = 0; i < 5; i++) {
+    createSession({ connection: 'default', profile: 'production', redirectUri: 'https://x.test/cb' });
+  }
+  assert.equal((await store.list({ prefix: 'oauth-nonces/' })).blobs.length, 0);
+
+  const { session: fresh } = createSession({ connection: 'default', profile: 'production', redirectUri: 'https://x.test/cb' });
+  const { session: old } = createSession({ connection: 'default', profile: 'production', redirectUri: 'https://x.test/cb' });
+  await consumeNonce(fresh);
+  await consumeNonce({ ...old, iat: old.iat - 3600 });
+  await store.setJSON('oauth-nonces/legacy', { issued_at: new Date(Date.now() - 3600 * 1000).toISOString() });
+
+  assert.equal(await pruneNonces(), 2);
+  const { blobs } = await store.list({ prefix: 'oauth-nonces/' });
+  assert.deepEqual(blobs.map(blob => blob.key), [`oauth-nonces/${fresh.nonce}`]);
+  assert.equal(await consumeNonce(fresh), false);
+});
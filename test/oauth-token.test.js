@@ -0,0 +1,126 @@
+/**
+ * /oauth/token: client_credentials against the client key registry
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockAcre } = require('../mock/acre-provider');
+const { useTestEnv, storeTokens, storeExpiredTokens } = require('./helpers');
+
+useTestEnv();
+
+const { resetMemoryStorage } = require('../netlify/lib/storage/memory');
+const { issueClientKey, clientCredentials } = require('../netlify/lib/client-keys');
+const oauthToken = require('../netlify/functions/oauth-token');
+
+const mock = createMockAcre();
+
+before(async () => {
+  process.env.ACRE_OAUTH_BASE_URL = await mock.listen();
+});
+
+after(() => mock.close());
+
+beforeEach(() => {
+  resetMemoryStorage();
+});
+
+async function issue(options = {}) {
+  const { key } = await issueClientKey({ label: 'n8n', scopes: ['token'], ...options });
+  return { key, ...clientCredentials(key) };
+}
+
+function tokenRequest({ body = 'grant_type=client_credentials', basic, query = {}, headers = {} } = {}) {
+  return oauthToken.handler({
+    httpMethod: 'POST',
+    headers: {
+      'content-type': 'application/x-www-form-urlencoded',
+      ...(basic ? { authorization: `Basic ${Buffer.from(basic).toString('base64')}` } : {}),
+      ...headers
+    },
+    queryStringParameters: query,
+    body
+  });
+}
+
+test('client_secret_basic returns the Acre token in standard form', async () => {
+  const record = await storeTokens('smith');
+  const { client_id, client_secret } = await issue();
+
+  const response = await tokenRequest({ basic: `${client_id}:${client_secret}`, query: { connection: 'smith' } });
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.headers['Cache-Control'], 'no-store');
+  const body = JSON.parse(response.body);
+  assert.equal(body.access_token, record.access_token);
+  assert.equal(body.token_type, 'Bearer');
+  assert.ok(body.expires_in > 3500 && body.expires_in <= 3600);
+});
+
+test('client_secret_post works with the connection in the body, and refreshes', async () => {
+  const record = await storeExpiredTokens('smith');
+  const { client_id, key } = await issue({ connections: ['smith'] });
+
+  const response = await tokenRequest({
+    body: new URLSearchParams({ grant_type: 'client_credentials', client_id, client_secret: key, connection: 'smith' }).toString()
+  });
+
+  assert.equal(response.statusCode, 200);
+  const body = JSON.parse(response.body);
+  assert.notEqual(body.access_token, record.access_token);
+  assert.ok(mock.isAccessTokenValid(body.access_token));
+});
+
+test('bad credentials are invalid_client', async () => {
+  const { client_id } = await issue();
+
+  const response = await tokenRequest({ basic: `${client_id}:wrong` });
+  assert.equal(response.statusCode, 401);
+  assert.equal(JSON.parse(response.body).error, 'invalid_client');
+  assert.match(response.headers['WWW-Authenticate'], /^Basic /);
+
+  const missing = await tokenRequest();
+  assert.equal(JSON.parse(missing.body).error, 'invalid_client');
+});
+
+test('grant type, scope and connection are checked', async () => {
+  const { client_id, client_secret } = await issue({ connections: ['smith'] });
+  const basic = `${client_id}:${client_secret}`;
+
+  const password = await tokenRequest({ basic, body: 'grant_type=password&username=a&password=b' });
+  assert.equal(JSON.parse(password.body).error, 'unsupported_grant_type');
+
+  const otherConnection = await tokenRequest({ basic, query: { connection: 'jones' } });
+  assert.equal(JSON.parse(otherConnection.body).error, 'unauthorized_client');
+
+  const proxyOnly = await issue({ scopes: ['proxy'] });
+  const noScope = await tokenRequest({ basic: `${proxyOnly.client_id}:${proxyOnly.client_secret}` });
+  assert.equal(JSON.parse(noScope.body).error, 'unauthorized_client');
+});
+
+test('missing or dead logins are invalid_grant, failing refreshes temporarily_unavailable', async () => {
+  const { client_id, client_secret } = await issue();
+  const basic = `${client_id}:${client_secret}`;
+
+  const none = await tokenRequest({ basic, query: { connection: 'smith' } });
+  assert.equal(none.statusCode, 400);
+  assert.equal(JSON.parse(none.body).error, 'invalid_grant');
+  assert.match(JSON.parse(none.body).error_description, /Visit https:\/\/acre-test\.netlify\.app\/auth-start\?connection=smith$/);
+
+  await storeExpiredTokens('smith');
+  mock.failNext('server_error', 3);
+  const unavailable = await tokenRequest({ basic, query: { connection: 'smith' } });
+  assert.equal(unavailable.statusCode, 503);
+  assert.equal(JSON.parse(unavailable.body).error, 'temporarily_unavailable');
+  assert.equal(unavailable.headers['Retry-After'], '5');
+
+  await storeExpiredTokens('jones');
+  mock.invalidateRefreshTokens();
+  const rejected = await tokenRequest({ basic, query: { connection: 'jones' } });
+  assert.equal(JSON.parse(rejected.body).error, 'invalid_grant');
+  assert.match(JSON.parse(rejected.body).error_description, /auth-start\?connection=jones to log in again/);
+
+  // Marked as needing a login, so later requests don't even try to refresh
+  const again = await tokenRequest({ basic, query: { connection: 'jones' } });
+  assert.equal(JSON.parse(again.body).error, 'invalid_grant');
+});
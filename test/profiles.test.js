@@ -0,0 +1,161 @@
+/**
+ * Environment profiles: sandbox vs production and request-derived redirect URIs
+ *
+ * Two mock providers stand in for Acre production and the Acre sandbox.
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockAcre } = require('../mock/acre-provider');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv({
+  ACRE_PROFILES: 'production,sandbox',
+  ACRE_CLIENT_ID: 'prod-client',
+  ACRE_CLIENT_SECRET: 'prod-secret',
+  ACRE_API_KEY: 'prod-api-key',
+  ACRE_SANDBOX_CLIENT_ID: 'sandbox-client',
+  ACRE_SANDBOX_CLIENT_SECRET: 'sandbox-secret',
+  ACRE_SANDBOX_API_KEY: 'sandbox-api-key',
+  REDIRECT_ORIGIN_ALLOWLIST: 'https://acre-test.netlify.app,https://*--acre-test.netlify.app'
+});
+
+const { resetMemoryStorage } = require('../netlify/lib/storage/memory');
+const { resolveProfile, redirectUriFor, getProfile } = require('../netlify/lib/acre-config');
+const { checkConfig } = require('../netlify/lib/health');
+const authStart = require('../netlify/functions/auth-start');
+const authCallback = require('../netlify/functions/auth-callback');
+const getToken = require('../netlify/functions/get-token');
+
+const production = createMockAcre({ clientId: 'prod-client', clientSecret: 'prod-secret', apiKey: 'prod-api-key' });
+const sandbox = createMockAcre({ clientId: 'sandbox-client', clientSecret: 'sandbox-secret', apiKey: 'sandbox-api-key' });
+
+before(async () => {
+  process.env.ACRE_OAUTH_BASE_URL = await production.listen();
+  process.env.ACRE_SANDBOX_OAUTH_BASE_URL = await sandbox.listen();
+});
+
+after(async () => {
+  await production.close();
+  await sandbox.close();
+});
+
+beforeEach(() => {
+  resetMemoryStorage();
+  delete process.env.CONTEXT;
+});
+
+async function login({ host, profile }) {
+  const start = await authStart.handler({
+    httpMethod: 'GET',
+    headers: { host },
+    queryStringParameters: profile ? { profile } : {}
+  });
+  assert.equal(start.statusCode, 302);
+
+  const authorize = await fetch(start.headers.Location, { redirect: 'manual' });
+  const callbackUrl = new URL(authorize.headers.get('location'));
+
+  const callback = await authCallback.handler({
+    httpMethod: 'GET',
+    headers: { host: callbackUrl.host, cookie: start.headers['Set-Cookie'].split(';')[0] },
+    queryStringParameters: Object.fromEntries(callbackUrl.searchParams)
+  });
+
+  return { start, callbackUrl, callback };
+}
+
+async function requestToken(profile) {
+  const response = await getToken.handler({
+    httpMethod: 'GET',
+    headers: { authorization: `Bearer ${process.env.AUTH_SECRET}` },
+    queryStringParameters: profile ? { profile } : {}
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+test('the deploy context picks the profile', () => {
+  assert.equal(resolveProfile(), 'production');
+
+  process.env.CONTEXT = 'deploy-preview';
+  assert.equal(resolveProfile(), 'sandbox');
+
+  process.env.CONTEXT = 'production';
+  assert.equal(resolveProfile(), 'production');
+  assert.equal(resolveProfile('sandbox'), 'sandbox');
+  assert.equal(resolveProfile('staging'), null);
+});
+
+test('the redirect URI follows the request host when it is allowed', () => {
+  assert.equal(
+    redirectUriFor({ headers: { host: 'deploy-preview-42--acre-test.netlify.app' } }),
+    'https://deploy-preview-42--acre-test.netlify.app/.netlify/functions/auth-callback'
+  );
+  assert.equal(redirectUriFor({ headers: { host: 'evil.example.com' } }), null);
+  assert.equal(redirectUriFor({ headers: { host: 'acre-test.netlify.app.evil.example.com' } }), null);
+});
+
+test('auth-start refuses hosts that are not on the allowlist', async () => {
+  const response = await authStart.handler({ httpMethod: 'GET', headers: { host: 'evil.example.com' }, queryStringParameters: {} });
+  assert.equal(response.statusCode, 400);
+});
+
+test('a deploy preview logs in to the sandbox without touching production tokens', async () => {
+  await login({ host: 'acre-test.netlify.app' });
+  const productionToken = (await requestToken('production')).body.access_token;
+
+  process.env.CONTEXT = 'deploy-preview';
+  const { callbackUrl, callback } = await login({ host: 'deploy-preview-42--acre-test.netlify.app' });
+  assert.equal(callback.statusCode, 200);
+  assert.equal(callbackUrl.host, 'deploy-preview-42--acre-test.netlify.app');
+
+  const preview = await requestToken();
+  assert.equal(preview.body.profile, 'sandbox');
+  assert.ok(sandbox.isAccessTokenValid(preview.body.access_token));
+
+  const stillProduction = await requestToken('production');
+  assert.equal(stillProduction.body.access_token, productionToken);
+  assert.ok(production.isAccessTokenValid(productionToken));
+});
+
+test('?profile= selects the sandbox explicitly', async () => {
+  await login({ host: 'acre-test.netlify.app', profile: 'sandbox' });
+
+  assert.equal((await requestToken('sandbox')).statusCode, 200);
+  assert.equal((await requestToken('production')).statusCode, 404);
+  assert.equal((await requestToken('staging')).statusCode, 400);
+});
+
+test('re-authentication links name the requested profile', async () => {
+  const missing = await requestToken('sandbox');
+  assert.equal(missing.statusCode, 404);
+  assert.match(missing.body.action, /https:\/\/acre-test\.netlify\.app\/auth-start\?connection=default&profile=sandbox /);
+
+  const production = await requestToken('production');
+  assert.match(production.body.action, /\/auth-start\?connection=default /);
+});
+
+test('a profile never borrows the production client credentials', () => {
+  const sandboxSecret = process.env.ACRE_SANDBOX_CLIENT_SECRET;
+  delete process.env.ACRE_SANDBOX_CLIENT_SECRET;
+  process.env.ACRE_SCOPE = 'ABCDEFGHIJKLMNOP';
+
+  try {
+    const profile = getProfile('sandbox');
+    assert.equal(profile.clientId, 'sandbox-client');
+    assert.equal(profile.clientSecret, undefined);
+    assert.equal(profile.scope, 'ABCDEFGHIJKLMNOP');
+    assert.deepEqual(checkConfig(profile).missing, ['ACRE_SANDBOX_CLIENT_SECRET']);
+  } finally {
+    process.env.ACRE_SANDBOX_CLIENT_SECRET = sandboxSecret;
+    delete process.env.ACRE_SCOPE;
+  }
+});
+
+test('a failed code exchange points back at the profile it was started for', async () => {
+  sandbox.failNext('invalid_grant');
+
+  const { callback } = await login({ host: 'acre-test.netlify.app', profile: 'sandbox' });
+  assert.equal(callback.statusCode, 409);
+  assert.match(callback.body, /https:\/\/acre-test\.netlify\.app\/auth-start\?connection=default&amp;profile=sandbox/);
+});
@@ -0,0 +1,133 @@
+/**
+ * Rate limits and lockout on /get-token
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv({
+  RATE_LIMIT_PER_IP: '5',
+  RATE_LIMIT_PER_CLIENT: '3',
+  AUTH_LOCKOUT_THRESHOLD: '3',
+  AUTH_LOCKOUT_SECONDS: '60'
+});
+
+const { resetMemoryStorage } = require('../netlify/lib/storage/memory');
+const { getStorage } = require('../netlify/lib/storage');
+const { isAllowlisted } = require('../netlify/lib/rate-limit');
+const getToken = require('../netlify/functions/get-token');
+
+function request(ip, secret = process.env.AUTH_SECRET) {
+  return getToken.handler({
+    httpMethod: 'GET',
+    path: '/get-token',
+    headers: { authorization: `Bearer ${secret}`, 'x-nf-client-connection-ip': ip },
+    queryStringParameters: { connection: 'smith' }
+  });
+}
+
+beforeEach(() => {
+  resetMemoryStorage();
+});
+
+afterEach(() => {
+  delete process.env.RATE_LIMIT_ALLOWLIST;
+});
+
+test('the per-client limit answers 429 with Retry-After', async () => {
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await request(`198.51.100.${i}`)).statusCode, 404);
+  }
+
+  const response = await request('198.51.100.9');
+  assert.equal(response.statusCode, 429);
+  assert.ok(Number(response.headers['Retry-After']) >= 1);
+  const body = JSON.parse(response.body);
+  assert.equal(body.error, 'Too Many Requests');
+  assert.match(body.action, /^Retry after \d+ seconds$/);
+});
+
+test('the per-IP limit applies before authentication', async () => {
+  process.env.AUTH_LOCKOUT_THRESHOLD = '100';
+  try {
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await request('198.51.100.1', 'wrong')).statusCode, 401);
+    }
+    assert.equal((await request('198.51.100.1', 'wrong')).statusCode, 429);
+  } finally {
+    process.env.AUTH_LOCKOUT_THRESHOLD = '3';
+  }
+});
+
+test('repeated 401s lock the IP out with growing backoff', async () => {
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await request('198.51.100.1', 'wrong')).statusCode, 401);
+  }
+
+  // Even the right secret is refused while locked out
+  const locked = await request('198.51.100.1');
+  assert.equal(locked.statusCode, 429);
+  assert.ok(Number(locked.headers['Retry-After']) > 55);
+
+  // Other IPs are unaffected
+  assert.equal((await request('198.51.100.2')).statusCode, 404);
+
+  // Expire the lockout: the next round of failures locks out for twice as long
+  const store = getStorage('acre-rate-limits');
+  const record = await store.get('failures/198.51.100.1', { type: 'json' });
+  await store.setJSON('failures/198.51.100.1', { ...record, locked_until: Date.now() - 1 });
+  await store.delete('ip/198.51.100.1');
+
+  for (let i = 0; i < 3; i++) {
+    await request('198.51.100.1', 'wrong');
+  }
+  const second = await request('198.51.100.1');
+  assert.equal(second.statusCode, 429);
+  assert.ok(Number(second.headers['Retry-After']) > 115);
+});
+
+test('a successful authentication clears earlier failures', async () => {
+  await request('198.51.100.1', 'wrong');
+  await request('198.51.100.1', 'wrong');
+  assert.equal((await request('198.51.100.1')).statusCode, 404);
+  assert.equal((await request('198.51.100.1', 'wrong')).statusCode, 401);
+  assert.equal((await request('198.51.100.1', 'wrong')).statusCode, 401);
+});
+
+test('allowlisted IPs bypass every limit', async () => {
+  process.env.RATE_LIMIT_ALLOWLIST = '203.0.113.10, 10.0.0.0/8';
+  assert.equal(isAllowlisted('10.1.2.3'), true);
+  assert.equal(isAllowlisted('11.1.2.3'), false);
+
+  for (let i = 0; i < 10; i++) {
+    assert.notEqual((await request('203.0.113.10', 'wrong')).statusCode, 429);
+  }
+  assert.equal((await request('203.0.113.10')).statusCode, 404);
+});
+
+test('a malformed allowlist entry is skipped instead of failing every request', async () => {
+  process.env.RATE_LIMIT_ALLOWLIST = '10.0.0.0/99, not-an-ip, 203.0.113.0/24';
+  assert.equal(isAllowlisted('203.0.113.10'), true);
+  assert.equal(isAllowlisted('10.1.2.3'), false);
+  assert.equal((await request('198.51.100.1')).statusCode, 404);
+});
+
+test('x-forwarded-for cannot pick the address that is limited', async () => {
+  const spoofed = async forwardedFor => getToken.handler({
+    httpMethod: 'GET',
+    path: '/get-token',
+    headers: { authorization: 'Bearer wrong', 'x-nf-client-connection-ip': '198.51.100.7', 'x-forwarded-for': forwardedFor },
+    queryStringParameters: { connection: 'smith' }
+  });
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await spoofed(`192.0.2.${i}`)).statusCode, 401);
+  }
+  assert.equal((await spoofed('192.0.2.99')).statusCode, 429);
+
+  // Without Netlify's header, a forged x-forwarded-for is not trusted either
+  const { sourceIp } = require('../netlify/lib/audit');
+  assert.equal(sourceIp({ headers: { 'x-forwarded-for': '203.0.113.10' } }), null);
+  assert.equal(sourceIp({ headers: {} }, { ip: '198.51.100.8' }), '198.51.100.8');
+});
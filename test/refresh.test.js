@@ -0,0 +1,63 @@
+/**
+ * Single-flight refresh: parallel callers share one call to Acre
+ *
+ * The mock provider stands in for Acre and rotates refresh tokens, so a
+ * second refresh with the spent token would fail with invalid_grant.
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockAcre } = require('../mock/acre-provider');
+const { useTestEnv, storeExpiredTokens } = require('./helpers');
+
+useTestEnv();
+
+const { resetMemoryStorage } = require('../netlify/lib/storage/memory');
+const { readTokens, clearTokenCache } = require('../netlify/lib/token-store');
+const { refreshConnection } = require('../netlify/lib/refresh');
+
+const mock = createMockAcre();
+
+before(async () => {
+  process.env.ACRE_OAUTH_BASE_URL = await mock.listen();
+});
+
+after(() => mock.close());
+
+beforeEach(() => {
+  resetMemoryStorage();
+  clearTokenCache();
+  mock.requests.length = 0;
+});
+
+test('parallel refreshes of one connection call Acre once and agree on the result', async () => {
+  const record = await storeExpiredTokens('smith');
+  mock.requests.length = 0;
+  // Keep the lease holder busy long enough for everyone else to start waiting
+  mock.failNext('slow');
+
+  const results = await Promise.all(Array.from({ length: 5 }, () => refreshConnection('smith', record)));
+
+  assert.deepEqual(mock.requests, ['refresh_token']);
+  assert.equal(results.filter(result => !result.waited).length, 1);
+
+  const stored = await readTokens('smith');
+  assert.notEqual(stored.refresh_token, record.refresh_token);
+  for (const result of results) {
+    assert.equal(result.tokenStorage.access_token, stored.access_token);
+  }
+  assert.ok(mock.isAccessTokenValid(stored.access_token));
+});
+
+test('connections refresh independently of each other', async () => {
+  const smith = await storeExpiredTokens('smith');
+  const jones = await storeExpiredTokens('jones');
+  mock.requests.length = 0;
+
+  const [forSmith, forJones] = await Promise.all([refreshConnection('smith', smith), refreshConnection('jones', jones)]);
+
+  assert.deepEqual(mock.requests, ['refresh_token', 'refresh_token']);
+  assert.equal(forSmith.waited, false);
+  assert.equal(forJones.waited, false);
+  assert.notEqual(forSmith.tokenStorage.access_token, forJones.tokenStorage.access_token);
+});
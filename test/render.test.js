@@ -0,0 +1,84 @@
+/**
+ * Page rendering: escaping, JSON errors, hidden internals and branding
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv({
+  URL: 'https://acre-test.netlify.app'
+});
+
+const { resetMemoryStorage } = require('../netlify/lib/storage/memory');
+const { html, errorResponse } = require('../netlify/lib/render');
+const authCallback = require('../netlify/functions/auth-callback');
+const authStart = require('../netlify/functions/auth-start');
+
+const XSS = '<script>alert(1)</script>';
+
+beforeEach(() => {
+  resetMemoryStorage();
+});
+
+afterEach(() => {
+  delete process.env.SHOW_ERROR_DETAILS;
+  delete process.env.BRAND_NAME;
+  delete process.env.BRAND_COLOR;
+});
+
+test('interpolated values are escaped', () => {
+  assert.equal(String(html`<p>${XSS}</p>`), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+  assert.equal(String(html`<ul>${['a', 'b'].map(item => html`<li>${item}</li>`)}</ul>`), '<ul><li>a</li><li>b</li></ul>');
+});
+
+test('errors from Acre are escaped on the callback page', async () => {
+  const response = await authCallback.handler({
+    headers: { host: 'acre-test.netlify.app' },
+    queryStringParameters: { error: XSS, error_description: `"><img src=x onerror=alert(1)>` }
+  });
+
+  assert.equal(response.statusCode, 400);
+  assert.match(response.headers['Content-Type'], /^text\/html/);
+  assert.ok(!response.body.includes('<script>alert'));
+  assert.ok(!response.body.includes('<img src=x'));
+  assert.match(response.body, /&lt;script&gt;/);
+});
+
+test('Accept: application/json gets the get-token error shape', async () => {
+  const response = await authStart.handler({
+    headers: { host: 'acre-test.netlify.app', accept: 'application/json' },
+    queryStringParameters: { connection: 'not valid!' }
+  });
+
+  assert.equal(response.statusCode, 400);
+  assert.equal(response.headers['Content-Type'], 'application/json');
+  const body = JSON.parse(response.body);
+  assert.equal(body.error, 'Invalid Connection');
+  assert.equal(body.message, 'The connection id is not valid.');
+  assert.match(body.action, /letters, numbers, dashes or underscores/);
+});
+
+test('stack traces are only shown when SHOW_ERROR_DETAILS is on', () => {
+  const error = new Error('boom');
+  const event = { headers: { accept: 'application/json' } };
+
+  const hidden = JSON.parse(errorResponse(event, 500, { error: 'Unexpected Error', message: 'Failed', details: error }).body);
+  assert.equal(hidden.details, undefined);
+
+  const page = errorResponse({ headers: {} }, 500, { error: 'Unexpected Error', message: 'Failed', details: error }).body;
+  assert.ok(!page.includes('boom'));
+
+  process.env.SHOW_ERROR_DETAILS = 'true';
+  const shown = JSON.parse(errorResponse(event, 500, { error: 'Unexpected Error', message: 'Failed', details: error }).body);
+  assert.match(shown.details, /Error: boom\n\s+at /);
+});
+
+test('pages use the configured brand', () => {
+  process.env.BRAND_NAME = 'Smith & Co';
+  process.env.BRAND_COLOR = 'red;}body{display:none';
+
+  const page = errorResponse({ headers: {} }, 400, { error: 'Invalid Request', message: 'Nope' }).body;
+  assert.match(page, /<title>❌ Invalid Request - Smith &amp; Co<\/title>/);
+  assert.match(page, /--brand: #3b82f6;/);
+});
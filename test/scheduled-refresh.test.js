@@ -0,0 +1,52 @@
+/**
+ * Scheduled refresh: bounded concurrency and the run's time budget
+ *
+ * The mock provider stands in for Acre.
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockAcre } = require('../mock/acre-provider');
+const { useTestEnv, storeExpiredTokens } = require('./helpers');
+
+useTestEnv({
+  SCHEDULED_REFRESH_CONCURRENCY: '2',
+  SCHEDULED_REFRESH_BUDGET_MS: '300'
+});
+
+const { resetMemoryStorage } = require('../netlify/lib/storage/memory');
+const { readTokens, clearTokenCache } = require('../netlify/lib/token-store');
+const scheduledRefresh = require('../netlify/functions/scheduled-refresh');
+
+const mock = createMockAcre();
+
+before(async () => {
+  process.env.ACRE_OAUTH_BASE_URL = await mock.listen();
+});
+
+after(() => mock.close());
+
+beforeEach(() => {
+  resetMemoryStorage();
+  clearTokenCache();
+});
+
+test('refreshes connections in parallel and skips what is left once the budget is spent', async () => {
+  for (const connection of ['alpha', 'bravo', 'charlie']) {
+    await storeExpiredTokens(connection);
+  }
+  mock.failNext('slow', 2);
+
+  const started = Date.now();
+  const response = await scheduledRefresh.handler({});
+  const run = JSON.parse(response.body);
+
+  // Both slow refreshes ran side by side, so the run took one slow answer, not two
+  assert.ok(Date.now() - started < 2000, `took ${Date.now() - started}ms`);
+  assert.equal(run.refreshed, 2);
+  assert.equal(run.skipped, 1);
+
+  const leftOver = run.results.find(result => result.result === 'skipped_deadline');
+  assert.equal(leftOver.profile, 'production');
+  assert.ok(new Date((await readTokens(leftOver.connection)).expires_at) < new Date());
+});
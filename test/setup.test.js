@@ -0,0 +1,166 @@
+/**
+ * First-run setup page: configuration checks, credential test and the lock
+ */
+
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockAcre } = require('../mock/acre-provider');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv({
+  URL: 'https://acre-test.netlify.app',
+  ACRE_PROFILES: 'production,sandbox',
+  ACRE_SCOPE: 'ABCDEFGHIJKLMNOP',
+  AUTH_SECRET: 'a'.repeat(64)
+});
+
+const { resetMemoryStorage } = require('../netlify/lib/storage/memory');
+const { writeTokens, deleteTokens, clearTokenCache } = require('../netlify/lib/token-store');
+const setup = require('../netlify/functions/setup');
+
+const mock = createMockAcre();
+const CALLBACK_URL = 'https://acre-test.netlify.app/.netlify/functions/auth-callback';
+
+before(async () => {
+  process.env.ACRE_OAUTH_BASE_URL = await mock.listen();
+});
+
+after(() => mock.close());
+
+beforeEach(() => {
+  resetMemoryStorage();
+  clearTokenCache();
+  mock.requests.length = 0;
+});
+
+afterEach(() => {
+  process.env.ACRE_CLIENT_SECRET = 'mock-secret';
+  process.env.ACRE_SCOPE = 'ABCDEFGHIJKLMNOP';
+  process.env.AUTH_SECRET = 'a'.repeat(64);
+  delete process.env.SETUP_UNLOCKED;
+});
+
+async function call({ method = 'GET', accept = 'application/json', profile } = {}) {
+  const response = await setup.handler({
+    httpMethod: method,
+    headers: { host: 'acre-test.netlify.app', accept },
+    queryStringParameters: profile ? { profile } : {}
+  });
+  const json = (response.headers['Content-Type'] || '').includes('application/json');
+  return { statusCode: response.statusCode, body: json ? JSON.parse(response.body) : response.body };
+}
+
+test('reports the callback URL and missing or malformed variables without their values', async () => {
+  process.env.ACRE_SCOPE = '   ';
+  process.env.AUTH_SECRET = 'short-secret';
+
+  const { statusCode, body } = await call();
+  assert.equal(statusCode, 200);
+  assert.equal(body.ready, false);
+  assert.equal(body.callback_url, CALLBACK_URL);
+  assert.equal(body.auth_start_url, null);
+
+  const problems = Object.fromEntries(body.checks.variables.variables.map(variable => [variable.name, variable.problem]));
+  assert.equal(problems.ACRE_SCOPE, 'is empty');
+  assert.match(problems.AUTH_SECRET, /too short \(12 characters/);
+  assert.equal(problems.ACRE_CLIENT_ID, undefined);
+  assert.equal(JSON.stringify(body).includes('short-secret'), false);
+
+  const page = await call({ accept: 'text/html' });
+  assert.match(page.body, /auth-callback/);
+  assert.doesNotMatch(page.body, /href="\/auth-start"/);
+});
+
+test('the credential test passes when Acre only rejects the dummy code', async () => {
+  const accepted = await call({ method: 'POST' });
+  assert.equal(accepted.body.checks.credentials.status, 'pass');
+  assert.equal(accepted.body.ready, true);
+  assert.equal(accepted.body.auth_start_url, '/auth-start');
+  assert.equal(mock.requests.length, 1);
+
+  process.env.ACRE_CLIENT_SECRET = 'wrong-secret';
+  const rejected = await call({ method: 'POST' });
+  assert.equal(rejected.body.checks.credentials.status, 'fail');
+  assert.equal(rejected.body.checks.credentials.code, 'misconfigured');
+  assert.equal(rejected.body.ready, false);
+});
+
+test('the login link waits for a passing credential test', async () => {
+  const untested = await call();
+  assert.equal(untested.body.ready, false);
+  assert.equal(untested.body.auth_start_url, null);
+  assert.equal(untested.body.checks.credentials, undefined);
+
+  const page = await call({ accept: 'text/html' });
+  assert.match(page.body, /Credentials not verified/);
+  assert.doesNotMatch(page.body, /href="\/auth-start"/);
+
+  mock.failNext('server_error', 3);
+  const unconfirmed = await call({ method: 'POST' });
+  assert.equal(unconfirmed.body.checks.credentials.status, 'warn');
+  assert.equal(unconfirmed.body.ready, false);
+  assert.equal(unconfirmed.body.auth_start_url, null);
+});
+
+test('locks itself once a connection is stored, even after it is removed', async () => {
+  assert.equal((await call()).statusCode, 200);
+
+  await writeTokens('default', {
+    access_token: 'at',
+    refresh_token: 'rt',
+    expires_at: new Date(Date.now() + 3600 * 1000).toISOString(),
+    created_at: new Date().toISOString()
+  });
+
+  const locked = await call();
+  assert.equal(locked.statusCode, 403);
+  assert.equal(locked.body.error, 'Setup Locked');
+
+  await deleteTokens('default');
+  assert.equal((await call({ method: 'POST' })).statusCode, 403);
+  assert.equal(mock.requests.length, 0);
+
+  process.env.SETUP_UNLOCKED = 'true';
+  assert.equal((await call()).statusCode, 200);
+});
+
+test('each profile locks on its own', async () => {
+  await writeTokens('default', {
+    access_token: 'at',
+    refresh_token: 'rt',
+    expires_at: new Date(Date.now() + 3600 * 1000).toISOString(),
+    created_at: new Date().toISOString()
+  });
+
+  assert.equal((await call()).statusCode, 403);
+  assert.equal((await call({ profile: 'sandbox' })).statusCode, 200);
+
+  await writeTokens('default', {
+    access_token: 'sandbox-at',
+    refresh_token: 'sandbox-rt',
+    expires_at: new Date(Date.now() + 3600 * 1000).toISOString(),
+    created_at: new Date().toISOString()
+  }, 'sandbox');
+
+  const locked = await call({ profile: 'sandbox' });
+  assert.equal(locked.statusCode, 403);
+  assert.equal(locked.body.error, 'Setup Locked');
+});
+
+test('concurrent requests agree on when setup was locked', async () => {
+  await writeTokens('default', {
+    access_token: 'at',
+    refresh_token: 'rt',
+    expires_at: new Date(Date.now() + 3600 * 1000).toISOString(),
+    created_at: new Date().toISOString()
+  });
+
+  const responses = await Promise.all([call(), call(), call()]);
+  const { getStorage } = require('../netlify/lib/storage');
+  const lock = await getStorage('acre-setup').get('lock/production', { type: 'json' });
+
+  for (const response of responses) {
+    assert.equal(response.statusCode, 403);
+    assert.match(response.body.message, new RegExp(`completed on ${lock.locked_at}`));
+  }
+});
@@ -0,0 +1,78 @@
+/**
+ * Storage backends: the shared interface on the file and memory backends
+ *
+ * The Blobs backend needs a Netlify site, so only its siblings run here.
+ */
+
+const { test, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useTestEnv } = require('./helpers');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'acre-storage-'));
+
+useTestEnv({ STORAGE_DIR: storageDir });
+
+const { createFileStorage } = require('../netlify/lib/storage/filesystem');
+const { createMemoryStorage, resetMemoryStorage } = require('../netlify/lib/storage/memory');
+
+const BACKENDS = { file: createFileStorage, memory: createMemoryStorage };
+
+after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+beforeEach(() => {
+  fs.rmSync(storageDir, { recursive: true, force: true });
+  resetMemoryStorage();
+});
+
+for (const [backend, create] of Object.entries(BACKENDS)) {
+  test(`${backend}: values, metadata, listing and deletes`, async () => {
+    const store = create('acre-test');
+
+    await store.setJSON('tokens/smith', { access_token: 'a1' }, { metadata: { version: 1 } });
+    await store.set('tokens', 'plain text');
+    await store.set('status/smith', '{}');
+
+    assert.deepEqual(await store.get('tokens/smith', { type: 'json' }), { access_token: 'a1' });
+    assert.equal(await store.get('tokens'), 'plain text');
+    assert.equal(await store.get('missing'), null);
+
+    const entry = await store.getWithMetadata('tokens/smith', { type: 'json' });
+    assert.deepEqual(entry.metadata, { version: 1 });
+    assert.equal((await store.getMetadata('tokens/smith')).etag, entry.etag);
+
+    const { blobs } = await store.list({ prefix: 'tokens' });
+    assert.deepEqual(blobs.map(blob => blob.key), ['tokens', 'tokens/smith']);
+
+    await store.delete('tokens/smith');
+    await store.delete('tokens/smith');
+    assert.equal(await store.get('tokens/smith'), null);
+  });
+
+  test(`${backend}: setIfMatch only writes over the etag it was given`, async () => {
+    const store = create('acre-test');
+
+    assert.equal(await store.setIfMatch('lock', 'first', { etag: null }), true);
+    assert.equal(await store.setIfMatch('lock', 'second', { etag: null }), false);
+    assert.equal(await store.get('lock'), 'first');
+
+    const { etag } = await store.getMetadata('lock');
+    assert.equal(await store.setIfMatch('lock', 'third', { etag, metadata: { by: 'test' } }), true);
+    assert.equal(await store.setIfMatch('lock', 'fourth', { etag }), false);
+
+    const entry = await store.getWithMetadata('lock');
+    assert.equal(entry.data, 'third');
+    assert.deepEqual(entry.metadata, { by: 'test' });
+    assert.notEqual(entry.etag, etag);
+  });
+}
+
+test('file: stores live under STORAGE_DIR and outlast the store object', async () => {
+  await createFileStorage('acre-test').setJSON('tokens/smith', { access_token: 'a1' });
+
+  assert.deepEqual(fs.readdirSync(path.join(storageDir, 'acre-test')), [`${encodeURIComponent('tokens/smith')}.json`]);
+  assert.deepEqual(await createFileStorage('acre-test').get('tokens/smith', { type: 'json' }), { access_token: 'a1' });
+  assert.equal(await createFileStorage('acre-other').get('tokens/smith'), null);
+});
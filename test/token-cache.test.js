@@ -0,0 +1,129 @@
+/**
+ * Warm-instance token cache and HTTP caching headers on /get-token
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv();
+
+// Count full reads and metadata-only reads on the token store
+const memory = require('../netlify/lib/storage/memory');
+const reads = { full: 0, metadata: 0 };
+// Runs once right after the next full read, e.g. to simulate a concurrent write
+let afterFullRead = null;
+const { createMemoryStorage } = memory;
+memory.createMemoryStorage = name => {
+  const store = createMemoryStorage(name);
+  if (name !== 'acre-tokens') {
+    return store;
+  }
+  return {
+    ...store,
+    getWithMetadata: async (...args) => {
+      reads.full++;
+      const entry = await store.getWithMetadata(...args);
+      const hook = afterFullRead;
+      afterFullRead = null;
+      await hook?.();
+      return entry;
+    },
+    getMetadata: (...args) => { reads.metadata++; return store.getMetadata(...args); }
+  };
+};
+
+const { getStorage } = require('../netlify/lib/storage');
+const { readTokens, writeTokens, clearTokenCache } = require('../netlify/lib/token-store');
+const getToken = require('../netlify/functions/get-token');
+
+function tokenRecord(expiresInSeconds) {
+  return {
+    access_token: `at-${expiresInSeconds}`,
+    refresh_token: 'rt',
+    expires_at: new Date(Date.now() + expiresInSeconds * 1000).toISOString(),
+    created_at: new Date().toISOString()
+  };
+}
+
+beforeEach(() => {
+  memory.resetMemoryStorage();
+  clearTokenCache();
+  reads.full = 0;
+  reads.metadata = 0;
+});
+
+test('repeat reads only check the etag', async () => {
+  await writeTokens('default', tokenRecord(3600));
+
+  const first = await readTokens('default');
+  const second = await readTokens('default');
+  const third = await readTokens('default');
+
+  assert.deepEqual(second, first);
+  assert.deepEqual(third, first);
+  assert.deepEqual(reads, { full: 1, metadata: 2 });
+});
+
+test('a blob changed by another instance is read again', async () => {
+  await writeTokens('default', tokenRecord(3600));
+  await readTokens('default');
+
+  // Same content rewritten elsewhere: new etag
+  const store = getStorage('acre-tokens');
+  await store.set('tokens', await store.get('tokens'));
+
+  await readTokens('default');
+  assert.deepEqual(reads, { full: 2, metadata: 1 });
+});
+
+test('tokens inside the refresh buffer are never served from the cache', async () => {
+  await writeTokens('default', tokenRecord(240));
+
+  await readTokens('default');
+  await readTokens('default');
+  assert.deepEqual(reads, { full: 2, metadata: 0 });
+});
+
+test('re-encrypting a plaintext record never overwrites a newer write', async () => {
+  const store = getStorage('acre-tokens');
+  await store.set('tokens', JSON.stringify(tokenRecord(3600)));
+
+  // A refresh elsewhere stores rotated tokens between our read and the upgrade
+  afterFullRead = () => writeTokens('default', { ...tokenRecord(7200), refresh_token: 'rt-rotated' });
+
+  const legacy = await readTokens('default');
+  assert.equal(legacy.refresh_token, 'rt');
+
+  clearTokenCache();
+  assert.equal((await readTokens('default')).refresh_token, 'rt-rotated');
+
+  // Without a concurrent write the upgrade goes through
+  await store.set('tokens', JSON.stringify(tokenRecord(3600)));
+  await readTokens('default');
+  assert.ok(JSON.parse(await store.get('tokens')).kid);
+});
+
+test('get-token sends ETag and Cache-Control, and 304 for a known ETag', async () => {
+  await writeTokens('default', tokenRecord(3600));
+  const event = {
+    httpMethod: 'GET',
+    headers: { authorization: `Bearer ${process.env.AUTH_SECRET}` },
+    queryStringParameters: {}
+  };
+
+  const response = await getToken.handler(event);
+  assert.equal(response.statusCode, 200);
+  assert.match(response.headers.ETag, /^"[0-9a-f]{32}"$/);
+
+  const maxAge = Number(response.headers['Cache-Control'].match(/^private, max-age=(\d+)$/)[1]);
+  assert.ok(maxAge > 3290 && maxAge <= 3300);
+
+  const revalidated = await getToken.handler({
+    ...event,
+    headers: { ...event.headers, 'if-none-match': response.headers.ETag }
+  });
+  assert.equal(revalidated.statusCode, 304);
+  assert.equal(revalidated.body, '');
+  assert.equal(revalidated.headers.ETag, response.headers.ETag);
+});
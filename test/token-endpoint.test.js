@@ -0,0 +1,132 @@
+/**
+ * Token endpoint calls: retries, the circuit breaker and error codes
+ */
+
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockAcre } = require('../mock/acre-provider');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv();
+
+const { resetMemoryStorage } = require('../netlify/lib/storage/memory');
+const { requestToken, describeTokenError } = require('../netlify/lib/token-endpoint');
+
+const mock = createMockAcre();
+
+before(async () => {
+  process.env.ACRE_OAUTH_BASE_URL = await mock.listen();
+});
+
+after(() => mock.close());
+
+beforeEach(() => {
+  resetMemoryStorage();
+  mock.requests.length = 0;
+});
+
+afterEach(() => {
+  process.env.ACRE_CLIENT_SECRET = 'mock-secret';
+  delete process.env.CIRCUIT_FAILURE_THRESHOLD;
+  delete process.env.ACRE_TOKEN_TIMEOUT_MS;
+});
+
+/**
+ * A fresh authorization code from the mock provider
+ */
+async function authorizationCode() {
+  const form = new URLSearchParams({ response_type: 'code', client_id: 'mock-client', redirect_uri: 'https://x.test/cb' });
+  const response = await fetch(`${process.env.ACRE_OAUTH_BASE_URL}/oauth2/auth?${form}`, { redirect: 'manual' });
+  return new URL(response.headers.get('location')).searchParams.get('code');
+}
+
+async function exchange(code) {
+  return requestToken('production', {
+    grant_type: 'authorization_code',
+    code: code || await authorizationCode(),
+    redirect_uri: 'https://x.test/cb'
+  });
+}
+
+test('transient 5xx and 429 responses are retried', async () => {
+  mock.failNext('server_error');
+  mock.failNext('rate_limited');
+
+  const tokenData = await exchange();
+  assert.ok(tokenData.access_token);
+  assert.equal(mock.requests.length, 3);
+});
+
+test('OAuth errors map to stable codes without retrying', async () => {
+  mock.failNext('invalid_grant');
+  const dead = await exchange().catch(error => error);
+  assert.equal(dead.code, 'reauth_required');
+  assert.equal(dead.oauthError, 'invalid_grant');
+  assert.equal(mock.requests.length, 1);
+
+  process.env.ACRE_CLIENT_SECRET = 'wrong-secret';
+  const misconfigured = await exchange().catch(error => error);
+  assert.equal(misconfigured.code, 'misconfigured');
+  assert.equal(misconfigured.status, 401);
+  assert.equal(describeTokenError(misconfigured).statusCode, 500);
+
+  process.env.ACRE_CLIENT_SECRET = 'mock-secret';
+  mock.failNext('empty_response');
+  const empty = await exchange().catch(error => error);
+  assert.equal(empty.code, 'upstream_error');
+  assert.match(empty.message, /no access_token/);
+});
+
+test('the circuit opens after repeated outages and closes after a success', async () => {
+  process.env.CIRCUIT_FAILURE_THRESHOLD = '2';
+  mock.failNext('server_error', 6);
+
+  for (let call = 0; call < 2; call++) {
+    const failure = await exchange().catch(error => error);
+    assert.equal(failure.code, 'upstream_unavailable');
+  }
+  assert.equal(mock.requests.length, 6);
+
+  // Open: fails fast without calling Acre, telling the caller when to come back
+  const open = await exchange().catch(error => error);
+  assert.equal(open.code, 'upstream_unavailable');
+  assert.match(open.message, /circuit open/);
+  assert.equal(mock.requests.length, 6);
+
+  const { statusCode, headers, body } = describeTokenError(open, 'smith');
+  assert.equal(statusCode, 503);
+  assert.ok(Number(headers['Retry-After']) > 0);
+  assert.equal(body.code, 'upstream_unavailable');
+
+  // Once the open period is over, one successful call closes it again
+  const { getStorage } = require('../netlify/lib/storage');
+  await getStorage('acre-circuit').setJSON('token/production', { failures: 2, open_until: new Date(Date.now() - 1000).toISOString() });
+  assert.ok((await exchange()).access_token);
+  assert.equal(await getStorage('acre-circuit').get('token/production', { type: 'json' }), null);
+});
+
+test('a single-use grant is not sent again after a timeout', async () => {
+  process.env.ACRE_TOKEN_TIMEOUT_MS = '200';
+  // Acre processes (and spends) the code, but answers too late
+  mock.failNext('slow');
+
+  const timedOut = await exchange().catch(error => error);
+  assert.equal(timedOut.code, 'upstream_unavailable');
+  assert.match(timedOut.message, /did not answer within 200ms/);
+  assert.equal(mock.requests.length, 1);
+});
+
+test('a half-open circuit lets exactly one probe through', async () => {
+  const { getStorage } = require('../netlify/lib/storage');
+  await getStorage('acre-circuit').setJSON('token/production', { failures: 5, open_until: new Date(Date.now() - 1000).toISOString() });
+
+  const codes = [await authorizationCode(), await authorizationCode(), await authorizationCode()];
+  const results = await Promise.all(codes.map(code => exchange(code).catch(error => error)));
+
+  assert.equal(mock.requests.length, 1);
+  assert.equal(results.filter(result => result.access_token).length, 1);
+  for (const failure of results.filter(result => !result.access_token)) {
+    assert.match(failure.message, /circuit open/);
+  }
+  assert.equal(await getStorage('acre-circuit').get('token/production', { type: 'json' }), null);
+});
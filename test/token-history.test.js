@@ -0,0 +1,159 @@
+/**
+ * Token versions, rollback and export/import bundles
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv();
+
+const { resetMemoryStorage } = require('../netlify/lib/storage/memory');
+const {
+  readTokens,
+  writeTokens,
+  deleteTokens,
+  listTokenVersions,
+  readStatus,
+  updateStatus,
+  clearTokenCache
+} = require('../netlify/lib/token-store');
+const { issueClientKey } = require('../netlify/lib/client-keys');
+const { openBundle } = require('../netlify/lib/token-crypto');
+const tokenHistory = require('../netlify/functions/token-history');
+
+const PASSPHRASE = 'correct horse battery staple';
+
+beforeEach(() => {
+  resetMemoryStorage();
+  clearTokenCache();
+});
+
+afterEach(() => {
+  delete process.env.TOKEN_HISTORY_LIMIT;
+});
+
+function record(accessToken, refreshToken = `rt-${accessToken}`) {
+  return {
+    access_token: accessToken,
+    refresh_token: refreshToken,
+    expires_at: new Date(Date.now() + 3600 * 1000).toISOString(),
+    created_at: new Date().toISOString()
+  };
+}
+
+async function call({ method = 'POST', query = {}, body, secret = process.env.AUTH_SECRET } = {}) {
+  const response = await tokenHistory.handler({
+    httpMethod: method,
+    headers: { authorization: `Bearer ${secret}` },
+    queryStringParameters: query,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+test('writes with a reason are kept as versions, up to TOKEN_HISTORY_LIMIT', async () => {
+  process.env.TOKEN_HISTORY_LIMIT = '3';
+
+  await writeTokens('smith', record('a1'), undefined, { reason: 'login' });
+  await writeTokens('smith', record('a2'), undefined, { reason: 'refresh' });
+  await writeTokens('smith', record('a3'), undefined, { reason: 'refresh' });
+  await writeTokens('smith', record('a4'), undefined, { reason: 'refresh' });
+  // Re-encryption of an unchanged record keeps no version
+  await writeTokens('smith', record('a4'));
+
+  const versions = await listTokenVersions('smith');
+  assert.deepEqual(versions.map(version => version.version), [4, 3, 2]);
+  assert.deepEqual(versions.map(version => version.reason), ['refresh', 'refresh', 'refresh']);
+
+  const { body } = await call({ method: 'GET', query: { connection: 'smith' } });
+  assert.equal(body.count, 3);
+  assert.equal(body.versions[0].version, 4);
+  assert.equal(JSON.stringify(body).includes('a4'), false);
+
+  await deleteTokens('smith');
+  assert.deepEqual(await listTokenVersions('smith'), []);
+});
+
+test('rollback restores the last good record after a bad refresh', async () => {
+  await writeTokens('smith', record('good'), undefined, { reason: 'login' });
+  await writeTokens('smith', record('', 'rt-lost'), undefined, { reason: 'refresh' });
+  await updateStatus('smith', { needs_reauth: true });
+
+  const { statusCode, body } = await call({ query: { connection: 'smith', action: 'rollback', version: '1' } });
+  assert.equal(statusCode, 200);
+  assert.equal(body.rolled_back, true);
+
+  const current = await readTokens('smith');
+  assert.equal(current.access_token, 'good');
+  assert.equal(current.refresh_token, 'rt-good');
+  assert.equal((await readStatus('smith')).needs_reauth, false);
+
+  const [latest] = await listTokenVersions('smith');
+  assert.equal(latest.reason, 'manual');
+  assert.equal(latest.note, 'rollback to version 1');
+
+  const missing = await call({ query: { connection: 'smith', action: 'rollback', version: '99' } });
+  assert.equal(missing.statusCode, 404);
+});
+
+test('export bundles move a connection to a site with other encryption keys', async () => {
+  await writeTokens('smith', record('v1'), undefined, { reason: 'login' });
+  await writeTokens('smith', record('v2'), undefined, { reason: 'refresh' });
+
+  const exported = await call({ query: { connection: 'smith', action: 'export' }, body: { passphrase: PASSPHRASE } });
+  assert.equal(exported.statusCode, 200);
+  const bundle = exported.body;
+  assert.equal(bundle.meta.connection, 'smith');
+  // Tokens live only in the sealed payload; the readable meta carries none
+  assert.deepEqual(Object.keys(bundle.meta).sort(), ['connection', 'exported_at', 'profile', 'source']);
+  const sealed = openBundle(bundle, PASSPHRASE);
+  assert.equal(sealed.tokens.access_token, 'v2');
+  assert.deepEqual(sealed.versions.map(version => version.tokens.access_token), ['v1', 'v2']);
+
+  // A different site: empty store, different TOKEN_ENCRYPTION_KEYS
+  const keys = process.env.TOKEN_ENCRYPTION_KEYS;
+  process.env.TOKEN_ENCRYPTION_KEYS = `other:${Buffer.alloc(32, 9).toString('base64')}`;
+  resetMemoryStorage();
+  clearTokenCache();
+
+  try {
+    const wrong = await call({ query: { action: 'import' }, body: { passphrase: 'not the right one', bundle } });
+    assert.equal(wrong.statusCode, 400);
+    assert.equal(wrong.body.error, 'Invalid Bundle');
+
+    const imported = await call({ query: { action: 'import' }, body: { passphrase: PASSPHRASE, bundle } });
+    assert.equal(imported.statusCode, 200);
+    assert.equal(imported.body.connection, 'smith');
+    assert.equal(imported.body.versions, 2);
+
+    assert.equal((await readTokens('smith')).access_token, 'v2');
+    const versions = await listTokenVersions('smith');
+    assert.deepEqual(versions.map(version => version.reason), ['manual', 'refresh', 'login']);
+    assert.equal(versions[2].note, 'imported version 1');
+
+    const again = await call({ query: { action: 'import' }, body: { passphrase: PASSPHRASE, bundle } });
+    assert.equal(again.statusCode, 409);
+
+    const overwritten = await call({ query: { action: 'import' }, body: { passphrase: PASSPHRASE, bundle, overwrite: true } });
+    assert.equal(overwritten.statusCode, 200);
+  } finally {
+    process.env.TOKEN_ENCRYPTION_KEYS = keys;
+  }
+});
+
+test('tampered bundles, short passphrases and non-admin keys are rejected', async () => {
+  await writeTokens('smith', record('v1'), undefined, { reason: 'login' });
+
+  const short = await call({ query: { connection: 'smith', action: 'export' }, body: { passphrase: 'short' } });
+  assert.equal(short.statusCode, 400);
+
+  const { body: bundle } = await call({ query: { connection: 'smith', action: 'export' }, body: { passphrase: PASSPHRASE } });
+  const redirected = { ...bundle, meta: { ...bundle.meta, connection: 'jones' } };
+  const tampered = await call({ query: { action: 'import' }, body: { passphrase: PASSPHRASE, bundle: redirected } });
+  assert.equal(tampered.statusCode, 400);
+
+  const { key } = await issueClientKey({ label: 'n8n', scopes: ['token'] });
+  const forbidden = await call({ method: 'GET', query: { connection: 'smith' }, secret: key });
+  assert.equal(forbidden.statusCode, 403);
+});
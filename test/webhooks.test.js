@@ -0,0 +1,186 @@
+/**
+ * Acre webhook receiver: verification, de-duplication, fan-out and replay
+ *
+ * A local HTTP server stands in for the n8n webhooks.
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const { useTestEnv } = require('./helpers');
+
+useTestEnv({
+  ACRE_WEBHOOK_SECRET: 'test-webhook-secret',
+  WEBHOOK_MAX_ATTEMPTS: '2'
+});
+
+// Makes the next event save in the webhook store throw, like a Blobs outage
+const memory = require('../netlify/lib/storage/memory');
+let failNextSave = false;
+const { createMemoryStorage } = memory;
+memory.createMemoryStorage = name => {
+  const store = createMemoryStorage(name);
+  if (name !== 'acre-webhooks') {
+    return store;
+  }
+  return {
+    ...store,
+    setJSON: async (key, ...args) => {
+      if (failNextSave && key.startsWith('events/')) {
+        failNextSave = false;
+        throw new Error('Blobs unavailable');
+      }
+      return store.setJSON(key, ...args);
+    }
+  };
+};
+
+const { resetMemoryStorage } = require('../netlify/lib/storage/memory');
+const { getStorage } = require('../netlify/lib/storage');
+const acreWebhook = require('../netlify/functions/acre-webhook');
+const webhookReplay = require('../netlify/functions/webhook-replay');
+
+// Fake n8n: records every delivery, answers with `n8nStatus`
+let n8nStatus = 200;
+const received = [];
+const n8n = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push({ id: req.headers['x-acre-event-id'], body: JSON.parse(body) });
+    res.writeHead(n8nStatus);
+    res.end();
+  });
+});
+
+before(() => new Promise(resolve => n8n.listen(0, '127.0.0.1', () => {
+  process.env.N8N_WEBHOOK_URLS = `http://127.0.0.1:${n8n.address().port}/webhook/acre`;
+  resolve();
+})));
+
+after(() => new Promise(resolve => n8n.close(resolve)));
+
+beforeEach(() => {
+  resetMemoryStorage();
+  received.length = 0;
+  n8nStatus = 200;
+  failNextSave = false;
+});
+
+function signedEvent(payload, secret = process.env.ACRE_WEBHOOK_SECRET) {
+  const body = JSON.stringify(payload);
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+  return { httpMethod: 'POST', headers: { 'X-Acre-Signature': `sha256=${signature}` }, body };
+}
+
+const admin = { authorization: `Bearer ${process.env.AUTH_SECRET}` };
+
+test('a signed event is stored and forwarded to n8n', async () => {
+  const response = await acreWebhook.handler(signedEvent({ id: 'evt_1', type: 'case.updated', case_id: 42 }));
+  const body = JSON.parse(response.body);
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(body.duplicate, false);
+  assert.equal(body.deliveries[0].status, 'delivered');
+  assert.deepEqual(received, [{ id: 'evt_1', body: { id: 'evt_1', type: 'case.updated', case_id: 42 } }]);
+});
+
+test('bad signatures and wrong shared secrets are rejected', async () => {
+  assert.equal((await acreWebhook.handler(signedEvent({ id: 'evt_2' }, 'wrong-secret'))).statusCode, 401);
+  assert.equal((await acreWebhook.handler({ httpMethod: 'POST', headers: {}, body: '{}' })).statusCode, 401);
+  assert.equal((await acreWebhook.handler({
+    httpMethod: 'POST',
+    headers: { 'X-Acre-Webhook-Secret': 'nope' },
+    body: '{}'
+  })).statusCode, 401);
+  assert.equal(received.length, 0);
+});
+
+test('the shared secret header is accepted', async () => {
+  const response = await acreWebhook.handler({
+    httpMethod: 'POST',
+    headers: { 'X-Acre-Webhook-Secret': process.env.ACRE_WEBHOOK_SECRET },
+    body: JSON.stringify({ id: 'evt_3' })
+  });
+  assert.equal(response.statusCode, 200);
+});
+
+test('bodies that are not JSON objects are rejected', async () => {
+  for (const payload of [null, 'evt', 42, ['evt_6']]) {
+    const response = await acreWebhook.handler(signedEvent(payload));
+    assert.equal(response.statusCode, 400, JSON.stringify(payload));
+  }
+  assert.equal(received.length, 0);
+});
+
+test('a failure after the claim releases the event so a redelivery is processed', async () => {
+  failNextSave = true;
+  const failed = await acreWebhook.handler(signedEvent({ id: 'evt_7' }));
+  assert.equal(failed.statusCode, 500);
+
+  const redelivered = await acreWebhook.handler(signedEvent({ id: 'evt_7' }));
+  const body = JSON.parse(redelivered.body);
+  assert.equal(redelivered.statusCode, 200);
+  assert.equal(body.duplicate, false);
+  assert.equal(body.deliveries[0].status, 'delivered');
+});
+
+test('duplicate event ids are only forwarded once', async () => {
+  await acreWebhook.handler(signedEvent({ id: 'evt_4' }));
+  const duplicate = JSON.parse((await acreWebhook.handler(signedEvent({ id: 'evt_4' }))).body);
+
+  assert.equal(duplicate.duplicate, true);
+  assert.equal(received.length, 1);
+});
+
+test('failed deliveries are dead-lettered and can be replayed', async () => {
+  n8nStatus = 500;
+  const body = JSON.parse((await acreWebhook.handler(signedEvent({ id: 'evt_5' }))).body);
+  assert.equal(body.deliveries[0].status, 'failed');
+  assert.equal(received.length, 2);
+
+  const listed = JSON.parse((await webhookReplay.handler({ httpMethod: 'GET', headers: admin })).body);
+  assert.equal(listed.count, 1);
+  assert.equal(listed.dead_letters[0].event_id, 'evt_5');
+
+  // The target URL may hold a secret - only its id is stored and shown
+  assert.equal(JSON.stringify(listed).includes('/webhook/acre'), false);
+  const { blobs } = await getStorage('acre-webhooks').list();
+  for (const blob of blobs) {
+    const stored = await getStorage('acre-webhooks').get(blob.key);
+    assert.equal(stored.includes('/webhook/acre'), false, blob.key);
+  }
+
+  n8nStatus = 200;
+  const replay = JSON.parse((await webhookReplay.handler({
+    httpMethod: 'POST',
+    headers: admin,
+    queryStringParameters: { id: 'evt_5' }
+  })).body);
+  assert.equal(replay.delivered, 1);
+
+  const after = JSON.parse((await webhookReplay.handler({ httpMethod: 'GET', headers: admin })).body);
+  assert.equal(after.count, 0);
+});
+
+test('dead letters for targets that were removed are kept, not replayed', async () => {
+  n8nStatus = 500;
+  await acreWebhook.handler(signedEvent({ id: 'evt_8' }));
+  received.length = 0;
+
+  const targets = process.env.N8N_WEBHOOK_URLS;
+  process.env.N8N_WEBHOOK_URLS = targets.replace('/webhook/acre', '/webhook/other');
+  try {
+    const replay = JSON.parse((await webhookReplay.handler({ httpMethod: 'POST', headers: admin })).body);
+    assert.equal(replay.results[0].status, 'target_not_configured');
+    assert.equal(received.length, 0);
+    assert.equal(JSON.parse((await webhookReplay.handler({ httpMethod: 'GET', headers: admin })).body).count, 1);
+  } finally {
+    process.env.N8N_WEBHOOK_URLS = targets;
+  }
+});
+
+test('replay requires an admin credential', async () => {
+  assert.equal((await webhookReplay.handler({ httpMethod: 'GET', headers: {} })).statusCode, 401);
+});